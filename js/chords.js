@@ -0,0 +1,271 @@
+// Chord mode: a tap adds a diatonic chord of the current scale (or a chosen chord shape) as one layer
+const chordVoicings = {
+  close: 'Close',
+  drop2: 'Drop 2',
+  spread: 'Spread'
+};
+
+// Shapes used while scale snapping is off: semitones above the root, plus the seventh added for seventh chords
+const chordShapes = {
+  major: { label: 'Major', intervals: [0, 4, 7], seventh: 11 },
+  minor: { label: 'Minor', intervals: [0, 3, 7], seventh: 10 },
+  diminished: { label: 'Diminished', intervals: [0, 3, 6], seventh: 9 },
+  augmented: { label: 'Augmented', intervals: [0, 4, 8], seventh: 10 },
+  sus2: { label: 'Sus2', intervals: [0, 2, 7], seventh: 10 },
+  sus4: { label: 'Sus4', intervals: [0, 5, 7], seventh: 10 },
+  dominant: { label: 'Dominant', intervals: [0, 4, 7], seventh: 10 }
+};
+
+// Chord symbols by the pitch classes above the root, for the layer list
+const chordSymbols = {
+  '0,4,7': 'maj',
+  '0,3,7': 'm',
+  '0,3,6': 'dim',
+  '0,4,8': 'aug',
+  '0,2,7': 'sus2',
+  '0,5,7': 'sus4',
+  '0,4,7,11': 'maj7',
+  '0,3,7,10': 'm7',
+  '0,4,7,10': '7',
+  '0,3,6,10': 'm7♭5',
+  '0,3,6,9': 'dim7',
+  '0,3,7,11': 'm(maj7)',
+  '0,4,8,10': 'aug7',
+  '0,4,8,11': 'maj7♯5',
+  '0,2,7,10': '7sus2',
+  '0,5,7,10': '7sus4'
+};
+
+let chordSettings = {
+  enabled: false,
+  size: 'triad', // 'triad' or 'seventh'
+  voicing: 'close',
+  inversion: 0, // 0 = root position, 1 = first inversion, ...
+  shape: 'major' // Used while scale snapping is off
+};
+
+// Number of notes in a chord of the given size
+function getChordNoteCount(size) {
+  return size === 'seventh' ? 4 : 3;
+}
+
+/**
+ * Stacks thirds of the current scale on a scale degree: every other scale note
+ * from the root, so the chord quality follows the scale.
+ * @param {number} rootFrequency - The root, snapped to the scale.
+ * @param {number} noteCount - 3 for a triad, 4 for a seventh chord.
+ * @returns {number[]} Frequency ratios against the root, from low to high.
+ */
+function getDiatonicChordRatios(rootFrequency, noteCount) {
+  const scale = generatedScaleFrequencies;
+  const degree = scale.indexOf(rootFrequency);
+  const stepsPerPeriod = currentScaleConfig.intervals.length;
+  const periodRatio = Math.pow(2, (currentScaleConfig.period || 12) / 12);
+  const ratios = [];
+  for (let i = 0; i < noteCount; i++) {
+    // Chords at the top of the range continue a period lower, transposed up
+    let index = degree + 2 * i;
+    let transpose = 1;
+    while (index >= scale.length) {
+      index -= stepsPerPeriod;
+      transpose *= periodRatio;
+    }
+    ratios.push(scale[index] * transpose / rootFrequency);
+  }
+  return ratios;
+}
+
+/**
+ * Returns the chord shape chosen for scale snapping Off.
+ * @param {string} shape - Key of chordShapes.
+ * @param {number} noteCount - 3 for a triad, 4 for a seventh chord.
+ * @returns {number[]} Frequency ratios against the root, from low to high.
+ */
+function getShapeChordRatios(shape, noteCount) {
+  const definition = chordShapes[shape] || chordShapes.major;
+  const intervals = noteCount === 4 ? [...definition.intervals, definition.seventh] : definition.intervals;
+  return intervals.map(semitones => Math.pow(2, semitones / 12));
+}
+
+/**
+ * Inverts and voices a chord in root position.
+ * @param {number[]} ratios - Frequency ratios from low to high.
+ * @param {number} inversion - How many of the lowest notes move up an octave.
+ * @param {string} voicing - Key of chordVoicings.
+ * @returns {number[]} The voiced ratios, from low to high.
+ */
+function voiceChord(ratios, inversion, voicing) {
+  let voiced = ratios.slice();
+  for (let i = 0; i < inversion % voiced.length; i++) {
+    voiced.push(voiced.shift() * 2);
+  }
+  if (voicing === 'drop2') {
+    // The second note from the top drops an octave
+    const [dropped] = voiced.splice(voiced.length - 2, 1);
+    voiced.unshift(dropped / 2);
+  } else if (voicing === 'spread') {
+    // Every other note moves up an octave
+    voiced = voiced.map((ratio, i) => (i % 2 === 1 ? ratio * 2 : ratio));
+  }
+  return voiced.sort((a, b) => a - b);
+}
+
+/**
+ * Builds a chord on a root with the given settings: diatonic while a scale is selected,
+ * the chosen shape while snapping is off.
+ * @param {number} rootFrequency - The root in Hz (snapped to the scale if there is one).
+ * @param {Object} settings - { size, voicing, inversion, shape }.
+ * @returns {Object} The chord: the settings plus `diatonic` and `ratios` against the root.
+ */
+function buildChord(rootFrequency, settings) {
+  const noteCount = getChordNoteCount(settings.size);
+  const diatonic = generatedScaleFrequencies.length > 0;
+  const ratios = diatonic ? getDiatonicChordRatios(rootFrequency, noteCount) : getShapeChordRatios(settings.shape, noteCount);
+  return {
+    size: settings.size,
+    voicing: settings.voicing,
+    inversion: settings.inversion,
+    shape: settings.shape,
+    diatonic,
+    ratios: voiceChord(ratios, settings.inversion, settings.voicing)
+  };
+}
+
+/**
+ * Frequencies a chord layer plays on a step.
+ * @param {Object} chord - The layer's chord.
+ * @param {number} rootFrequency - The layer's frequency.
+ * @returns {number[]} Frequencies in Hz.
+ */
+function getChordFrequencies(chord, rootFrequency) {
+  return chord.ratios.map(ratio => rootFrequency * ratio);
+}
+
+/**
+ * Names a chord from its pitch classes, e.g. "m7" (or "chord" for shapes without a symbol,
+ * such as most chords of microtonal scales).
+ * @param {Object} chord - A chord from buildChord().
+ * @returns {string} The chord symbol.
+ */
+function getChordSymbol(chord) {
+  const pitchClasses = chord.ratios.map(ratio => ((Math.round(12 * Math.log2(ratio)) % 12) + 12) % 12);
+  const key = Array.from(new Set(pitchClasses)).sort((a, b) => a - b).join(',');
+  return chordSymbols[key] || 'chord';
+}
+
+/**
+ * Adds a layer playing a chord on the tapped pitch with the chord mode settings.
+ * @param {number} [frequency] - Root of the chord. Defaults to the current tilt pitch.
+ * @returns {Tone.Loop|null} The new layer, or null if the polyphony limit refused it.
+ */
+function addChordLayer(frequency) {
+  let root = frequency !== undefined ? frequency : getNormalizedValue();
+  root = getSnappedFrequency(root, generatedScaleFrequencies);
+  return addFixedLoop(root, undefined, buildChord(root, chordSettings));
+}
+
+/**
+ * Keeps a diatonic chord layer in the scale after it was retuned to another degree.
+ * Chords built from a shape keep their shape.
+ * @param {Tone.Loop} loop - A chord layer with its new frequency.
+ */
+function retuneChord(loop) {
+  if (!loop.chord.diatonic || generatedScaleFrequencies.length === 0) return;
+  loop.chord = buildChord(getSnappedFrequency(loop.frequency, generatedScaleFrequencies), loop.chord);
+}
+
+/**
+ * Validates a chord from an untrusted source (scene link).
+ * @param {*} chord - The candidate chord as stored in a scene: { s, v, i, h, d, r }.
+ * @returns {Object|null} A chord, or null if there is none or it is invalid.
+ */
+function sanitizeChord(chord) {
+  if (!chord || !Array.isArray(chord.r)) return null;
+  const ratios = chord.r.filter(ratio => typeof ratio === 'number' && ratio > 0.1 && ratio < 10);
+  if (ratios.length !== 3 && ratios.length !== 4) return null;
+  return {
+    size: ratios.length === 4 ? 'seventh' : 'triad',
+    voicing: chordVoicings[chord.v] ? chord.v : 'close',
+    inversion: Number.isInteger(chord.i) ? Math.max(0, Math.min(3, chord.i)) : 0,
+    shape: chordShapes[chord.h] ? chord.h : 'major',
+    diatonic: chord.d === true,
+    ratios: ratios.sort((a, b) => a - b)
+  };
+}
+
+// Compact form of a layer's chord for scene links
+function encodeChord(chord) {
+  return {
+    s: chord.size,
+    v: chord.voicing,
+    i: chord.inversion,
+    h: chord.shape,
+    d: chord.diatonic,
+    r: chord.ratios.map(ratio => Math.round(ratio * 10000) / 10000)
+  };
+}
+
+function getChordSettings() {
+  return { ...chordSettings };
+}
+
+/**
+ * Changes the chord mode settings (from a preset, a scene or the controls).
+ * Invalid fields keep their current value.
+ * @param {Object} settings - { enabled, size, voicing, inversion, shape }.
+ */
+function setChordSettings(settings) {
+  if (!settings || typeof settings !== 'object') return;
+  if (typeof settings.enabled === 'boolean') chordSettings.enabled = settings.enabled;
+  if (settings.size === 'triad' || settings.size === 'seventh') chordSettings.size = settings.size;
+  if (chordVoicings[settings.voicing]) chordSettings.voicing = settings.voicing;
+  if (Number.isInteger(settings.inversion)) chordSettings.inversion = Math.max(0, Math.min(3, settings.inversion));
+  if (chordShapes[settings.shape]) chordSettings.shape = settings.shape;
+  // A triad has no third inversion
+  chordSettings.inversion = Math.min(chordSettings.inversion, getChordNoteCount(chordSettings.size) - 1);
+  updateChordControls();
+}
+
+// Turns chord mode on or off from the keyboard
+function toggleChordMode() {
+  setChordSettings({ enabled: !chordSettings.enabled });
+  showToast(chordSettings.enabled ? 'Chord mode on' : 'Chord mode off', 1200);
+  saveLastSettings();
+}
+
+// Shows the chord settings in the controls
+function updateChordControls() {
+  document.getElementById('chordModeCheckbox').checked = chordSettings.enabled;
+  document.getElementById('chordSizeSelect').value = chordSettings.size;
+  document.getElementById('chordVoicingSelect').value = chordSettings.voicing;
+  document.getElementById('chordShapeSelect').value = chordSettings.shape;
+  const inversionSelect = document.getElementById('chordInversionSelect');
+  inversionSelect.value = chordSettings.inversion;
+  // Only seventh chords have a third inversion
+  inversionSelect.querySelector('option[value="3"]').disabled = chordSettings.size !== 'seventh';
+}
+
+// Fills the chord dropdowns and wires up the chord mode settings
+function initChordControls() {
+  const voicingSelect = document.getElementById('chordVoicingSelect');
+  for (const key in chordVoicings) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = chordVoicings[key];
+    voicingSelect.appendChild(option);
+  }
+  const shapeSelect = document.getElementById('chordShapeSelect');
+  for (const key in chordShapes) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = chordShapes[key].label;
+    shapeSelect.appendChild(option);
+  }
+
+  document.getElementById('chordModeCheckbox').addEventListener('change', (e) => setChordSettings({ enabled: e.target.checked }));
+  document.getElementById('chordSizeSelect').addEventListener('change', (e) => setChordSettings({ size: e.target.value }));
+  voicingSelect.addEventListener('change', () => setChordSettings({ voicing: voicingSelect.value }));
+  document.getElementById('chordInversionSelect').addEventListener('change', (e) => setChordSettings({ inversion: parseInt(e.target.value, 10) }));
+  shapeSelect.addEventListener('change', () => setChordSettings({ shape: shapeSelect.value }));
+  updateChordControls();
+}
@@ -0,0 +1,465 @@
+// Effects rack: enable, bypass, reorder and tweak the effects between the compressor and the panner
+const effectFadeTime = 0.03; // Fade used to rewire the rack without clicks (seconds)
+const delayTimeOptions = ['16n', '8t', '8n', '8n.', '4t', '4n', '4n.', '2n'];
+
+// Parameter keys match the Tone.js option and property names. Options with a list of
+// `options` are shown as a dropdown; `regenerates` marks parameters that are expensive
+// to change, which apply when the slider is released.
+const effectTypes = {
+  distortion: {
+    label: 'Distortion',
+    params: {
+      distortion: { label: 'Drive', min: 0, max: 1, step: 0.01, value: 0.4 },
+      wet: { label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.5 }
+    },
+    create: options => new Tone.Distortion(options)
+  },
+  bitcrusher: {
+    label: 'Bitcrusher',
+    params: {
+      bits: { label: 'Bits', min: 1, max: 16, step: 1, value: 6 },
+      wet: { label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.5 }
+    },
+    create: options => new Tone.BitCrusher(options)
+  },
+  filter: {
+    label: 'Filter',
+    params: {
+      frequency: { label: 'Cutoff (Hz)', min: 100, max: 10000, step: 10, value: 2000 },
+      Q: { label: 'Resonance', min: 0.1, max: 20, step: 0.1, value: 1 }
+    },
+    create: options => new Tone.Filter({ ...options, type: 'lowpass' })
+  },
+  chorus: {
+    label: 'Chorus',
+    params: {
+      frequency: { label: 'Rate (Hz)', min: 0.1, max: 5, step: 0.1, value: 1.5 },
+      depth: { label: 'Depth', min: 0, max: 1, step: 0.01, value: 0.7 },
+      wet: { label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.5 }
+    },
+    create: options => new Tone.Chorus(options).start()
+  },
+  phaser: {
+    label: 'Phaser',
+    params: {
+      frequency: { label: 'Rate (Hz)', min: 0.1, max: 5, step: 0.1, value: 0.5 },
+      octaves: { label: 'Octaves', min: 1, max: 5, step: 0.5, value: 3 },
+      wet: { label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.5 }
+    },
+    create: options => new Tone.Phaser(options)
+  },
+  reverb: {
+    label: 'Reverb',
+    params: {
+      decay: { label: 'Size (s)', min: 0.5, max: 10, step: 0.1, value: 2, regenerates: true },
+      preDelay: { label: 'Pre-delay (s)', min: 0, max: 0.2, step: 0.005, value: 0.01, regenerates: true },
+      wet: { label: 'Mix', min: 0, max: 1, step: 0.01, value: 0.3 }
+    },
+    create: async options => {
+      const reverb = new Tone.Reverb(options);
+      await reverb.ready; // Wait for the impulse response
+      return reverb;
+    }
+  },
+  delay: {
+    label: 'Delay',
+    params: {
+      delayTime: { label: 'Time', options: delayTimeOptions, value: '8n' },
+      feedback: { label: 'Feedback', min: 0, max: 0.9, step: 0.01, value: 0.5 }
+    },
+    create: options => {
+      const delay = new Tone.FeedbackDelay(options);
+      delay.wet.value = delayWet; // The mix is the Delay Wet slider
+      return delay;
+    }
+  }
+};
+
+const defaultEffectsOrder = ['distortion', 'bitcrusher', 'filter', 'chorus', 'phaser', 'reverb', 'delay'];
+const defaultEnabledEffects = ['reverb', 'delay'];
+
+let effectsRack = getDefaultEffectsRack(); // Ordered list of { type, enabled, bypassed, params }
+let effectSlots = {}; // Live audio nodes of the enabled effects, keyed by type
+let rackInput = null; // Gain feeding the first effect
+let rackOutput = null; // Gain after the last effect, faded while the rack is rewired
+let rackUpdate = Promise.resolve(); // Serializes rack rebuilds
+let expandedEffect = null; // Effect whose parameters are shown in the settings
+
+// Returns the rack as it is on first start: reverb and delay, as the fixed chain had
+function getDefaultEffectsRack() {
+  return defaultEffectsOrder.map(type => {
+    const params = {};
+    for (const key in effectTypes[type].params) {
+      params[key] = effectTypes[type].params[key].value;
+    }
+    return { type, enabled: defaultEnabledEffects.includes(type), bypassed: false, params };
+  });
+}
+
+/**
+ * Validates a rack from an untrusted source (preset file or scene link). Unknown effects
+ * are dropped, missing ones are appended disabled and parameters are clamped.
+ * @param {*} rack - The candidate rack.
+ * @returns {Object[]} A valid rack.
+ */
+function sanitizeEffectsRack(rack) {
+  const defaults = getDefaultEffectsRack();
+  if (!Array.isArray(rack)) return defaults;
+
+  const result = [];
+  rack.forEach(entry => {
+    if (!entry || !effectTypes[entry.type] || result.some(effect => effect.type === entry.type)) return;
+    const definitions = effectTypes[entry.type].params;
+    const params = {};
+    for (const key in definitions) {
+      const definition = definitions[key];
+      const value = entry.params ? entry.params[key] : undefined;
+      if (definition.options) {
+        params[key] = definition.options.includes(value) ? value : definition.value;
+      } else {
+        params[key] = typeof value === 'number' && isFinite(value)
+          ? Math.max(definition.min, Math.min(definition.max, value))
+          : definition.value;
+      }
+    }
+    result.push({ type: entry.type, enabled: entry.enabled === true, bypassed: entry.bypassed === true, params });
+  });
+  defaults.forEach(effect => {
+    if (!result.some(entry => entry.type === effect.type)) result.push({ ...effect, enabled: false });
+  });
+  return result;
+}
+
+// Returns a copy of the rack for saving with the settings
+function getEffectsRackSettings() {
+  return effectsRack.map(effect => ({ ...effect, params: { ...effect.params } }));
+}
+
+/**
+ * Converts a tempo-relative time such as "8n" to seconds at the current tempo.
+ * @param {string} time - A note value.
+ * @returns {number} Seconds.
+ */
+function getTempoSyncedTime(time) {
+  return (Tone.Time(time).toTicks() / Tone.getTransport().PPQ) * (60 / transportBpm);
+}
+
+// Converts a stored parameter value to the value given to Tone.js
+function toEffectValue(key, value) {
+  return key === 'delayTime' ? getTempoSyncedTime(value) : value;
+}
+
+/**
+ * Returns the Tone.js options for an effect.
+ * @param {Object} effect - A rack entry.
+ * @returns {Object} Options for the effect's constructor.
+ */
+function getEffectOptions(effect) {
+  const options = {};
+  for (const key in effect.params) {
+    options[key] = toEffectValue(key, effect.params[key]);
+  }
+  return options;
+}
+
+/**
+ * Creates the audio node for an effect in the current Tone.js context.
+ * @param {Object} effect - A rack entry.
+ * @returns {Promise<Tone.ToneAudioNode>} The effect node.
+ */
+async function createEffect(effect) {
+  return effectTypes[effect.type].create(getEffectOptions(effect));
+}
+
+/**
+ * Wraps an effect node in a slot with a dry path, so it can be bypassed by crossfading.
+ * @param {Tone.ToneAudioNode} node - The effect.
+ * @param {boolean} bypassed - Whether the slot starts bypassed.
+ * @returns {Object} The slot: { node, input, output, wetGain, dryGain }.
+ */
+function createEffectSlot(node, bypassed) {
+  const input = new Tone.Gain();
+  const output = new Tone.Gain();
+  const wetGain = new Tone.Gain(bypassed ? 0 : 1);
+  const dryGain = new Tone.Gain(bypassed ? 1 : 0);
+  input.chain(node, wetGain, output);
+  input.chain(dryGain, output);
+  return { node, input, output, wetGain, dryGain };
+}
+
+function disposeEffectSlot(slot) {
+  [slot.node, slot.input, slot.output, slot.wetGain, slot.dryGain].forEach(node => node.dispose());
+}
+
+/**
+ * Rewires the live rack to match effectsRack: creates newly enabled effects, disposes
+ * disabled ones and connects the rest in order. The rack output is faded out while the
+ * connections change, so the rebuild doesn't click.
+ * @param {Object<string, Tone.ToneAudioNode>} [prebuilt] - Effect nodes already created, keyed by type.
+ * @returns {Promise} Resolves when the rack is rewired.
+ */
+function rebuildEffectsRack(prebuilt = {}) {
+  rackUpdate = rackUpdate.then(async () => {
+    if (!rackInput) return;
+    const enabled = effectsRack.filter(effect => effect.enabled);
+
+    // Create the new effects before fading, so the gap stays short
+    for (const effect of enabled) {
+      if (!effectSlots[effect.type]) {
+        const node = prebuilt[effect.type] || await createEffect(effect);
+        effectSlots[effect.type] = createEffectSlot(node, effect.bypassed);
+      }
+    }
+    Object.keys(prebuilt).forEach(type => {
+      if (!effectSlots[type] || effectSlots[type].node !== prebuilt[type]) prebuilt[type].dispose();
+    });
+
+    rackOutput.gain.rampTo(0, effectFadeTime);
+    await new Promise(resolve => setTimeout(resolve, effectFadeTime * 1000 + 10));
+
+    rackInput.disconnect();
+    Object.values(effectSlots).forEach(slot => slot.output.disconnect());
+    for (const type in effectSlots) {
+      if (!enabled.some(effect => effect.type === type)) {
+        disposeEffectSlot(effectSlots[type]);
+        delete effectSlots[type];
+      }
+    }
+    let previous = rackInput;
+    enabled.forEach(effect => {
+      previous.connect(effectSlots[effect.type].input);
+      previous = effectSlots[effect.type].output;
+    });
+    previous.connect(rackOutput);
+
+    // Keep the Delay Wet slider pointed at the live delay
+    delayNode = effectSlots.delay ? effectSlots.delay.node : null;
+
+    rackOutput.gain.rampTo(1, effectFadeTime);
+  }).catch(err => {
+    console.error('Error rebuilding the effects rack:', err);
+  });
+  return rackUpdate;
+}
+
+/**
+ * Creates the live rack between two nodes of the master chain.
+ * @param {Tone.ToneAudioNode} input - Node feeding the rack (the compressor).
+ * @param {Tone.ToneAudioNode} output - Node after the rack (the panner).
+ * @param {Object<string, Tone.ToneAudioNode>} [prebuilt] - Effects already created by startSounds(), keyed by type.
+ * @returns {Promise} Resolves when the rack is connected.
+ */
+function initEffectsRack(input, output, prebuilt) {
+  rackInput = new Tone.Gain();
+  rackOutput = new Tone.Gain(0);
+  input.connect(rackInput);
+  rackOutput.connect(output);
+  return rebuildEffectsRack(prebuilt);
+}
+
+/**
+ * Creates the enabled, non-bypassed effects in the current context and chains them
+ * between two nodes. Used for offline rendering.
+ * @param {Tone.ToneAudioNode} input - Node feeding the effects.
+ * @param {Tone.ToneAudioNode} output - Node after the effects.
+ * @returns {Promise} Resolves when the chain is connected.
+ */
+async function chainEffects(input, output) {
+  const nodes = [];
+  for (const effect of effectsRack) {
+    if (effect.enabled && !effect.bypassed) nodes.push(await createEffect(effect));
+  }
+  input.chain(...nodes, output);
+}
+
+/**
+ * Applies one parameter change to a live effect: signals ramp, other properties are set.
+ * @param {Object} effect - The rack entry.
+ * @param {string} key - Parameter key.
+ */
+function applyEffectParam(effect, key) {
+  const slot = effectSlots[effect.type];
+  if (!slot) return;
+  const value = toEffectValue(key, effect.params[key]);
+  const target = slot.node[key];
+  if (target && typeof target.rampTo === 'function') {
+    target.rampTo(value, 0.05);
+  } else {
+    slot.node.set({ [key]: value });
+  }
+}
+
+// Follows tempo changes with the delay time
+function syncEffectsToTempo() {
+  const delay = effectsRack.find(effect => effect.type === 'delay');
+  if (delay) applyEffectParam(delay, 'delayTime');
+}
+
+// Finds a rack entry by effect type
+function findEffect(type) {
+  return effectsRack.find(effect => effect.type === type);
+}
+
+function toggleEffectEnabled(type) {
+  const effect = findEffect(type);
+  effect.enabled = !effect.enabled;
+  rebuildEffectsRack();
+  renderEffectsRack();
+  saveLastSettings();
+}
+
+// Bypassing keeps the effect running and crossfades to the dry signal
+function toggleEffectBypass(type) {
+  const effect = findEffect(type);
+  effect.bypassed = !effect.bypassed;
+  const slot = effectSlots[type];
+  if (slot) {
+    slot.wetGain.gain.rampTo(effect.bypassed ? 0 : 1, effectFadeTime);
+    slot.dryGain.gain.rampTo(effect.bypassed ? 1 : 0, effectFadeTime);
+  }
+  renderEffectsRack();
+  saveLastSettings();
+}
+
+/**
+ * Moves an effect earlier or later in the chain.
+ * @param {string} type - The effect.
+ * @param {number} direction - -1 to move it earlier, 1 to move it later.
+ */
+function moveEffect(type, direction) {
+  const index = effectsRack.findIndex(effect => effect.type === type);
+  const target = index + direction;
+  if (target < 0 || target >= effectsRack.length) return;
+  [effectsRack[index], effectsRack[target]] = [effectsRack[target], effectsRack[index]];
+  if (effectsRack[index].enabled && effectsRack[target].enabled) rebuildEffectsRack();
+  renderEffectsRack();
+  saveLastSettings();
+}
+
+/**
+ * Replaces the whole rack (from a preset or scene) and rewires it if anything changed.
+ * @param {*} rack - The new rack; validated first.
+ */
+function setEffectsRack(rack) {
+  const sanitized = sanitizeEffectsRack(rack);
+  if (JSON.stringify(sanitized) === JSON.stringify(effectsRack)) return;
+
+  // Effects that stay enabled are updated in place rather than recreated
+  sanitized.forEach(effect => {
+    const previous = findEffect(effect.type);
+    if (!previous || !previous.enabled || !effect.enabled) return;
+    for (const key in effect.params) {
+      if (effect.params[key] !== previous.params[key]) {
+        previous.params[key] = effect.params[key];
+        applyEffectParam(previous, key);
+      }
+    }
+    if (effect.bypassed !== previous.bypassed) toggleEffectBypass(effect.type);
+  });
+  effectsRack = sanitized;
+  rebuildEffectsRack();
+  renderEffectsRack();
+}
+
+// Creates the slider or dropdown for one effect parameter
+function createEffectParamControl(effect, key) {
+  const definition = effectTypes[effect.type].params[key];
+  const id = `effectParam-${effect.type}-${key}`;
+  const field = document.createElement('div');
+
+  const label = document.createElement('label');
+  label.htmlFor = id;
+  label.className = 'text-sm text-gray-600';
+  const value = document.createElement('span');
+  value.textContent = effect.params[key];
+  label.append(`${definition.label}: `, value);
+
+  let control;
+  if (definition.options) {
+    control = document.createElement('select');
+    definition.options.forEach(optionValue => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = optionValue;
+      control.appendChild(option);
+    });
+  } else {
+    control = document.createElement('input');
+    control.type = 'range';
+    control.min = definition.min;
+    control.max = definition.max;
+    control.step = definition.step;
+    control.className = 'w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600';
+  }
+  control.id = id;
+  control.value = effect.params[key];
+
+  const update = () => {
+    effect.params[key] = definition.options ? control.value : parseFloat(control.value);
+    value.textContent = control.value;
+    applyEffectParam(effect, key);
+  };
+  if (definition.regenerates) {
+    control.addEventListener('input', () => { value.textContent = control.value; });
+    control.addEventListener('change', update);
+  } else {
+    control.addEventListener(definition.options ? 'change' : 'input', update);
+  }
+
+  field.append(label, control);
+  return field;
+}
+
+// Rebuilds the effects list in the settings modal
+function renderEffectsRack() {
+  const list = document.getElementById('effectsRackList');
+  if (!list) return;
+  list.innerHTML = '';
+
+  effectsRack.forEach((effect, index) => {
+    const item = document.createElement('li');
+    item.className = `effect-row${effect.enabled ? '' : ' disabled'}`;
+
+    const enabled = document.createElement('input');
+    enabled.type = 'checkbox';
+    enabled.checked = effect.enabled;
+    enabled.className = 'accent-blue-600';
+    enabled.setAttribute('aria-label', `Enable ${effectTypes[effect.type].label}`);
+    enabled.addEventListener('change', () => toggleEffectEnabled(effect.type));
+
+    const name = document.createElement('span');
+    name.className = 'effect-name';
+    name.textContent = effectTypes[effect.type].label;
+
+    const upButton = createLayerButton('▲', 'Move earlier in the chain', false, () => moveEffect(effect.type, -1));
+    const downButton = createLayerButton('▼', 'Move later in the chain', false, () => moveEffect(effect.type, 1));
+    upButton.disabled = index === 0;
+    downButton.disabled = index === effectsRack.length - 1;
+
+    item.append(
+      enabled,
+      name,
+      createLayerButton('B', 'Bypass', effect.bypassed, () => toggleEffectBypass(effect.type)),
+      upButton,
+      downButton,
+      createLayerButton('⚙', 'Edit effect', effect.type === expandedEffect, () => {
+        expandedEffect = expandedEffect === effect.type ? null : effect.type;
+        renderEffectsRack();
+      })
+    );
+    list.appendChild(item);
+
+    if (effect.type === expandedEffect) {
+      const paramsItem = document.createElement('li');
+      paramsItem.className = 'effect-params grid grid-cols-2 gap-x-4 gap-y-2';
+      for (const key in effect.params) {
+        paramsItem.appendChild(createEffectParamControl(effect, key));
+      }
+      list.appendChild(paramsItem);
+    }
+  });
+}
+
+function initEffectsControls() {
+  renderEffectsRack();
+}
@@ -0,0 +1,374 @@
+// Synth engines: FM, AM, subtractive, duo, plucked string and noise, each with its own voice parameters
+
+// Each engine lists its editable parameters and turns them (plus the shared waveform and
+// envelope settings) into Tone.js options. `oscillator` marks engines that use the waveform.
+// `timbre` moves the engine's main tone colour from 0 (dull) to 1 (bright) on a playing voice,
+// for the horizontal position on the play surface; voice.set() with the options undoes it.
+const synthEngines = {
+  fm: {
+    label: 'FM',
+    oscillator: true,
+    params: {
+      harmonicity: { label: 'Harmonicity', min: 0.25, max: 8, step: 0.25, value: 3 },
+      modulationIndex: { label: 'Mod Index', min: 0, max: 40, step: 0.5, value: 10 },
+      decay: { label: 'Decay', min: 0.01, max: 2, step: 0.01, value: 0.01 },
+      sustain: { label: 'Sustain', min: 0, max: 1, step: 0.01, value: 1 }
+    },
+    create: options => new Tone.FMSynth(options),
+    timbre: (voice, amount) => voice.modulationIndex.rampTo(amount * 30, 0.05),
+    toOptions: (p, shared) => ({
+      harmonicity: p.harmonicity,
+      modulationIndex: p.modulationIndex,
+      oscillator: { type: shared.waveform },
+      envelope: { attack: shared.attack, decay: p.decay, sustain: p.sustain, release: shared.release }
+    })
+  },
+  am: {
+    label: 'AM',
+    oscillator: true,
+    params: {
+      harmonicity: { label: 'Harmonicity', min: 0.25, max: 8, step: 0.25, value: 3 },
+      decay: { label: 'Decay', min: 0.01, max: 2, step: 0.01, value: 0.01 },
+      sustain: { label: 'Sustain', min: 0, max: 1, step: 0.01, value: 1 }
+    },
+    create: options => new Tone.AMSynth(options),
+    timbre: (voice, amount) => voice.harmonicity.rampTo(0.5 + amount * 5.5, 0.05),
+    toOptions: (p, shared) => ({
+      harmonicity: p.harmonicity,
+      oscillator: { type: shared.waveform },
+      envelope: { attack: shared.attack, decay: p.decay, sustain: p.sustain, release: shared.release }
+    })
+  },
+  mono: {
+    label: 'Subtractive',
+    oscillator: true,
+    params: {
+      cutoff: { label: 'Cutoff (Hz)', min: 50, max: 5000, step: 10, value: 400 },
+      resonance: { label: 'Resonance', min: 0.5, max: 20, step: 0.1, value: 2 },
+      filterAmount: { label: 'Filter Env (oct)', min: 0, max: 6, step: 0.1, value: 3 },
+      decay: { label: 'Decay', min: 0.01, max: 2, step: 0.01, value: 0.1 },
+      sustain: { label: 'Sustain', min: 0, max: 1, step: 0.01, value: 0.9 }
+    },
+    create: options => new Tone.MonoSynth(options),
+    timbre: (voice, amount) => { voice.filterEnvelope.baseFrequency = 100 * Math.pow(60, amount); },
+    toOptions: (p, shared) => ({
+      oscillator: { type: shared.waveform },
+      filter: { Q: p.resonance },
+      filterEnvelope: { baseFrequency: p.cutoff, octaves: p.filterAmount },
+      envelope: { attack: shared.attack, decay: p.decay, sustain: p.sustain, release: shared.release }
+    })
+  },
+  duo: {
+    label: 'Duo',
+    oscillator: true,
+    params: {
+      harmonicity: { label: 'Harmonicity', min: 0.25, max: 4, step: 0.01, value: 1.5 },
+      vibratoAmount: { label: 'Vibrato', min: 0, max: 1, step: 0.01, value: 0.5 },
+      vibratoRate: { label: 'Vibrato Rate (Hz)', min: 0.1, max: 10, step: 0.1, value: 5 }
+    },
+    create: options => new Tone.DuoSynth(options),
+    timbre: (voice, amount) => voice.harmonicity.rampTo(1 + amount * 2, 0.05),
+    toOptions: (p, shared) => ({
+      harmonicity: p.harmonicity,
+      vibratoAmount: p.vibratoAmount,
+      vibratoRate: p.vibratoRate,
+      voice0: { oscillator: { type: shared.waveform }, envelope: { attack: shared.attack, release: shared.release } },
+      voice1: { oscillator: { type: shared.waveform }, envelope: { attack: shared.attack, release: shared.release } }
+    })
+  },
+  pluck: {
+    label: 'Plucked String',
+    oscillator: false,
+    params: {
+      dampening: { label: 'Dampening (Hz)', min: 500, max: 10000, step: 100, value: 4000 },
+      resonance: { label: 'Resonance', min: 0.5, max: 0.99, step: 0.01, value: 0.9 },
+      attackNoise: { label: 'Attack Noise', min: 0.1, max: 20, step: 0.1, value: 1 }
+    },
+    create: options => new Tone.PluckSynth(options),
+    timbre: (voice, amount) => { voice.dampening = 500 * Math.pow(20, amount); },
+    toOptions: (p, shared) => ({
+      dampening: p.dampening,
+      resonance: p.resonance,
+      attackNoise: p.attackNoise,
+      release: shared.release
+    })
+  },
+  noise: {
+    label: 'Noise',
+    oscillator: false,
+    params: {
+      resonance: { label: 'Resonance', min: 0.5, max: 30, step: 0.5, value: 8 },
+      decay: { label: 'Decay', min: 0.01, max: 2, step: 0.01, value: 0.2 },
+      sustain: { label: 'Sustain', min: 0, max: 1, step: 0.01, value: 0.5 }
+    },
+    create: options => createNoiseVoice(options),
+    timbre: (voice, amount) => voice.Q.rampTo(30 - amount * 29, 0.05), // Narrow (pitched) to wide (breathy)
+    toOptions: (p, shared) => ({
+      Q: p.resonance,
+      envelope: { attack: shared.attack, decay: p.decay, sustain: p.sustain, release: shared.release }
+    })
+  }
+};
+
+let currentEngine = 'fm'; // Key of the engine used for new and rebuilt voices
+let engineParams = getDefaultEngineParams(); // Parameter values of every engine, keyed by engine
+const waveforms = ['sine', 'square', 'triangle', 'sawtooth'];
+let currentWaveform = 'sine'; // Oscillator shape of the engines that have one
+
+// Returns the default parameter values of every engine
+function getDefaultEngineParams() {
+  const params = {};
+  for (const engine in synthEngines) {
+    params[engine] = {};
+    for (const key in synthEngines[engine].params) {
+      params[engine][key] = synthEngines[engine].params[key].value;
+    }
+  }
+  return params;
+}
+
+/**
+ * Creates a noise voice: a NoiseSynth through a band-pass filter that follows the note,
+ * wrapped so it can be played and retuned like the pitched synths.
+ * @param {Object} options - { Q, envelope } as produced by the noise engine.
+ * @returns {Object} A voice with the instrument methods the app uses.
+ */
+function createNoiseVoice(options) {
+  const filter = new Tone.Filter({ type: 'bandpass', frequency: 440, Q: options.Q });
+  const noise = new Tone.NoiseSynth({ noise: { type: 'pink' }, envelope: options.envelope }).connect(filter);
+  return {
+    frequency: filter.frequency,
+    Q: filter.Q,
+    volume: noise.volume,
+    triggerAttack(note, time) {
+      filter.frequency.setValueAtTime(Tone.Frequency(note).toFrequency(), time);
+      noise.triggerAttack(time);
+      return this;
+    },
+    triggerRelease(time) {
+      noise.triggerRelease(time);
+      return this;
+    },
+    triggerAttackRelease(note, duration, time) {
+      filter.frequency.setValueAtTime(Tone.Frequency(note).toFrequency(), time);
+      noise.triggerAttackRelease(duration, time);
+      return this;
+    },
+    set({ Q, envelope }) {
+      // Options of another engine may leave either out
+      if (Q !== undefined) filter.Q.rampTo(Q, 0.05);
+      if (envelope) noise.set({ envelope });
+      return this;
+    },
+    connect(destination) {
+      filter.connect(destination);
+      return this;
+    },
+    disconnect() {
+      filter.disconnect();
+      return this;
+    },
+    dispose() {
+      noise.dispose();
+      filter.dispose();
+    }
+  };
+}
+
+// Returns the Tone.js options for the current engine, parameters, waveform and envelope
+function getEngineOptions() {
+  return synthEngines[currentEngine].toOptions(engineParams[currentEngine], {
+    waveform: currentWaveform,
+    attack: attackTime,
+    release: releaseTime
+  });
+}
+
+/**
+ * Creates an unconnected voice of the current engine in the current Tone.js context
+ * (so it works for offline rendering as well as live playback).
+ * @returns {Tone.Instrument|Object} The voice.
+ */
+function createEngineVoice() {
+  const voice = synthEngines[currentEngine].create(getEngineOptions());
+  voice.engine = currentEngine; // Lets the voice pool tell which engine a voice belongs to
+  return voice;
+}
+
+/**
+ * Creates an unconnected polyphonic voice for chord layers: one voice of the current engine
+ * per chord note behind a shared volume, played like a single voice with an array of notes.
+ * Unlike Tone.PolySynth this works for every engine, plucked strings and noise included.
+ * @param {number} noteCount - Number of notes in the chord.
+ * @returns {Object} A voice with the instrument methods the app uses.
+ */
+function createChordVoice(noteCount) {
+  const output = new Tone.Volume(0);
+  const mix = new Tone.Gain(1 / Math.sqrt(noteCount)).connect(output); // A chord about as loud as one note
+  const voices = Array.from({ length: noteCount }, () => createEngineVoice().connect(mix));
+  return {
+    engine: currentEngine,
+    noteCount,
+    volume: output.volume,
+    triggerAttackRelease(notes, duration, time) {
+      notes.forEach((note, i) => voices[i].triggerAttackRelease(note, duration, time));
+      return this;
+    },
+    triggerRelease(time) {
+      voices.forEach(voice => voice.triggerRelease(time));
+      return this;
+    },
+    set(options) {
+      voices.forEach(voice => voice.set(options));
+      return this;
+    },
+    connect(destination) {
+      output.connect(destination);
+      return this;
+    },
+    disconnect() {
+      output.disconnect();
+      return this;
+    },
+    dispose() {
+      voices.forEach(voice => voice.dispose());
+      mix.dispose();
+      output.dispose();
+    }
+  };
+}
+
+/**
+ * Replaces every playing voice with one of the current engine. Layers, their levels and
+ * patterns are kept; the continuous note and the fingers on the play surface are retriggered.
+ */
+function rebuildVoices() {
+  if (!masterBus) return;
+
+  [...savedLoops, ...getRemoteLayers()].forEach(loop => {
+    const old = loop.synth;
+    loop.synth = loop.chord ? createChordVoice(loop.chord.ratios.length).connect(masterBus) : createSynth();
+    loop.synth.volume.value = Tone.gainToDb(loop.level);
+    if (loop.panner) routeVoiceThrough(loop.synth, loop.panner); // Melody layers pan on their own
+    releaseVoice(old);
+  });
+
+  if (previewLoop) {
+    const old = previewLoop.synth;
+    previewLoop.synth = createSynth();
+    releaseVoice(old);
+  }
+
+  if (instrument) {
+    const old = instrument;
+    instrument = createSynth();
+    instrument.triggerAttack(getNormalizedValue());
+    instrument.active = true;
+    releaseVoice(old);
+  }
+
+  rebuildFingerVoices();
+  rebuildGenerativeVoices();
+}
+
+// Returns every voice that is currently playing: layers, the preview loop, the continuous note,
+// fingers on the play surface, the generative mode and layers mirrored from a jam session
+function getPlayingVoices() {
+  const voices = [...savedLoops, ...getRemoteLayers()].map(loop => loop.synth);
+  if (previewLoop) voices.push(previewLoop.synth);
+  if (instrument) voices.push(instrument);
+  fingerVoices.forEach(finger => voices.push(finger.voice));
+  voices.push(...generativeVoices);
+  return voices;
+}
+
+// Applies the current parameters to every playing voice without retriggering it
+function applyVoiceParams() {
+  const options = getEngineOptions();
+  getPlayingVoices().forEach(voice => voice.set(options));
+}
+
+/**
+ * Selects an engine and its parameters. Playing voices are left alone; callers
+ * rebuild them with rebuildVoices().
+ * @param {string} engine - Key of the engine.
+ * @param {Object} [params] - Parameter values; missing or invalid values use the engine defaults.
+ */
+function setSynthEngine(engine, params) {
+  if (!synthEngines[engine]) return;
+  currentEngine = engine;
+  if (params && typeof params === 'object') {
+    const definitions = synthEngines[engine].params;
+    engineParams[engine] = {};
+    for (const key in definitions) {
+      const value = params[key];
+      engineParams[engine][key] = typeof value === 'number' && isFinite(value)
+        ? Math.max(definitions[key].min, Math.min(definitions[key].max, value))
+        : definitions[key].value;
+    }
+  }
+  document.getElementById('engineSelect').value = engine;
+  // Plucked strings and noise have no oscillator to shape
+  document.getElementById('waveformSelect').disabled = !synthEngines[engine].oscillator;
+  renderEngineParams();
+}
+
+// Builds a slider for each parameter of the current engine
+function renderEngineParams() {
+  const container = document.getElementById('engineParams');
+  const definitions = synthEngines[currentEngine].params;
+  container.innerHTML = '';
+
+  for (const key in definitions) {
+    const definition = definitions[key];
+    const id = `engineParam-${currentEngine}-${key}`;
+    const field = document.createElement('div');
+
+    const label = document.createElement('label');
+    label.htmlFor = id;
+    label.className = 'text-sm text-gray-600';
+    const value = document.createElement('span');
+    value.textContent = engineParams[currentEngine][key];
+    label.append(`${definition.label}: `, value);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.id = id;
+    slider.min = definition.min;
+    slider.max = definition.max;
+    slider.step = definition.step;
+    slider.value = engineParams[currentEngine][key];
+    slider.className = 'w-full h-2 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-blue-600';
+    slider.addEventListener('input', () => {
+      engineParams[currentEngine][key] = parseFloat(slider.value);
+      value.textContent = slider.value;
+      applyVoiceParams();
+    });
+
+    field.append(label, slider);
+    container.appendChild(field);
+  }
+}
+
+// Fills the engine dropdown and rebuilds voices when the engine or waveform changes
+function initEngineControls() {
+  const engineSelect = document.getElementById('engineSelect');
+  for (const engine in synthEngines) {
+    const option = document.createElement('option');
+    option.value = engine;
+    option.textContent = synthEngines[engine].label;
+    engineSelect.appendChild(option);
+  }
+
+  engineSelect.addEventListener('change', () => {
+    setSynthEngine(engineSelect.value);
+    rebuildVoices();
+  });
+  const waveformSelect = document.getElementById('waveformSelect');
+  waveformSelect.addEventListener('change', () => GyroSynth.setParam('waveform', waveformSelect.value));
+  GyroSynth.on('state', ({ change, name, value }) => {
+    if (change === 'param' && name === 'waveform') waveformSelect.value = value;
+  });
+
+  setSynthEngine(currentEngine);
+}
@@ -0,0 +1,228 @@
+// Generative mode: plays notes of the scale by itself, with tilt steering the register and the density
+const generativeStep = '16n'; // Every step may start a note
+const generativeVoiceCount = 3; // Voices taking turns, so long notes can ring into the next ones
+const generativeLengths = { '8n': '1/8', '4n': '1/4', '2n': '1/2', '1m': '1 bar' };
+
+let generativeSettings = {
+  density: 0.35, // Chance of a note on each step with the density tilt centered
+  randomness: 0.3, // 0 walks the scale step by step in a steady rhythm, 1 leaps anywhere in the register
+  noteLength: '4n',
+  registerSpan: 1, // Octaves around the tilt pitch that notes are picked from
+  seed: 1
+};
+let generativeLoop = null; // Tone.Loop while the mode is playing
+let generativeVoices = [];
+let generativeVoiceIndex = 0;
+let generativeRandom = null; // Seeded random number generator of the current run
+let generativeLastFrequency = null; // Where the melody is, so it can walk on from there
+
+/**
+ * Creates a seeded random number generator (mulberry32): the same seed gives the same numbers.
+ * @param {number} seed - An integer seed.
+ * @returns {function(): number} A function returning numbers from 0 (inclusive) to 1 (exclusive).
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Chance of a note on a step: the density setting, scaled by the tilt of the axis that doesn't
+ * control pitch (level gives the setting, tilted one way up to twice as many notes, the other way silence).
+ * @returns {number} Probability from 0 to 1.
+ */
+function getGenerativeDensity() {
+  const axis = pitchAxis === 'gamma' ? 'beta' : 'gamma';
+  return Math.min(1, generativeSettings.density * 2 * getCenteredAngle(axis, 90));
+}
+
+/**
+ * Returns the range of ladder notes around the tilt pitch that the melody may use.
+ * @param {number[]} ladder - Sorted scale frequencies.
+ * @returns {{low: number, high: number}} First and last index of the register.
+ */
+function getGenerativeRegister(ladder) {
+  const center = getMappedFrequency();
+  const halfSpan = Math.pow(2, generativeSettings.registerSpan / 2);
+  let low = ladder.findIndex(freq => freq >= center / halfSpan);
+  if (low === -1) low = ladder.length - 1;
+  let high = low;
+  while (high + 1 < ladder.length && ladder[high + 1] <= center * halfSpan) high++;
+  return { low, high };
+}
+
+/**
+ * Picks the next note: usually a step or two along the scale from the last note,
+ * a leap within the register as often as the randomness says.
+ * @param {number} leap - Random number deciding between a step and a leap.
+ * @param {number} move - Random number picking the step or the leap target.
+ * @returns {number} Frequency in Hz.
+ */
+function pickGenerativeNote(leap, move) {
+  const ladder = getLadderFrequencies();
+  const { low, high } = getGenerativeRegister(ladder);
+  let index = generativeLastFrequency === null ? -1 : ladder.indexOf(getNearestNote(generativeLastFrequency).frequency);
+
+  if (index < low || index > high) {
+    index = Math.round((low + high) / 2); // Start (or start again after a tilt) in the middle of the register
+  } else if (leap < generativeSettings.randomness) {
+    index = low + Math.floor(move * (high - low + 1));
+  } else {
+    index += [-2, -1, 1, 2][Math.floor(move * 4)];
+    // Turn around at the edges of the register
+    if (index < low) index = Math.min(high, 2 * low - index);
+    if (index > high) index = Math.max(low, 2 * high - index);
+  }
+  generativeLastFrequency = ladder[index];
+  return generativeLastFrequency;
+}
+
+// Plays one step of the generative mode; called from its loop
+function playGenerativeStep(time) {
+  // Every step draws the same amount of numbers, so a run only depends on the seed, the settings and the tilt
+  const [play, leap, move, vary] = [generativeRandom(), generativeRandom(), generativeRandom(), generativeRandom()];
+  if (play >= getGenerativeDensity()) return;
+
+  const frequency = pickGenerativeNote(leap, move);
+  // Randomness also stretches notes up to twice as long or shortens them to half
+  const duration = Tone.Time(generativeSettings.noteLength).toSeconds() * Math.pow(2, generativeSettings.randomness * (vary * 2 - 1));
+  const voice = generativeVoices[generativeVoiceIndex];
+  generativeVoiceIndex = (generativeVoiceIndex + 1) % generativeVoices.length;
+  voice.triggerAttackRelease(frequency, duration, time);
+  sendMidiNote(frequency, duration, time);
+  emitSynthEvent('note', { frequency, duration, time, source: 'generative' });
+}
+
+// Starts the run again from the seed
+function reseedGenerative() {
+  generativeRandom = createSeededRandom(generativeSettings.seed);
+  generativeLastFrequency = null;
+}
+
+/**
+ * Starts the generative mode.
+ * @returns {boolean} False if it couldn't start (audio not started yet or no free voices).
+ */
+function startGenerative() {
+  if (generativeLoop) return true;
+  if (!masterBus) {
+    showToast('Tap Start before turning on generative mode.');
+    return false;
+  }
+  if (Tone.context.state !== 'running') {
+    Tone.start();
+  }
+  if (!claimVoiceSlot(generativeVoiceCount)) return false;
+
+  generativeVoices = Array.from({ length: generativeVoiceCount }, () => createSynth());
+  generativeVoiceIndex = 0;
+  reseedGenerative();
+  generativeLoop = new Tone.Loop(playGenerativeStep, generativeStep).start(0);
+  if (Tone.getTransport().state !== 'started') {
+    Tone.getTransport().start();
+  }
+  updateMasterVolume();
+  return true;
+}
+
+function stopGenerative() {
+  if (!generativeLoop) return;
+  generativeLoop.stop();
+  generativeLoop.dispose();
+  generativeLoop = null;
+  generativeVoices.forEach(releaseVoice);
+  generativeVoices = [];
+  updateMasterVolume();
+}
+
+/**
+ * Turns the generative mode on or off.
+ * @param {boolean} enabled - Whether it should play.
+ */
+function setGenerativeMode(enabled) {
+  if (enabled) {
+    enabled = startGenerative();
+  } else {
+    stopGenerative();
+  }
+  document.getElementById('generativeCheckbox').checked = enabled;
+}
+
+// Turns the generative mode on or off from the keyboard
+function toggleGenerativeMode() {
+  setGenerativeMode(!generativeLoop);
+  if (masterBus) showToast(generativeLoop ? 'Generative mode on' : 'Generative mode off', 1200);
+}
+
+// Swaps the generative voices for the current engine (called from rebuildVoices())
+function rebuildGenerativeVoices() {
+  generativeVoices = generativeVoices.map(old => {
+    releaseVoice(old);
+    return createSynth();
+  });
+}
+
+function getGenerativeSettings() {
+  return { ...generativeSettings };
+}
+
+/**
+ * Changes the generative settings (from a preset, a scene or the controls). Invalid fields keep
+ * their current value. A new seed starts the run again.
+ * @param {Object} settings - { density, randomness, noteLength, registerSpan, seed }.
+ */
+function setGenerativeSettings(settings) {
+  if (!settings || typeof settings !== 'object') return;
+  const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+  if (typeof settings.density === 'number') generativeSettings.density = clamp(settings.density, 0, 1);
+  if (typeof settings.randomness === 'number') generativeSettings.randomness = clamp(settings.randomness, 0, 1);
+  if (generativeLengths[settings.noteLength]) generativeSettings.noteLength = settings.noteLength;
+  if (typeof settings.registerSpan === 'number') generativeSettings.registerSpan = clamp(settings.registerSpan, 0.5, 3);
+  if (Number.isInteger(settings.seed) && settings.seed !== generativeSettings.seed) {
+    generativeSettings.seed = clamp(settings.seed, 0, 999999);
+    if (generativeLoop) reseedGenerative();
+  }
+  updateGenerativeControls();
+}
+
+// Shows the generative settings in the controls
+function updateGenerativeControls() {
+  document.getElementById('generativeDensitySlider').value = generativeSettings.density;
+  document.getElementById('generativeDensityValue').textContent = Math.round(generativeSettings.density * 100);
+  document.getElementById('generativeRandomnessSlider').value = generativeSettings.randomness;
+  document.getElementById('generativeRandomnessValue').textContent = Math.round(generativeSettings.randomness * 100);
+  document.getElementById('generativeLengthSelect').value = generativeSettings.noteLength;
+  document.getElementById('generativeRegisterSlider').value = generativeSettings.registerSpan;
+  document.getElementById('generativeRegisterValue').textContent = generativeSettings.registerSpan;
+  document.getElementById('generativeSeedInput').value = generativeSettings.seed;
+}
+
+// Wires up the generative mode settings
+function initGenerativeControls() {
+  const lengthSelect = document.getElementById('generativeLengthSelect');
+  for (const length in generativeLengths) {
+    const option = document.createElement('option');
+    option.value = length;
+    option.textContent = generativeLengths[length];
+    lengthSelect.appendChild(option);
+  }
+  const seedInput = document.getElementById('generativeSeedInput');
+
+  document.getElementById('generativeCheckbox').addEventListener('change', (e) => setGenerativeMode(e.target.checked));
+  document.getElementById('generativeDensitySlider').addEventListener('input', (e) => setGenerativeSettings({ density: parseFloat(e.target.value) }));
+  document.getElementById('generativeRandomnessSlider').addEventListener('input', (e) => setGenerativeSettings({ randomness: parseFloat(e.target.value) }));
+  lengthSelect.addEventListener('change', () => setGenerativeSettings({ noteLength: lengthSelect.value }));
+  document.getElementById('generativeRegisterSlider').addEventListener('input', (e) => setGenerativeSettings({ registerSpan: parseFloat(e.target.value) }));
+  seedInput.addEventListener('change', () => setGenerativeSettings({ seed: parseInt(seedInput.value, 10) }));
+  document.getElementById('generativeNewSeedBtn').addEventListener('click', () => {
+    setGenerativeSettings({ seed: Math.floor(Math.random() * 1000000) });
+    saveLastSettings();
+  });
+  updateGenerativeControls();
+}
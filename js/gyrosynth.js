@@ -0,0 +1,195 @@
+// GyroSynth: the engine as a programmatic API, for embedding the synth in other pages and scripting it.
+// The app's own controls go through it too; listeners hear about notes, layers and state changes.
+const synthListeners = { note: new Set(), layer: new Set(), state: new Set() };
+
+// Parameters for GyroSynth.setParam(): range (or the allowed values) plus how to read and apply them
+const synthParams = {
+  volume: { min: 0, max: 1, get: () => userVolume, set: value => { userVolume = value; updateMasterVolume(); } },
+  attack: { min: 0.01, max: 2, get: () => attackTime, set: value => { attackTime = value; applyVoiceParams(); } }, // Playing voices follow the envelope too
+  release: { min: 0.1, max: 5, get: () => releaseTime, set: value => { releaseTime = value; applyVoiceParams(); } },
+  delayWet: {
+    min: 0, max: 1, get: () => delayWet,
+    set: value => {
+      delayWet = value;
+      if (delayNode) delayNode.wet.rampTo(delayWet, 0.1);
+    }
+  },
+  tempo: { min: minBpm, max: maxBpm, get: () => transportBpm, set: setTempo },
+  swing: { min: 0, max: 1, get: () => swingAmount, set: setSwing },
+  waveform: { values: waveforms, get: () => currentWaveform, set: value => { currentWaveform = value; rebuildVoices(); } }
+};
+
+/**
+ * Tells the listeners of an event type about something that happened.
+ * @param {string} type - 'note', 'layer' or 'state'.
+ * @param {Object} detail - What happened; see GyroSynth.on().
+ */
+function emitSynthEvent(type, detail) {
+  synthListeners[type].forEach(listener => {
+    try {
+      listener(detail);
+    } catch (err) {
+      console.error(`Error in a GyroSynth ${type} listener:`, err);
+    }
+  });
+}
+
+/**
+ * Describes a layer for API users, without the Tone.js objects behind it.
+ * @param {Tone.Loop} loop - The layer.
+ * @returns {Object} { id, frequency, level, muted, soloed, chord, melody }.
+ */
+function describeLayer(loop) {
+  return {
+    id: loop.layerId,
+    frequency: loop.frequency,
+    level: loop.level,
+    muted: loop.muted,
+    soloed: loop.soloed,
+    chord: loop.chord ? getChordSymbol(loop.chord) : null,
+    melody: !!loop.melody
+  };
+}
+
+const GyroSynth = {
+  /**
+   * Starts the audio. Browsers only allow this from a user gesture such as a click.
+   * @returns {Promise<void>} Resolves once the audio is running.
+   */
+  async start() {
+    const resumed = Tone.start(); // Asked for first, while the gesture still counts
+    await startSounds();
+    await resumed;
+    emitSynthEvent('state', { change: 'start' });
+  },
+
+  /**
+   * Sets the orientation that drives pitch and pan, as the motion sensors do.
+   * @param {number} beta - Front-to-back tilt in degrees.
+   * @param {number} gamma - Left-to-right tilt in degrees.
+   * @param {number} [newAlpha] - Compass heading in degrees. Defaults to the current heading.
+   */
+  setOrientation(beta, gamma, newAlpha = alpha) {
+    setOrientation(beta, gamma, newAlpha);
+  },
+
+  /**
+   * Adds a looping layer.
+   * @param {number} [frequency] - Pitch in Hz. Defaults to the current tilt pitch.
+   * @param {Object} [options] - { pattern: rhythm pattern, chord: true for a chord with the chord settings }.
+   * @returns {number|null} The layer id, or null if the polyphony limit refused it.
+   * @throws {RangeError} If the frequency isn't audible.
+   */
+  addLayer(frequency, options = {}) {
+    if (frequency !== undefined && !(frequency >= 20 && frequency <= 20000)) {
+      throw new RangeError(`Layer frequency must be between 20 and 20000 Hz, got ${frequency}`);
+    }
+    if (!masterBus) return null;
+    const pattern = options.pattern ? sanitizePattern(options.pattern) : getDefaultPattern();
+    const root = frequency !== undefined ? frequency : getNormalizedValue();
+    const loop = addFixedLoop(root, pattern, options.chord ? buildChord(root, chordSettings) : null);
+    return loop ? loop.layerId : null;
+  },
+
+  /**
+   * Removes a layer.
+   * @param {number} id - The layer id from addLayer() or getLayers().
+   */
+  removeLayer(id) {
+    removeLayer(id);
+  },
+
+  // Returns the layers, oldest first
+  getLayers() {
+    return savedLoops.map(describeLayer);
+  },
+
+  // Stops every sound and removes all layers
+  clear() {
+    clearSounds();
+  },
+
+  /**
+   * Sets the root note and scale. Sounds are cleared, as when the scale is changed by hand.
+   * @param {string} root - Root note name, e.g. 'C' or 'F#'.
+   * @param {string} name - Scale name, e.g. 'Dorian', a custom scale or 'Off' for no snapping.
+   * @throws {RangeError} If the root or the scale is unknown.
+   */
+  setScale(root, name) {
+    if (!noteNames.includes(root)) throw new RangeError(`Unknown root note: ${root}`);
+    if (!availableScales[name]) throw new RangeError(`Unknown scale: ${name}`);
+    currentRootNote = root;
+    currentScaleName = name;
+    updateScaleFrequencies();
+    clearSounds();
+  },
+
+  // Lists the scale names setScale() accepts
+  getScales() {
+    return Object.keys(availableScales);
+  },
+
+  /**
+   * Sets a sound or transport parameter; values outside its range are clamped.
+   * @param {string} name - 'volume', 'attack', 'release', 'delayWet', 'tempo', 'swing' or 'waveform'.
+   * @param {number|string} value - The new value; the waveform is 'sine', 'square', 'triangle' or 'sawtooth'.
+   * @throws {RangeError} If the parameter is unknown or the value isn't a number (or one of the waveforms).
+   */
+  setParam(name, value) {
+    const param = synthParams[name];
+    if (!param) throw new RangeError(`Unknown parameter: ${name}`);
+    if (param.values) {
+      if (!param.values.includes(value)) throw new RangeError(`${name} must be one of ${param.values.join(', ')}, got ${value}`);
+      param.set(value);
+    } else {
+      if (typeof value !== 'number' || !isFinite(value)) throw new RangeError(`${name} must be a number, got ${value}`);
+      param.set(Math.max(param.min, Math.min(param.max, value)));
+    }
+    emitSynthEvent('state', { change: 'param', name, value: param.get() });
+  },
+
+  /**
+   * Reads a parameter.
+   * @param {string} name - A parameter name accepted by setParam().
+   * @returns {number|string|undefined} The value, or undefined if the parameter is unknown.
+   */
+  getParam(name) {
+    return synthParams[name] ? synthParams[name].get() : undefined;
+  },
+
+  // Returns a snapshot of the engine state
+  getState() {
+    const params = {};
+    for (const name in synthParams) params[name] = synthParams[name].get();
+    return {
+      started: !!masterBus && Tone.context.state === 'running',
+      root: currentRootNote,
+      scale: currentScaleName,
+      orientation: { beta, gamma, alpha },
+      frequency: getNormalizedValue(),
+      params,
+      layers: savedLoops.map(describeLayer)
+    };
+  },
+
+  /**
+   * Listens for an event:
+   * - 'note': { frequency (Hz, or an array for chords), duration (seconds, null while held), time (audio context time), source, layerId }
+   * - 'layer': { action: 'add', 'remove', 'retune' or 'clear', layer }
+   * - 'state': { change: 'start', 'scale' or 'param', name, value }
+   * Note events come slightly ahead of time: the note sounds at detail.time.
+   * @param {string} type - 'note', 'layer' or 'state'.
+   * @param {function(Object)} listener - Called with the event detail.
+   * @returns {function()} Stops listening.
+   * @throws {RangeError} If the event type is unknown.
+   */
+  on(type, listener) {
+    if (!synthListeners[type]) throw new RangeError(`Unknown event type: ${type}`);
+    synthListeners[type].add(listener);
+    return () => GyroSynth.off(type, listener);
+  },
+
+  off(type, listener) {
+    if (synthListeners[type]) synthListeners[type].delete(listener);
+  }
+};
@@ -0,0 +1,193 @@
+// Input sources: motion sensors, or an XY pad, mouse or arrow keys when sensors are missing or denied
+const inputSourceStorageKey = 'gyroSynthInputSource';
+const sensorDetectionTime = 1500; // Time to wait for a sensor reading before falling back (ms)
+const inputSourceLabels = { tilt: 'Tilt', pad: 'XY pad', mouse: 'Mouse', keys: 'Arrow keys' };
+
+let inputSource = 'auto'; // 'auto', 'tilt', 'pad', 'mouse' or 'keys'
+let sensorStatus = 'unknown'; // 'unknown', 'available', 'unavailable' or 'denied'
+let sensorDetectionTimer = null;
+let inputPosition = { x: 0.5, y: 0.5 }; // Fallback position: x is pan (0 left), y is pitch (0 low)
+
+/**
+ * Returns the input source currently driving pitch and pan. In auto mode this is tilt while
+ * the sensors work (or are still being detected), otherwise the XY pad on touch screens
+ * and the mouse elsewhere.
+ * @returns {string} 'tilt', 'pad', 'mouse' or 'keys'.
+ */
+function getActiveInputSource() {
+  if (inputSource !== 'auto') return inputSource;
+  if (sensorStatus === 'available' || sensorStatus === 'unknown') return 'tilt';
+  return window.matchMedia('(pointer: coarse)').matches ? 'pad' : 'mouse';
+}
+
+/**
+ * Records that a deviceorientation event arrived. Desktop browsers may fire a single
+ * event with null angles, which doesn't count as a working sensor.
+ * @param {DeviceOrientationEvent} event - The event.
+ */
+function noteSensorReading(event) {
+  if (sensorStatus !== 'available' && event.beta !== null) {
+    setSensorStatus('available');
+  }
+}
+
+/**
+ * Updates the sensor status and switches input source if needed.
+ * @param {string} status - 'unknown', 'available', 'unavailable' or 'denied'.
+ */
+function setSensorStatus(status) {
+  clearTimeout(sensorDetectionTimer);
+  const previousSource = getActiveInputSource();
+  sensorStatus = status;
+  if (status === 'denied' && inputSource === 'auto') {
+    showToast(`Motion access was denied, so ${inputSourceLabels[getActiveInputSource()].toLowerCase()} control is used instead.`);
+  }
+  if (getActiveInputSource() !== previousSource) {
+    applyInputPosition(); // Don't leave pitch wherever the previous source left it
+  }
+  updateInputSourceUI();
+}
+
+// Waits a moment for a sensor reading and falls back to another input source if none arrives
+function detectSensors() {
+  if (sensorStatus === 'available') return;
+  sensorStatus = 'unknown';
+  clearTimeout(sensorDetectionTimer);
+  sensorDetectionTimer = setTimeout(() => {
+    if (sensorStatus === 'unknown') setSensorStatus('unavailable');
+  }, sensorDetectionTime);
+  updateInputSourceUI();
+}
+
+/**
+ * Chooses the input source and remembers it on this device.
+ * @param {string} source - 'auto', 'tilt', 'pad', 'mouse' or 'keys'.
+ */
+function setInputSource(source) {
+  inputSource = source in inputSourceLabels ? source : 'auto';
+  try {
+    localStorage.setItem(inputSourceStorageKey, inputSource);
+  } catch (err) {
+    console.error('Error saving input source:', err);
+  }
+  if (getActiveInputSource() !== 'tilt') applyInputPosition();
+  updateInputSourceUI();
+}
+
+/**
+ * Turns the fallback position into orientation angles for the same pitch and pan logic as tilt.
+ * The pitch axis gets the angle that the tilt mapping maps to y, and gamma follows x.
+ */
+function applyInputPosition() {
+  const position = pitchInvert ? 1 - inputPosition.y : inputPosition.y;
+  const angles = { beta, gamma, alpha };
+  angles.gamma = (inputPosition.x * 2 - 1) * 90;
+  angles[pitchAxis] = tiltCenters[pitchAxis] + Math.asin(position * 2 - 1) * (180 / Math.PI);
+  setOrientation(angles.beta, angles.gamma, angles.alpha);
+  updateXyPadHandle();
+}
+
+/**
+ * Sets the fallback position from an input source.
+ * @param {number} x - Pan position, 0 (left) to 1 (right).
+ * @param {number} y - Pitch position, 0 (lowest) to 1 (highest).
+ */
+function setInputPosition(x, y) {
+  inputPosition = {
+    x: Math.max(0, Math.min(1, x)),
+    y: Math.max(0, Math.min(1, y))
+  };
+  applyInputPosition();
+}
+
+/**
+ * Moves the fallback position with the arrow keys: up/down for pitch, left/right for pan.
+ * @param {string} key - The arrow key name.
+ * @param {boolean} fine - Use smaller steps (Shift held).
+ * @returns {boolean} True if the key was handled.
+ */
+function nudgeInputPosition(key, fine) {
+  if (getActiveInputSource() === 'tilt') return false;
+  const step = fine ? 0.005 : 0.025;
+  const moves = {
+    ArrowUp: [0, step],
+    ArrowDown: [0, -step],
+    ArrowLeft: [-step * 2, 0],
+    ArrowRight: [step * 2, 0]
+  };
+  if (!moves[key]) return false;
+  setInputPosition(inputPosition.x + moves[key][0], inputPosition.y + moves[key][1]);
+  return true;
+}
+
+// Places the XY pad handle at the current fallback position
+function updateXyPadHandle() {
+  const handle = document.getElementById('xyPadHandle');
+  if (!handle) return;
+  handle.style.left = `${inputPosition.x * 100}%`;
+  handle.style.top = `${(1 - inputPosition.y) * 100}%`;
+}
+
+// Shows the XY pad when it is the active source and describes the source in the settings
+function updateInputSourceUI() {
+  const active = getActiveInputSource();
+  document.getElementById('xyPad').classList.toggle('visible', active === 'pad');
+
+  const status = document.getElementById('inputSourceStatus');
+  if (!status) return;
+  const reasons = {
+    unknown: 'checking for motion sensors',
+    available: 'motion sensors found',
+    unavailable: 'no motion sensors',
+    denied: 'motion access denied'
+  };
+  status.textContent = `Using: ${inputSourceLabels[active]} (${reasons[sensorStatus]})`;
+}
+
+// Converts a pointer event to a 0–1 position inside an element (y measured from the bottom)
+function getPointerPosition(event, element) {
+  const rect = element.getBoundingClientRect();
+  return [
+    (event.clientX - rect.left) / rect.width,
+    1 - (event.clientY - rect.top) / rect.height
+  ];
+}
+
+// Wires up the XY pad, mouse tracking and the input source setting
+function initInputControls() {
+  const inputSourceSelect = document.getElementById('inputSourceSelect');
+  const xyPad = document.getElementById('xyPad');
+  const svgElement = document.getElementById('waveformSvg');
+
+  try {
+    inputSource = localStorage.getItem(inputSourceStorageKey) || 'auto';
+  } catch (err) {
+    console.error('Error loading input source:', err);
+  }
+  if (!(inputSource in inputSourceLabels)) inputSource = 'auto';
+  inputSourceSelect.value = inputSource;
+  inputSourceSelect.addEventListener('change', () => setInputSource(inputSourceSelect.value));
+
+  // XY pad: drag anywhere on the pad; taps don't reach the visualizer underneath
+  const followPointer = (event) => {
+    setInputPosition(...getPointerPosition(event, xyPad));
+  };
+  xyPad.addEventListener('pointerdown', (event) => {
+    xyPad.setPointerCapture(event.pointerId);
+    followPointer(event);
+  });
+  xyPad.addEventListener('pointermove', (event) => {
+    if (xyPad.hasPointerCapture(event.pointerId)) followPointer(event);
+  });
+
+  // Mouse: hovering over the visualizer sets pitch and pan, clicking adds layers as usual.
+  // On the play surface the mouse plays notes instead.
+  svgElement.addEventListener('pointermove', (event) => {
+    if (event.pointerType === 'mouse' && getActiveInputSource() === 'mouse' && !playSurfaceSettings.enabled) {
+      setInputPosition(...getPointerPosition(event, svgElement));
+    }
+  });
+
+  updateXyPadHandle();
+  detectSensors();
+}
@@ -0,0 +1,230 @@
+// Layer manager: per-loop mute, solo, level, retune, delete and undo
+let nextLayerId = 1; // Incrementing id given to every fixed loop
+let expandedLayerId = null; // Layer whose pattern editor is open in the panel
+
+/**
+ * Gives a newly created fixed loop its layer state. Called from addFixedLoop().
+ * @param {Tone.Loop} loop - The loop, with .synth and .frequency already attached.
+ */
+function initLayer(loop) {
+  loop.layerId = nextLayerId++;
+  loop.muted = false;
+  loop.soloed = false;
+  loop.level = 1; // Linear gain, 0 to 1
+  updateLayerMutes();
+}
+
+/**
+ * Finds a fixed loop by its layer id.
+ * @param {number} layerId - The id assigned by initLayer().
+ * @returns {Tone.Loop|undefined} The loop, if it still exists.
+ */
+function findLayer(layerId) {
+  return savedLoops.find(loop => loop.layerId === layerId);
+}
+
+/**
+ * Returns true if a layer is currently silenced by its own mute or by another layer's solo.
+ * @param {Tone.Loop} loop - The layer to check.
+ * @returns {boolean} Whether the layer is silent.
+ */
+function isLayerSilenced(loop) {
+  const anySoloed = savedLoops.some(layer => layer.soloed);
+  return loop.muted || (anySoloed && !loop.soloed);
+}
+
+// Applies mute and solo states to the loops and rebalances the master volume
+function updateLayerMutes() {
+  savedLoops.forEach(loop => {
+    loop.mute = isLayerSilenced(loop);
+  });
+  updateMasterVolume();
+}
+
+// Disposes a single layer's loop and returns its synth to the voice pool
+function disposeLayer(loop) {
+  loop.stop();
+  if (loop.synth) releaseVoice(loop.synth);
+  loop.dispose();
+  if (loop.panner) {
+    // Melody layers: keep the panner until the voice has been released and rerouted
+    const layerPanner = loop.panner;
+    setTimeout(() => layerPanner.dispose(), releaseTime * 1000 + 200);
+  }
+}
+
+/**
+ * Removes one layer, leaving the others playing.
+ * @param {number} layerId - The layer to remove.
+ */
+function removeLayer(layerId) {
+  const loop = findLayer(layerId);
+  if (!loop) return;
+  disposeLayer(loop);
+  savedLoops = savedLoops.filter(layer => layer !== loop);
+  updateLayerMutes();
+  renderLayerList();
+  emitSynthEvent('layer', { action: 'remove', layer: describeLayer(loop) });
+}
+
+// Removes the most recently added layer
+function undoLastLayer() {
+  if (savedLoops.length === 0) return;
+  removeLayer(savedLoops[savedLoops.length - 1].layerId);
+}
+
+/**
+ * Moves a layer up or down by one step of the current scale
+ * (or by a semitone when scale snapping is off).
+ * @param {number} layerId - The layer to retune.
+ * @param {number} direction - 1 to move up, -1 to move down.
+ */
+function retuneLayer(layerId, direction) {
+  const loop = findLayer(layerId);
+  if (!loop) return;
+
+  if (generatedScaleFrequencies.length > 0) {
+    // Step from the nearest scale note, so unsnapped layers land on the scale
+    const nearest = getSnappedFrequency(loop.frequency, generatedScaleFrequencies);
+    let index = generatedScaleFrequencies.indexOf(nearest);
+    if (direction > 0 ? nearest <= loop.frequency : nearest >= loop.frequency) {
+      index += direction;
+    }
+    index = Math.max(0, Math.min(generatedScaleFrequencies.length - 1, index));
+    loop.frequency = generatedScaleFrequencies[index];
+  } else {
+    loop.frequency *= Math.pow(2, direction / 12);
+  }
+  if (loop.chord) retuneChord(loop);
+  renderLayerList();
+  emitSynthEvent('layer', { action: 'retune', layer: describeLayer(loop) });
+}
+
+/**
+ * Sets the level of one layer.
+ * @param {number} layerId - The layer to change.
+ * @param {number} level - Linear gain, 0 to 1.
+ */
+function setLayerLevel(layerId, level) {
+  const loop = findLayer(layerId);
+  if (!loop) return;
+  loop.level = level;
+  loop.synth.volume.rampTo(Tone.gainToDb(level), 0.05);
+  updateMasterVolume(); // The equal-power gain depends on the levels
+}
+
+function toggleLayerMute(layerId) {
+  const loop = findLayer(layerId);
+  if (!loop) return;
+  loop.muted = !loop.muted;
+  updateLayerMutes();
+  renderLayerList();
+}
+
+function toggleLayerSolo(layerId) {
+  const loop = findLayer(layerId);
+  if (!loop) return;
+  loop.soloed = !loop.soloed;
+  updateLayerMutes();
+  renderLayerList();
+}
+
+// Creates a small button for a layer row
+function createLayerButton(label, title, active, onClick) {
+  const button = document.createElement('button');
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.className = `layer-btn${active ? ' active' : ''}`;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+// Rebuilds the layer list and the layer count on the toggle button
+function renderLayerList() {
+  const list = document.getElementById('layerList');
+  const count = document.getElementById('layerCount');
+  if (!list) return;
+
+  count.textContent = savedLoops.length;
+  document.getElementById('undoLayerBtn').disabled = savedLoops.length === 0;
+  list.innerHTML = '';
+
+  if (savedLoops.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'text-sm text-gray-400 py-2';
+    empty.textContent = 'No layers yet. Tap to add one.';
+    list.appendChild(empty);
+    return;
+  }
+
+  savedLoops.forEach(loop => {
+    const item = document.createElement('li');
+    item.className = `layer-row${isLayerSilenced(loop) ? ' silenced' : ''}`;
+
+    const info = document.createElement('span');
+    info.className = 'layer-info';
+    info.textContent = `${loop.melody ? 'Motion · ' : ''}${Tone.Frequency(loop.frequency).toNote()}${loop.chord ? ` ${getChordSymbol(loop.chord)}` : ''} · ${loop.frequency.toFixed(1)} Hz`;
+
+    const level = document.createElement('input');
+    level.type = 'range';
+    level.min = 0;
+    level.max = 1;
+    level.step = 0.01;
+    level.value = loop.level;
+    level.className = 'layer-level accent-blue-600';
+    level.setAttribute('aria-label', 'Layer level');
+    level.addEventListener('input', () => setLayerLevel(loop.layerId, parseFloat(level.value)));
+
+    item.append(
+      info,
+      createLayerButton('M', 'Mute layer', loop.muted, () => toggleLayerMute(loop.layerId)),
+      createLayerButton('S', 'Solo layer', loop.soloed, () => toggleLayerSolo(loop.layerId)),
+      createLayerButton('▼', 'Move down a scale step', false, () => retuneLayer(loop.layerId, -1)),
+      createLayerButton('▲', 'Move up a scale step', false, () => retuneLayer(loop.layerId, 1)),
+      createLayerButton('♩', 'Edit rhythm pattern', loop.layerId === expandedLayerId, () => toggleLayerPatternEditor(loop.layerId)),
+      level,
+      createLayerButton('✕', 'Remove layer', false, () => removeLayer(loop.layerId))
+    );
+    list.appendChild(item);
+
+    if (loop.layerId === expandedLayerId) {
+      const patternItem = document.createElement('li');
+      patternItem.className = 'layer-pattern-row';
+      patternItem.appendChild(createPatternEditor(loop, renderLayerList));
+      list.appendChild(patternItem);
+    }
+  });
+}
+
+// Opens or closes the pattern editor under a layer
+function toggleLayerPatternEditor(layerId) {
+  expandedLayerId = expandedLayerId === layerId ? null : layerId;
+  renderLayerList();
+}
+
+function showLayersPanel() {
+  renderLayerList();
+  document.getElementById('layersPanel').classList.add('open');
+}
+
+function hideLayersPanel() {
+  document.getElementById('layersPanel').classList.remove('open');
+}
+
+function toggleLayersPanel() {
+  const panel = document.getElementById('layersPanel');
+  if (panel.classList.contains('open')) {
+    hideLayersPanel();
+  } else {
+    showLayersPanel();
+  }
+}
+
+// Wires up the layers panel and its toggle button
+function initLayerControls() {
+  document.getElementById('layersToggleBtn').addEventListener('click', toggleLayersPanel);
+  document.getElementById('closeLayersBtn').addEventListener('click', hideLayersPanel);
+  document.getElementById('undoLayerBtn').addEventListener('click', undoLastLayer);
+  renderLayerList();
+}
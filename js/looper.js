@@ -0,0 +1,220 @@
+// Motion looper: records the pitch and pan the preview loop plays over a number of bars into a melody layer
+const melodySubdivision = '4n'; // The preview loop plays (and the looper records) one note per quarter
+const maxMelodyNotes = 128;
+const loopBarOptions = [1, 2, 4, 8];
+
+let loopBars = 2; // Length of a recording
+let motionRecording = null; // Pass being recorded: { eventId, startTicks, noteCount, notes, startedPreview }
+let motionTake = null; // Current recording: { bars, layerIds } (one layer per pass); overdubs keep its length
+
+/**
+ * Returns the note a melody layer plays at a transport time. Notes are frequency ratios
+ * against the layer's frequency, so retuning the layer transposes the melody.
+ * @param {Object} melody - { notes: [{ ratio, pan }], offset }.
+ * @param {number} time - Audio context time of the step.
+ * @param {Tone.Transport} [transport] - The transport to read the position from.
+ * @returns {{ratio: number, pan: number}} The note.
+ */
+function getMelodyNote(melody, time, transport = Tone.getTransport()) {
+  const stepTicks = Tone.Time(melodySubdivision).toTicks();
+  const step = Math.floor((transport.getTicksAtTime(time) + 1) / stepTicks); // A tick of slack for rounding
+  const count = melody.notes.length;
+  return melody.notes[((step - melody.offset) % count + count) % count];
+}
+
+/**
+ * Plays the melody step of a layer: returns its frequency and moves the layer's panner.
+ * Called from the layer's loop callback.
+ * @param {Tone.Loop} loop - The melody layer.
+ * @param {number} time - Audio context time of the step.
+ * @returns {number} Frequency in Hz.
+ */
+function playMelodyStep(loop, time) {
+  const note = getMelodyNote(loop.melody, time);
+  loop.panner.pan.linearRampTo(note.pan, 0.05, time);
+  return loop.frequency * note.ratio;
+}
+
+/**
+ * Turns a layer into a melody layer with its own panner.
+ * @param {Tone.Loop} loop - A layer from addFixedLoop().
+ * @param {Object} melody - { notes, offset }.
+ */
+function setLayerMelody(loop, melody) {
+  loop.melody = melody;
+  if (!loop.panner) {
+    loop.panner = new Tone.Panner(0).connect(masterBus);
+    routeVoiceThrough(loop.synth, loop.panner);
+  }
+  renderLayerList();
+}
+
+/**
+ * Validates a melody from an untrusted source (scene link).
+ * @param {*} melody - The candidate melody as stored in a scene: { n: [[ratio, pan]], o }.
+ * @returns {Object|null} A melody, or null if there is none or it is invalid.
+ */
+function sanitizeMelody(melody) {
+  if (!melody || !Array.isArray(melody.n) || melody.n.length === 0) return null;
+  const notes = melody.n.slice(0, maxMelodyNotes).map(note => {
+    const [ratio, pan] = Array.isArray(note) ? note : [];
+    return {
+      ratio: typeof ratio === 'number' && ratio > 0.01 && ratio < 100 ? ratio : 1,
+      pan: typeof pan === 'number' ? Math.max(-1, Math.min(1, pan)) : 0
+    };
+  });
+  const offset = Number.isFinite(melody.o) ? Math.round(melody.o) % notes.length : 0;
+  return { notes, offset };
+}
+
+// Compact form of a layer's melody for scene links
+function encodeMelody(melody) {
+  return {
+    n: melody.notes.map(note => [Math.round(note.ratio * 10000) / 10000, Math.round(note.pan * 100) / 100]),
+    o: melody.offset
+  };
+}
+
+function setLooperStatus(message) {
+  document.getElementById('looperStatus').textContent = message;
+}
+
+// Enables the looper buttons for the current state
+function updateLooperControls() {
+  const recording = motionRecording !== null;
+  document.getElementById('motionRecordBtn').textContent = recording ? 'Cancel' : 'Record Motion';
+  document.getElementById('motionOverdubBtn').disabled = recording || !motionTake;
+  document.getElementById('motionClearBtn').disabled = recording || !motionTake;
+  document.getElementById('loopBarsSelect').disabled = recording;
+}
+
+/**
+ * Starts recording a pass from the next bar. The preview loop is started if it isn't playing,
+ * and stopped again when the pass is done.
+ * @param {boolean} overdub - Add the pass to the current recording instead of starting a new one.
+ */
+function startMotionRecording(overdub) {
+  if (motionRecording || !masterBus) return;
+  if (!overdub) motionTake = { bars: loopBars, layerIds: [] };
+
+  const startedPreview = !previewLoop;
+  if (startedPreview) startPreviewLoop();
+
+  const transport = Tone.getTransport();
+  const barTicks = Tone.Time('1m').toTicks();
+  const stepTicks = Tone.Time(melodySubdivision).toTicks();
+  const startTicks = Math.ceil((transport.ticks + 1) / barTicks) * barTicks;
+
+  motionRecording = {
+    startTicks,
+    noteCount: Math.min(maxMelodyNotes, Math.round(motionTake.bars * barTicks / stepTicks)),
+    notes: [],
+    startedPreview
+  };
+  motionRecording.eventId = transport.scheduleRepeat(captureMotionStep, melodySubdivision, `${startTicks}i`);
+  setLooperStatus('Recording starts on the next bar…');
+  updateLooperControls();
+}
+
+// Captures the pitch and pan of one step, as the preview loop plays it
+function captureMotionStep(time) {
+  const recording = motionRecording;
+  if (!recording || recording.notes.length >= recording.noteCount) return;
+  recording.notes.push({ frequency: getNormalizedValue(), pan: panner ? panner.pan.value : 0 });
+
+  const done = recording.notes.length === recording.noteCount;
+  const beatsPerBar = recording.noteCount / motionTake.bars;
+  const bar = Math.floor((recording.notes.length - 1) / beatsPerBar) + 1;
+  Tone.getDraw().schedule(() => {
+    if (recording !== motionRecording) return; // Cancelled in the meantime
+    if (done) finishMotionRecording();
+    else setLooperStatus(`Recording bar ${bar} of ${motionTake.bars}`);
+  }, time);
+}
+
+// Turns the recorded pass into a melody layer
+function finishMotionRecording() {
+  const recording = motionRecording;
+  stopMotionRecording();
+
+  const base = recording.notes[0].frequency;
+  const stepTicks = Tone.Time(melodySubdivision).toTicks();
+  const loop = addFixedLoop(base, clonePattern(patternPresets['Quarter Pulse']));
+  if (!loop) {
+    setLooperStatus('The voice limit is reached, so the recording was dropped.');
+    return;
+  }
+  setLayerMelody(loop, {
+    notes: recording.notes.map(note => ({ ratio: note.frequency / base, pan: note.pan })),
+    offset: Math.round(recording.startTicks / stepTicks) % recording.noteCount
+  });
+  motionTake.layerIds.push(loop.layerId);
+
+  const passes = motionTake.layerIds.length;
+  setLooperStatus(`Recorded ${motionTake.bars} bar${motionTake.bars === 1 ? '' : 's'} (${passes} pass${passes === 1 ? '' : 'es'})`);
+}
+
+// Stops the current pass without keeping it, and the preview loop if the looper started it
+function stopMotionRecording() {
+  if (!motionRecording) return;
+  Tone.getTransport().clear(motionRecording.eventId);
+  if (motionRecording.startedPreview && previewLoop) {
+    previewLoop.stop();
+    releaseVoice(previewLoop.synth);
+    previewLoop.dispose();
+    previewLoop = null;
+    updateMasterVolume();
+  }
+  motionRecording = null;
+  updateLooperControls();
+}
+
+function cancelMotionRecording() {
+  stopMotionRecording();
+  if (motionTake.layerIds.length === 0) motionTake = null; // Nothing was kept of a new recording
+  setLooperStatus('Recording cancelled.');
+  updateLooperControls();
+}
+
+// Removes every pass of the current recording
+function clearMotionTake() {
+  if (!motionTake) return;
+  motionTake.layerIds.forEach(removeLayer);
+  motionTake = null;
+  setLooperStatus('');
+  updateLooperControls();
+}
+
+// Forgets the looper state when all sounds are cleared (the layers are gone already)
+function resetMotionLooper() {
+  if (motionRecording) {
+    motionRecording.startedPreview = false; // clearSounds() stops the preview loop itself
+    stopMotionRecording();
+  }
+  motionTake = null;
+  setLooperStatus('');
+  updateLooperControls();
+}
+
+// Wires up the looper buttons and the bar count
+function initLooperControls() {
+  const loopBarsSelect = document.getElementById('loopBarsSelect');
+  loopBarOptions.forEach(bars => {
+    const option = document.createElement('option');
+    option.value = bars;
+    option.textContent = `${bars} bar${bars === 1 ? '' : 's'}`;
+    loopBarsSelect.appendChild(option);
+  });
+  loopBarsSelect.value = loopBars;
+  loopBarsSelect.addEventListener('change', () => {
+    loopBars = parseInt(loopBarsSelect.value, 10);
+  });
+
+  document.getElementById('motionRecordBtn').addEventListener('click', () => {
+    if (motionRecording) cancelMotionRecording();
+    else startMotionRecording(false);
+  });
+  document.getElementById('motionOverdubBtn').addEventListener('click', () => startMotionRecording(true));
+  document.getElementById('motionClearBtn').addEventListener('click', clearMotionTake);
+  updateLooperControls();
+}
@@ -11,11 +11,13 @@
       let wakeLock = null; // Screen wake lock object
       let beta = 0; // Device orientation values (pitch)
       let gamma = 0; // Device orientation values (panning)
+      let alpha = 0; // Device orientation values (compass heading)
       let panner = null; // Stereo panner for spatial audio
-      const maxFrequency = 880; // Maximum frequency for the oscillator/synth (approx A5)
 
       // --- Scale-related Global Variables and Definitions ---
       let currentScaleConfig = null; // Holds the { rootNote, intervals } for the selected scale
+      let currentRootNote = 'C'; // Root note name, one of noteNames
+      let currentScaleName = 'Off'; // Key of availableScales
 
       const availableScales = {
         'Off': { intervals: null }, // No snapping
@@ -52,89 +54,112 @@
       let lastTapTime = 0;
       const doubleTapThreshold = 300; // milliseconds
       let activePointers = new Set(); // Track active pointer IDs for multi-touch
+      let gesturePointerCount = 0; // Most fingers down at once during the current touch
 
       // --- Scale-related Functions ---
 
       /**
-       * Generates an array of frequencies for a given scale and octave range.
-       * @param {string} rootNote - The root note (e.g., 'C', 'A#').
-       * @param {number[]} intervals - Array of semitone intervals from the root.
-       * @param {number} minOctave - The minimum octave to generate notes from.
-       * @param {number} maxOctave - The maximum octave to generate notes up to.
-       * @returns {number[]} Sorted array of frequencies in Hz.
+       * Rebuilds the snapping frequencies from the current root note and scale.
+       * Playing sounds are left alone; callers decide whether to clear them.
        */
-      function generateScaleFrequencies(rootNote, intervals, minOctave = 3, maxOctave = 6) {
-        const notes = [];
-        // Get the MIDI note for the root of the first octave
-        const baseMidi = Tone.Midi(`${rootNote}${minOctave}`).toMidi();
-
-        for (let octave = minOctave; octave <= maxOctave; octave++) {
-          for (let interval of intervals) {
-            const midiNote = baseMidi + (octave - minOctave) * 12 + interval;
-            const freq = Tone.Frequency(midiNote, 'midi').toFrequency();
-
-            // Only add frequencies within a reasonable audible and application range
-            if (freq >= 50 && freq <= maxFrequency * 1.5) {
-              notes.push(freq);
-            }
-          }
+      function updateScaleFrequencies() {
+        currentScaleConfig = availableScales[currentScaleName];
+
+        if (currentScaleConfig && currentScaleConfig.intervals) {
+          // Scales imported with a keyboard mapping bring their own root pitch
+          const hasOwnRoot = currentScaleConfig.rootMidi !== undefined;
+          // Cover the octaves of the tilt pitch range, with one spare either side for snapping
+          generatedScaleFrequencies = generateScaleFrequencies(
+            hasOwnRoot ? currentScaleConfig.rootMidi : currentRootNote,
+            currentScaleConfig.intervals,
+            Math.floor(pitchLowMidi / 12) - 2,
+            Math.floor(pitchHighMidi / 12),
+            currentScaleConfig.period || 12,
+            referencePitch
+          );
+        } else {
+          generatedScaleFrequencies = []; // No snapping
         }
-        // Sort the frequencies to make snapping more efficient
-        return notes.sort((a, b) => a - b);
+        emitSynthEvent('state', { change: 'scale' });
+        queueSessionState(); // A jam session host shares its scale
       }
 
-      /**
-       * Creates a new FMSynth with the current selected waveform and connects it to the master gain.
-       * @returns {Tone.FMSynth} The newly created synth.
-       */
-      function createSynth() {
-        const selectedWaveform = document.getElementById('waveformSelect').value;
-        return new Tone.FMSynth({
-          oscillator: { type: selectedWaveform },
-          envelope: {
-            attack: attackTime,
-            release: releaseTime
-          }
-        }).connect(masterBus);
+      // Shows the current root note and scale in the dropdowns
+      function updateScaleControls() {
+        const rootNoteSelect = document.getElementById('rootNoteSelect');
+        const scaleSelect = document.getElementById('scaleSelect');
+        rootNoteSelect.value = currentRootNote;
+        scaleSelect.value = currentScaleName;
+        // Scales imported with a keyboard mapping bring their own root pitch
+        rootNoteSelect.disabled = !currentScaleConfig || !currentScaleConfig.intervals || currentScaleConfig.rootMidi !== undefined;
       }
 
       /**
-       * Finds the closest frequency in a sorted array of scale frequencies to a given raw frequency.
-       * @param {number} rawFreq - The frequency from device orientation.
-       * @returns {number} The snapped frequency.
+       * Returns a voice of the selected synth engine connected to the master gain,
+       * reusing an idle one from the voice pool when possible.
+       * @returns {Tone.Instrument} The synth.
        */
-      function getSnappedFrequency(rawFreq) {
-        if (generatedScaleFrequencies.length === 0) {
-          return rawFreq; // Should not happen if 'Off' is handled correctly
-        }
-
-        let closestFreq = generatedScaleFrequencies[0];
-        let minDifference = Math.abs(rawFreq - closestFreq);
-
-        for (let i = 1; i < generatedScaleFrequencies.length; i++) {
-          const currentFreq = generatedScaleFrequencies[i];
-          const difference = Math.abs(rawFreq - currentFreq);
-          if (difference < minDifference) {
-            minDifference = difference;
-            closestFreq = currentFreq;
-          }
-        }
-        return closestFreq;
+      function createSynth() {
+        return takePooledVoice() || createEngineVoice().connect(masterBus);
       }
 
-      // Function to get the normalized frequency based on device beta tilt
+      // Function to get the normalized frequency based on device tilt
       // This function now applies snapping if a scale is selected.
       function getNormalizedValue() {
-        // Using raw beta directly as per user-provided original logic
-        let rawFreq = ((Math.sin(beta * (Math.PI / 180))) * maxFrequency + maxFrequency) / 2;
+        // Range, curve, axis and calibration come from the tilt mapping settings
+        let rawFreq = getMappedFrequency();
 
         // If a scale is selected (i.e., not 'Off'), snap the frequency
         if (currentScaleConfig && currentScaleConfig.intervals && generatedScaleFrequencies.length > 0) {
-          rawFreq = getSnappedFrequency(rawFreq);
+          // Hysteresis keeps a pitch between two notes from flickering
+          rawFreq = holdSnappedFrequency(rawFreq, getSnappedFrequency(rawFreq, generatedScaleFrequencies));
         }
         return rawFreq;
       }
 
+      /**
+       * Updates the orientation angles and everything that follows them: the displays,
+       * the continuous note, MIDI and the stereo pan. Fed by the motion sensors or by
+       * a fallback input source (XY pad, mouse or arrow keys).
+       * @param {number} newBeta - Front-to-back tilt in degrees.
+       * @param {number} newGamma - Left-to-right tilt in degrees.
+       * @param {number} newAlpha - Compass heading in degrees.
+       */
+      function setOrientation(newBeta, newGamma, newAlpha) {
+        beta = newBeta;
+        gamma = newGamma;
+        alpha = newAlpha;
+
+        // Update Beta/Gamma display
+        const betaDisplay = document.getElementById('betaDisplay');
+        if (betaDisplay) {
+            betaDisplay.textContent = `Beta: ${beta.toFixed(1)}°`;
+        }
+        const gammaDisplay = document.getElementById('gammaDisplay');
+        if (gammaDisplay) {
+            gammaDisplay.textContent = `Gamma: ${gamma.toFixed(1)}°`;
+        }
+
+        const freq = getNormalizedValue();
+        // If the continuous instrument is active, update its frequency in real-time
+        if (instrument) {
+          // Plucked strings can't glide, so they keep the pitch they were plucked at
+          if (instrument.frequency) instrument.frequency.rampTo(freq, 0.05); // Smooth frequency transition
+          updateContinuousMidiNote(freq);
+        }
+        sendMidiGammaCC(gamma);
+
+        // Update panner based on gamma (left/right tilt), unless the modulation matrix drives the pan
+        if (panner && !isModulated('pan')) {
+          // Map gamma (-90 to 90) to panner pan (-1 to 1)
+          const panValue = Math.max(-1, Math.min(1, gamma / 90));
+          panner.pan.rampTo(panValue, 0.1);
+        }
+
+        updateModulation();
+        updateSurfaceVibrato();
+      }
+
       // Function to initialize Tone.js audio context and effects
       async function startSounds() {
         // Idempotency check to prevent redundant audio graph initialization
@@ -153,27 +178,30 @@
         // Low-shelf filter to give a slight boost to low frequencies
         const lowBump = new Tone.Filter(200, "lowshelf");
 
-        // Reverb for spatial depth
-        const reverb = new Tone.Reverb({
-          decay: 2,
-          wet: 0.3
-        });
+        // Reverb for spatial depth, with the size and mix from the effects rack
+        const reverb = new Tone.Reverb(getEffectOptions(findEffect('reverb')));
         await reverb.ready;
 
-        // Feedback Delay
-        delayNode = new Tone.FeedbackDelay("8n", 0.5);
+        // Feedback Delay, synced to the tempo
+        delayNode = new Tone.FeedbackDelay(getEffectOptions(findEffect('delay')));
         delayNode.wet.value = delayWet;
 
         // Stereo Panner for orientation-based spatial audio
         panner = new Tone.Panner(0).toDestination();
 
-        // Chain the effects to the panner
-        masterBus.chain(lowBump, masterCompressor, reverb, delayNode, panner);
+        // Chain the fixed dynamics and the modulated volume, then the effects rack (starting with the reverb and delay) to the panner
+        const modulatedVolume = getModulationGain();
+        masterBus.chain(lowBump, masterCompressor, modulatedVolume);
+        initEffectsRack(modulatedVolume, panner, { reverb, delay: delayNode });
+        updateModulation();
 
         // Initialize waveform analyzer and connect it to panner
         waveformAnalyzer = new Tone.Waveform(1024); // 1024 samples for the waveform
         panner.connect(waveformAnalyzer);
 
+        // Tap the post-effects signal for recording
+        connectRecorder(panner);
+
         //console.log("Tone.js audio context ready to start on interaction.");
       }
 
@@ -183,44 +211,35 @@
         Tone.getTransport().stop();
         Tone.getTransport().cancel();
         Tone.getTransport().clear();
+        queueSessionState(); // A jam session host tells the players its transport stopped
+
+        // Silence anything sent to an external MIDI port
+        sendMidiAllNotesOff();
 
         // Stop the continuous instrument if it's active
         if (instrument) {
-          if (instrument.triggerRelease) {
-              instrument.triggerRelease();
-              const toDispose = instrument;
-              setTimeout(() => toDispose.dispose(), releaseTime * 1000 + 100);
-          } else {
-              if (instrument.stop) instrument.stop();
-              instrument.dispose();
-          }
+          releaseVoice(instrument); // Back to the voice pool once released
           instrument = null;
         }
 
-        // Stop and dispose of the preview loop and its synth
+        // Stop and dispose of the preview loop, returning its synth to the pool
         if (previewLoop) {
             previewLoop.stop();
-            // Dispose of the synth associated with the previewLoop
             if (previewLoop.synth) {
-                previewLoop.synth.triggerRelease();
-                const toDispose = previewLoop.synth;
-                setTimeout(() => toDispose.dispose(), releaseTime * 1000 + 100);
+                releaseVoice(previewLoop.synth);
             }
             previewLoop.dispose();
             previewLoop = null;
         }
 
         // Stop and dispose of all saved loops
-        savedLoops.forEach(loop => {
-          loop.stop();
-          if (loop.synth) {
-              loop.synth.triggerRelease();
-              const toDispose = loop.synth;
-              setTimeout(() => toDispose.dispose(), releaseTime * 1000 + 100);
-          }
-          loop.dispose(); // Dispose of each loop
-        });
+        savedLoops.forEach(disposeLayer);
         savedLoops = []; // Clear the saved loops array
+        renderLayerList();
+        emitSynthEvent('layer', { action: 'clear' });
+        resetMotionLooper();
+        setGenerativeMode(false);
+        resetRemoteLayers();
         //console.log("All sounds cleared.");
         updateMasterVolume(); // Update volume after clearing sounds
       }
@@ -235,19 +254,19 @@
         if (instrument && instrument.active) {
           // If instrument is active, stop it
           const currentInstrument = instrument;
-          currentInstrument.triggerRelease();
           currentInstrument.active = false;
           instrument = null; // Clear global reference immediately to allow re-triggering
-
-          setTimeout(() => {
-              currentInstrument.dispose();
-          }, releaseTime * 1000 + 100);
+          stopContinuousMidiNote();
+          releaseVoice(currentInstrument); // Back to the voice pool once released
           //console.log("Continuous note instrument stopping.");
         } else {
           // If instrument is not active, start it
+          const freq = getNormalizedValue();
           instrument = createSynth();
-          instrument.triggerAttack(getNormalizedValue());
+          instrument.triggerAttack(freq);
           instrument.active = true;
+          startContinuousMidiNote(freq);
+          emitSynthEvent('note', { frequency: freq, duration: null, time: Tone.now(), source: 'continuous' });
           //console.log("Continuous note instrument started.");
           // Ensure transport is running if it's not already
           if (Tone.getTransport().state !== 'started') {
@@ -266,16 +285,16 @@
 
         // Ensure no continuous instrument is playing
         if (instrument) {
-          if (instrument.stop) instrument.stop();
-          instrument.dispose();
+          releaseVoice(instrument);
           instrument = null;
+          stopContinuousMidiNote();
         }
 
-        // Stop and dispose of any existing preview loop and its synth
+        // Stop and dispose of any existing preview loop, returning its synth to the pool
         if (previewLoop) {
           previewLoop.stop();
-          if (previewLoop.synth) { // Dispose of the synth if it exists
-              previewLoop.synth.dispose();
+          if (previewLoop.synth) {
+              releaseVoice(previewLoop.synth);
           }
           previewLoop.dispose();
           previewLoop = null;
@@ -283,10 +302,14 @@
 
         // Create the synth for the preview loop locally
         const synth = createSynth();
+        // The loop reads its synth from previewLoop.synth, which is replaced when the engine changes
         previewLoop = new Tone.Loop((time) => {
           // Call getNormalizedValue() directly for each pulse to ensure dynamic update (and snapping if enabled)
           const currentFreq = getNormalizedValue();
-          synth.triggerAttackRelease(currentFreq, "8n", time);
+          previewLoop.synth.triggerAttackRelease(currentFreq, "8n", time);
+          sendMidiNote(currentFreq, "8n", time);
+          emitSynthEvent('note', { frequency: currentFreq, duration: Tone.Time("8n").toSeconds(), time, source: 'preview' });
+          Tone.getDraw().schedule(() => { if (previewLoop) previewLoop.lastHitTime = performance.now(); }, time); // For the layer lanes view
           //console.log("Preview Loop: Triggering note at frequency:", currentFreq.toFixed(2));
         }, "4n").start(0);
 
@@ -301,26 +324,81 @@
         updateMasterVolume(); // Update volume after starting preview loop
       }
 
-      // Function to add a fixed loop (tone is saved at time of touch)
-      function addFixedLoop() {
+      /**
+       * Single tap action: adds a fixed layer (or a chord in chord mode) if anything is playing,
+       * otherwise starts the preview loop.
+       * @param {number} [frequency] - Pitch for the new layer. Defaults to the current tilt pitch.
+       */
+      function playOrAddLayer(frequency) {
+        if (instrument || previewLoop || savedLoops.length > 0) { // If any sound is currently active
+            // Add a fixed loop, allowing existing sounds to continue
+            if (chordSettings.enabled) {
+              addChordLayer(frequency);
+            } else {
+              addFixedLoop(frequency);
+            }
+        } else {
+            startPreviewLoop(); // Otherwise, start the dynamic preview loop
+        }
+      }
+
+      /**
+       * Plays one step of a layer: its note, melody note or chord, as its rhythm pattern says.
+       * Called from the layer's loop, so engine changes and edits in the layers panel apply on the next step.
+       * @param {Tone.Loop} loop - The layer (a fixed loop, or a layer mirrored from a jam session).
+       * @param {number} time - Audio context time of the step.
+       */
+      function playLayerStep(loop, time) {
+        if (!isPatternStepActive(loop.pattern, time)) return;
+        // Layers recorded with the motion looper play their melody instead of a single pitch
+        const frequency = loop.melody ? playMelodyStep(loop, time) : loop.frequency;
+        if (loop.chord) {
+          const notes = getChordFrequencies(loop.chord, frequency);
+          loop.synth.triggerAttackRelease(notes, loop.pattern.noteLength, time);
+          notes.forEach(note => sendMidiNote(note, loop.pattern.noteLength, time));
+          emitSynthEvent('note', { frequency: notes, duration: Tone.Time(loop.pattern.noteLength).toSeconds(), time, source: loop.layerId ? 'layer' : 'session', layerId: loop.layerId });
+        } else {
+          loop.synth.triggerAttackRelease(frequency, loop.pattern.noteLength, time);
+          sendMidiNote(frequency, loop.pattern.noteLength, time);
+          emitSynthEvent('note', { frequency, duration: Tone.Time(loop.pattern.noteLength).toSeconds(), time, source: loop.layerId ? 'layer' : 'session', layerId: loop.layerId });
+        }
+        Tone.getDraw().schedule(() => { loop.lastHitTime = performance.now(); }, time); // For the layer lanes view
+      }
+
+      /**
+       * Adds a fixed loop (tone is saved at time of touch).
+       * @param {number} [frequency] - Frequency to loop. Defaults to the current tilt pitch.
+       * @param {Object} [pattern] - Rhythm pattern for the layer. Defaults to the pattern chosen in settings.
+       * @param {Object} [chord] - Chord from buildChord() to play on the frequency instead of a single note.
+       * @returns {Tone.Loop|null} The new layer, or null if the polyphony limit refused it.
+       */
+      function addFixedLoop(frequency, pattern = getDefaultPattern(), chord = null) {
         // Ensure Tone.js context is started on first interaction
         if (Tone.context.state !== 'running') {
           Tone.start();
         }
 
+        // Respect the polyphony limit, stealing a layer if the policy allows
+        if (!claimVoiceSlot(chord ? chord.ratios.length : 1)) return null;
+
         // Capture the current normalized frequency when the tap occurs (this will be snapped if a scale is active)
-        const fixedFrequency = getNormalizedValue(); // Capture the value ONCE here
+        const fixedFrequency = frequency !== undefined ? frequency : getNormalizedValue(); // Capture the value ONCE here
 
-        // Create a new FM synth for the loop
-        const synth = createSynth();
+        // Create a new synth for the loop (chords get a polyphonic voice)
+        const synth = chord ? createChordVoice(chord.ratios.length).connect(masterBus) : createSynth();
 
-        // Create a new Tone.Loop. The fixedFrequency is now used directly.
-        const newLoop = new Tone.Loop((time) => {
-          synth.triggerAttackRelease(fixedFrequency, "8n", time); // Use the captured fixedFrequency
-        }, "4n").start(0); // Start the loop immediately
+        // Create a new Tone.Loop ticking at the pattern's subdivision. Synth, frequency and pattern are
+        // read from the loop by playLayerStep().
+        const newLoop = new Tone.Loop((time) => playLayerStep(newLoop, time), pattern.subdivision).start(0); // Start the loop immediately
 
         newLoop.synth = synth; // Attach synth for explicit disposal
+        newLoop.frequency = fixedFrequency; // Captured frequency, changed only by retuning the layer
+        newLoop.chord = chord;
+        setLayerPattern(newLoop, pattern);
         savedLoops.push(newLoop); // Add the new loop to the array of saved loops
+        initLayer(newLoop);
+        renderLayerList();
+        emitSynthEvent('layer', { action: 'add', layer: describeLayer(newLoop) });
 
         // Start the Tone.js transport if it's not already running.
         if (Tone.getTransport().state !== 'started') {
@@ -331,6 +409,7 @@
         }
         //console.log(`Added a new fixed loop at frequency: ${fixedFrequency.toFixed(2)} Hz. Total loops: ${savedLoops.length}`);
         updateMasterVolume(); // Update volume after adding a new loop
+        return newLoop;
       }
 
       /**
@@ -363,18 +442,42 @@
           .remove();
       }
 
+      let toastTimer = null; // Timer hiding the current toast message
+
+      /**
+       * Shows a short message at the bottom of the screen.
+       * @param {string} message - The text to show.
+       * @param {number} [duration=4000] - How long to show it, in milliseconds.
+       */
+      function showToast(message, duration = 4000) {
+        const toast = document.getElementById('toast');
+        if (!toast) return;
+        toast.textContent = message;
+        toast.classList.add('visible');
+        clearTimeout(toastTimer);
+        toastTimer = setTimeout(() => toast.classList.remove('visible'), duration);
+      }
+
+      /**
+       * Master bus gain for a mix, live or rendered offline: divide by the number of active
+       * tracks (minimum of 1), or keep their summed power constant so a new layer changes the
+       * loudness much less than dividing.
+       * @param {number[]} levels - Linear levels of the sounding voices.
+       * @returns {number} Linear gain.
+       */
+      function getBusGain(levels) {
+        const activeSoundCount = levels.length;
+        if (voiceSettings.gainStrategy === 'divide') return 1.0 / Math.max(1, activeSoundCount);
+        const power = levels.reduce((sum, level) => sum + level * level, 0);
+        return 1 / Math.sqrt(Math.max(1, power));
+      }
+
       /**
        * Adjusts the master volume based on the number of active sound sources to prevent peaking.
-       * Uses the user-defined volume and balances it based on the number of active tracks.
+       * Uses the user-defined volume and balances it with the gain strategy chosen in the voice settings.
        */
       function updateMasterVolume() {
-        let activeSoundCount = 0;
-        if (instrument) activeSoundCount++;
-        if (previewLoop) activeSoundCount++;
-        activeSoundCount += savedLoops.length;
-
-        // Calculate gain: divide by the number of active tracks (minimum of 1)
-        const busGain = 1.0 / Math.max(1, activeSoundCount);
+        const busGain = getBusGain(getSoundingLevels());
 
         // Apply a smooth ramp to the gain change on the masterBus node to avoid clicks/pops
         if (masterBus) {
@@ -384,8 +487,9 @@
         // Map the userVolume to the destination volume (0 to 1 -> -Infinity to 0 dB)
         const volumeDb = Tone.gainToDb(userVolume);
         Tone.Destination.volume.rampTo(volumeDb, 0.1);
+        updateVoiceCounter();
 
-        //console.log(`Active sounds: ${activeSoundCount}. User volume: ${userVolume} (${volumeDb.toFixed(2)} dB). Master bus gain set to: ${busGain.toFixed(2)}`);
+        //console.log(`User volume: ${userVolume} (${volumeDb.toFixed(2)} dB). Master bus gain set to: ${busGain.toFixed(2)}`);
       }
 
 
@@ -407,62 +511,17 @@
         }
       }
 
-      // D3.js color scale for the bars (from blue to red based on amplitude)
-      const colorScale = d3.scaleLinear()
-                           .domain([0, 0.5, 1]) // Amplitude range
-                           .range(["#3498db", "#f1c40f", "#e74c3c"]); // Blue, Yellow, Red
-
-      // Function to update the D3.js bar graph visualization
-      function updateWaveformVisualization() {
-        if (!waveformAnalyzer || !waveformSvg) {
-          requestAnimationFrame(updateWaveformVisualization);
-          return;
-        }
-
-        // Get the waveform data from the analyzer
-        const waveformArray = waveformAnalyzer.getValue();
-
-        // Get current SVG dimensions
-        const svgWidth = waveformSvg.node().clientWidth;
-        const svgHeight = waveformSvg.node().clientHeight;
-
-        // Dynamic minimum bar height based on SVG height
-        const minBarHeight = svgHeight * 0.01; // 1% of SVG height
-
-        // Calculate samples per bar and bar width
-        const samplesPerBar = Math.floor(waveformArray.length / barCount);
-        const barWidth = svgWidth / barCount;
-
-        // Prepare data for bars (average amplitude for each segment)
-        const barData = [];
-        const visualGain = 2.0; // Factor to visually amplify low signals
-        for (let i = 0; i < barCount; i++) {
-          let sum = 0;
-          for (let j = 0; j < samplesPerBar; j++) {
-            // Apply visualGain here to amplify for visualization, and clamp to 1.0
-            sum += Math.min(1.0, Math.abs(waveformArray[i * samplesPerBar + j]) * visualGain);
-          }
-          barData.push(sum / samplesPerBar); // Average amplitude for the bar
-        }
+      /**
+       * Animation loop: draws the current visualizer view and the scale ladder, and updates
+       * the frequency display. Frames are throttled while the app is idle.
+       * @param {number} now - Timestamp from requestAnimationFrame.
+       */
+      function updateWaveformVisualization(now) {
+        requestAnimationFrame(updateWaveformVisualization);
+        if (!waveformAnalyzer || !shouldDrawVisualizerFrame(now)) return;
 
-        // D3 update pattern for rectangles
-        const bars = waveformSvg.selectAll(".bar") // Select by class now
-          .data(barData);
-
-        // Enter new bars
-        bars.enter().append("rect")
-          .attr("class", "bar") // Assign class for styling
-          .attr("x", (d, i) => i * barWidth)
-          .attr("width", barWidth * 0.8) // Slightly smaller width for gaps
-          .merge(bars) // Merge enter and update selections
-          // Removed transition for real-time performance
-          .attr("x", (d, i) => i * barWidth + (barWidth * 0.1)) // Adjust x for centering with gap
-          // Ensure bars have a minimum height and are positioned from the bottom
-          .attr("y", d => svgHeight - Math.max(minBarHeight, d * svgHeight))
-          .attr("height", d => Math.max(minBarHeight, d * svgHeight))
-          .attr("fill", d => colorScale(d)); // 'd' is the amplitude value for each bar
-        // Exit old bars
-        bars.exit().remove();
+        drawVisualizer();
+        drawTuner();
 
         // Throttled real-time frequency/note display update
         const freq = getNormalizedValue();
@@ -471,9 +530,6 @@
           const note = Tone.Frequency(freq).toNote();
           display.textContent = `${freq.toFixed(2)} Hz (${note})`;
         }
-
-        // Request the next frame
-        requestAnimationFrame(updateWaveformVisualization);
       }
 
       // Handle SVG resizing
@@ -498,7 +554,6 @@
       document.addEventListener('DOMContentLoaded', () => {
         const rootNoteSelect = document.getElementById('rootNoteSelect');
         const scaleSelect = document.getElementById('scaleSelect');
-        const waveformSelect = document.getElementById('waveformSelect');
         const volumeSlider = document.getElementById('volumeSlider');
         const attackSlider = document.getElementById('attackSlider');
         const releaseSlider = document.getElementById('releaseSlider');
@@ -546,75 +601,66 @@
         }
 
         function updateScaleSettings() {
-            const selectedScaleName = scaleSelect.value;
-            const selectedRootNote = rootNoteSelect.value;
-            currentScaleConfig = availableScales[selectedScaleName];
-
-            if (currentScaleConfig && currentScaleConfig.intervals) {
-                generatedScaleFrequencies = generateScaleFrequencies(selectedRootNote, currentScaleConfig.intervals);
-                rootNoteSelect.disabled = false;
-            } else {
-                generatedScaleFrequencies = []; // No snapping
-                rootNoteSelect.disabled = true;
-            }
-            clearSounds(); // Reset all sounds when scale changes
+            GyroSynth.setScale(rootNoteSelect.value, scaleSelect.value); // Resets all sounds
         }
 
+        // The controls drive the engine, and follow it when presets, MIDI or scripts change it
+        const paramSliders = { volume: volumeSlider, attack: attackSlider, release: releaseSlider, delayWet: delayWetSlider };
+        GyroSynth.on('state', ({ change, name, value }) => {
+            if (change === 'scale') updateScaleControls();
+            if (change === 'param' && paramSliders[name]) paramSliders[name].value = value;
+        });
+
         scaleSelect.addEventListener('change', updateScaleSettings);
         rootNoteSelect.addEventListener('change', updateScaleSettings);
-        waveformSelect.addEventListener('change', () => clearSounds()); // Reset sounds when waveform changes
-        volumeSlider.addEventListener('input', (e) => {
-            userVolume = parseFloat(e.target.value);
-            updateMasterVolume();
-        });
-        attackSlider.addEventListener('input', (e) => {
-            attackTime = parseFloat(e.target.value);
-        });
-        releaseSlider.addEventListener('input', (e) => {
-            releaseTime = parseFloat(e.target.value);
-        });
-        delayWetSlider.addEventListener('input', (e) => {
-            delayWet = parseFloat(e.target.value);
-            if (delayNode) {
-                delayNode.wet.rampTo(delayWet, 0.1);
-            }
-        });
-        clearAllBtn.addEventListener('click', () => clearSounds());
+        volumeSlider.addEventListener('input', (e) => GyroSynth.setParam('volume', parseFloat(e.target.value)));
+        attackSlider.addEventListener('input', (e) => GyroSynth.setParam('attack', parseFloat(e.target.value)));
+        releaseSlider.addEventListener('input', (e) => GyroSynth.setParam('release', parseFloat(e.target.value)));
+        delayWetSlider.addEventListener('input', (e) => GyroSynth.setParam('delayWet', parseFloat(e.target.value)));
+        clearAllBtn.addEventListener('click', () => GyroSynth.clear());
+        initEngineControls();
+        initEffectsControls();
+        initRecorderControls();
+        initMidiOutputControls();
+        initMidiInputControls();
+        initPresetControls();
+        initSceneControls();
+        initLayerControls();
+        initTransportControls();
+        initPatternControls();
+        initTuningControls();
+        initMappingControls();
+        initInputControls();
+        initMotionControls();
+        initModulationControls();
+        initVisualizerControls();
+        initTunerControls();
+        initVoiceControls();
+        initSurfaceControls();
+        initLooperControls();
+        initChordControls();
+        initGenerativeControls();
+        initSessionControls();
+        initUpdateControls(); // Registers the service worker
         closeSettingsBtn.addEventListener('click', hideSettings);
         settingsModal.addEventListener('click', (e) => {
             if (e.target === settingsModal) hideSettings();
         });
 
-        // Initial setup of scale frequencies (for 'Off' default)
+        // Restore the settings from the last visit, then set up the scale frequencies
+        restoreLastSettings();
         updateScaleSettings();
 
-        // Centralized device orientation listener
+        // Centralized device orientation listener; other input sources call setOrientation() directly
         window.addEventListener("deviceorientation", (event) => {
-          beta = event.beta !== null ? event.beta.valueOf() : beta;
-          gamma = event.gamma !== null ? event.gamma.valueOf() : gamma;
-
-          // Update Beta/Gamma display
-          const betaDisplay = document.getElementById('betaDisplay');
-          if (betaDisplay) {
-              betaDisplay.textContent = `Beta: ${beta.toFixed(1)}°`;
-          }
-          const gammaDisplay = document.getElementById('gammaDisplay');
-          if (gammaDisplay) {
-              gammaDisplay.textContent = `Gamma: ${gamma.toFixed(1)}°`;
-          }
-
-          const freq = getNormalizedValue();
-          // If the continuous instrument is active, update its frequency in real-time
-          if (instrument) {
-            instrument.frequency.rampTo(freq, 0.05); // Smooth frequency transition
-          }
-
-          // Update panner based on gamma (left/right tilt)
-          if (panner) {
-            // Map gamma (-90 to 90) to panner pan (-1 to 1)
-            const panValue = Math.max(-1, Math.min(1, gamma / 90));
-            panner.pan.rampTo(panValue, 0.1);
-          }
+          noteSensorReading(event);
+          if (getActiveInputSource() !== 'tilt') return;
+          // Smoothing takes out hand tremor before the angles reach pitch and pan
+          GyroSynth.setOrientation(...smoothOrientation(
+            event.beta !== null ? event.beta.valueOf() : beta,
+            event.gamma !== null ? event.gamma.valueOf() : gamma,
+            event.alpha !== null ? event.alpha.valueOf() : alpha
+          ));
         }, true);
 
         // Handle start button click for initial interaction requirements
@@ -622,30 +668,48 @@
         const startOverlay = document.getElementById('startOverlay');
 
         startButton.addEventListener('click', async () => {
-          // Start Tone.js AudioContext
-          await Tone.start();
+          // Start the audio engine
+          await GyroSynth.start();
 
           // Request DeviceOrientation permissions for iOS
           if (typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function') {
             try {
-              await DeviceOrientationEvent.requestPermission();
+              const permission = await DeviceOrientationEvent.requestPermission();
+              if (permission === 'granted') {
+                detectSensors(); // Readings only start arriving now
+                if (motionSettings.shakeToClear || motionSettings.flickToAdd) await requestMotionPermission();
+              } else {
+                setSensorStatus('denied');
+              }
             } catch (err) {
               console.error('Error requesting orientation permission:', err);
+              setSensorStatus('denied');
             }
           }
 
           // Hide overlay and re-acquire wake lock
           startOverlay.style.display = 'none';
           requestWakeLock();
+
+          // Rebuild a scene from a shared link, if the page was opened with one
+          applyPendingScene();
           //console.log("Audio context started and orientation permission requested.");
         });
 
         // Event listeners for tap (click) and long press on the SVG visualizer
         waveformSvg.on("pointerdown", async function(event) {
           activePointers.add(event.pointerId);
+          gesturePointerCount = Math.max(gesturePointerCount, activePointers.size);
           isLongPress = false;
           createRipple(event.clientX, event.clientY);
 
+          // On the play surface every finger is a voice, so taps and long presses don't apply
+          if (playSurfaceSettings.enabled) {
+            this.setPointerCapture(event.pointerId); // Keep following the finger over the other controls
+            pressFinger(event);
+            return;
+          }
+
           const touchCount = activePointers.size;
           pressTimer = setTimeout(() => {
             isLongPress = true;
@@ -657,9 +721,19 @@
           }, longPressDuration);
         });
 
+        waveformSvg.on("pointermove", function(event) {
+          if (playSurfaceSettings.enabled) moveFinger(event);
+        });
+
         waveformSvg.on("pointerup", function(event) {
           activePointers.delete(event.pointerId);
           clearTimeout(pressTimer); // Clear long press timer
+          const fingerCount = gesturePointerCount;
+          if (activePointers.size === 0) gesturePointerCount = 0; // The touch is over
+          if (playSurfaceSettings.enabled) {
+            liftFinger(event.pointerId);
+            return;
+          }
           if (isLongPress) {
               isLongPress = false; // Reset long press flag
               return; // Long press already handled
@@ -667,18 +741,18 @@
 
           // Only trigger tap action on the last pointer up and if it was a single touch
           if (activePointers.size === 0) {
+            if (fingerCount === 2) {
+                cycleVisualizerMode(); // 2-finger tap switches the visualizer view
+                return;
+            }
             const currentTime = performance.now(); // Use performance.now() for UI event timing
             if (currentTime - lastTapTime < doubleTapThreshold) {
                 // This is a double tap
-                clearSounds();
+                GyroSynth.clear();
                 lastTapTime = 0; // Reset to prevent triple taps from being double taps
             } else {
                 // This is a single tap (or the first tap of a potential double tap)
-                if (instrument || previewLoop || savedLoops.length > 0) { // If any sound is currently active
-                    addFixedLoop(); // Add a fixed loop, allowing existing sounds to continue
-                } else {
-                    startPreviewLoop(); // Otherwise, start the dynamic preview loop
-                }
+                playOrAddLayer();
                 lastTapTime = currentTime;
             }
           }
@@ -687,22 +761,11 @@
 
         waveformSvg.on("pointercancel", function(event) {
           activePointers.delete(event.pointerId);
+          if (activePointers.size === 0) gesturePointerCount = 0;
           clearTimeout(pressTimer);
+          liftFinger(event.pointerId);
         });
 
-        // Register the service worker
-        if ('serviceWorker' in navigator) {
-          window.addEventListener('load', () => {
-            navigator.serviceWorker.register('service-worker.js')
-              .then(registration => {
-                //console.log('ServiceWorker registered');
-              })
-              .catch(registrationError => {
-                console.error('ServiceWorker registration failed:', registrationError);
-              });
-          });
-        }
-
         // Call the function to request the wake lock
         requestWakeLock();
         // Re-acquire wake lock when the page becomes visible again
@@ -713,15 +776,35 @@
         });
 
         startSounds(); // Prepare Tone.js, but don't start audio context yet
-        updateWaveformVisualization(); // Start the D3 visualization loop
+        requestAnimationFrame(updateWaveformVisualization); // Start the visualization loop
         updateMasterVolume(); // Initial volume update on load
 
         // Keyboard shortcuts
         window.addEventListener("keydown", (e) => {
+            // Don't hijack typing in text and number fields
+            if (e.target.matches('input[type="text"], input[type="number"], textarea') && e.key !== "Escape") return;
+
             if (e.key.toLowerCase() === "m") {
                 showSettings();
+            } else if (e.key.toLowerCase() === "r") {
+                toggleRecording();
+            } else if (e.key.toLowerCase() === "l") {
+                toggleLayersPanel();
+            } else if (e.key.toLowerCase() === "v" && !e.target.matches('select')) {
+                cycleVisualizerMode();
+            } else if (e.key.toLowerCase() === "p") {
+                setPlaySurface(!playSurfaceSettings.enabled);
+            } else if (e.key.toLowerCase() === "c" && !e.target.matches('select')) {
+                toggleChordMode();
+            } else if (e.key.toLowerCase() === "g" && !e.target.matches('select')) {
+                toggleGenerativeMode();
+            } else if (e.key.toLowerCase() === "z") {
+                undoLastLayer(); // Z (or Ctrl/Cmd+Z) removes the last added layer
+            } else if (e.key.startsWith("Arrow") && !e.target.matches('input, select')) {
+                if (nudgeInputPosition(e.key, e.shiftKey)) e.preventDefault(); // Arrow keys steer pitch and pan without sensors
             } else if (e.key === "Escape") {
                 hideSettings();
+                hideLayersPanel();
             }
         });
       });
@@ -0,0 +1,176 @@
+// Tilt-to-pitch mapping: pitch range, curve, controlling axis, inversion and calibration
+const calibrationStorageKey = 'gyroSynthTiltCalibration';
+const tiltSpan = 90; // Degrees either side of the center that cover the full pitch range
+
+let pitchLowMidi = 45; // Bottom of the pitch range as a MIDI note (A2)
+let pitchHighMidi = 81; // Top of the pitch range as a MIDI note (A5)
+let pitchCurve = 'exponential'; // 'linear' (equal Hz) or 'exponential' (equal octaves)
+let pitchAxis = 'beta'; // Orientation axis that controls pitch: 'beta', 'gamma' or 'alpha'
+let pitchInvert = false; // Flip the direction of the axis
+let tiltCenters = { beta: 0, gamma: 0, alpha: 0 }; // Calibrated center angle of each axis
+
+/**
+ * Wraps an angle difference into the range -180 to 180 degrees.
+ * @param {number} degrees - The angle.
+ * @returns {number} The wrapped angle.
+ */
+function wrapAngle(degrees) {
+  return ((((degrees + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Returns the current reading of an orientation axis.
+ * @param {string} axis - 'beta', 'gamma' or 'alpha'.
+ * @returns {number} The angle in degrees.
+ */
+function getAxisValue(axis) {
+  if (axis === 'gamma') return gamma;
+  if (axis === 'alpha') return alpha;
+  return beta;
+}
+
+/**
+ * Maps the pitch axis to a position between 0 (lowest pitch) and 1 (highest pitch).
+ * The angle is measured from the calibrated center and shaped by a sine, so the
+ * middle of the range is the most precise.
+ * @returns {number} Position from 0 to 1.
+ */
+function getTiltPosition() {
+  const offset = wrapAngle(getAxisValue(pitchAxis) - tiltCenters[pitchAxis]);
+  const clamped = Math.max(-tiltSpan, Math.min(tiltSpan, offset));
+  const position = (Math.sin(clamped * (Math.PI / 180)) + 1) / 2;
+  return pitchInvert ? 1 - position : position;
+}
+
+// Returns the lowest and highest frequency of the pitch range in Hz
+function getPitchRange() {
+  return [
+    Tone.Frequency(pitchLowMidi, 'midi').toFrequency(),
+    Tone.Frequency(pitchHighMidi, 'midi').toFrequency()
+  ];
+}
+
+/**
+ * Converts a position in the pitch range to a frequency using the selected curve.
+ * @param {number} position - Position from 0 (low) to 1 (high).
+ * @returns {number} Frequency in Hz.
+ */
+function positionToFrequency(position) {
+  const [low, high] = getPitchRange();
+  if (pitchCurve === 'linear') {
+    return low + position * (high - low);
+  }
+  return low * Math.pow(high / low, position);
+}
+
+// Returns the unsnapped frequency for the current tilt
+function getMappedFrequency() {
+  return positionToFrequency(getTiltPosition());
+}
+
+// Makes the current angle of the pitch axis the center of the range
+function calibrateTilt() {
+  tiltCenters[pitchAxis] = getAxisValue(pitchAxis);
+  saveCalibration();
+  updateCalibrationStatus();
+}
+
+function resetCalibration() {
+  tiltCenters = { beta: 0, gamma: 0, alpha: 0 };
+  saveCalibration();
+  updateCalibrationStatus();
+}
+
+function saveCalibration() {
+  try {
+    localStorage.setItem(calibrationStorageKey, JSON.stringify(tiltCenters));
+  } catch (err) {
+    console.error('Error saving calibration:', err);
+  }
+}
+
+// Calibration belongs to how this device is held, so it is kept outside of presets
+function loadCalibration() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(calibrationStorageKey));
+    if (stored) {
+      ['beta', 'gamma', 'alpha'].forEach(axis => {
+        if (typeof stored[axis] === 'number') tiltCenters[axis] = stored[axis];
+      });
+    }
+  } catch (err) {
+    console.error('Error loading calibration:', err);
+  }
+}
+
+function updateCalibrationStatus() {
+  const status = document.getElementById('calibrationStatus');
+  if (status) status.textContent = `Center: ${tiltCenters[pitchAxis].toFixed(1)}°`;
+}
+
+// Shows the note names of the pitch range next to the sliders
+function updatePitchRangeLabels() {
+  document.getElementById('pitchLowValue').textContent = Tone.Frequency(pitchLowMidi, 'midi').toNote();
+  document.getElementById('pitchHighValue').textContent = Tone.Frequency(pitchHighMidi, 'midi').toNote();
+  document.getElementById('pitchSpanValue').textContent = +((pitchHighMidi - pitchLowMidi) / 12).toFixed(1);
+}
+
+/**
+ * Sets the pitch range, keeping at least an octave between the bounds.
+ * The scale frequencies are regenerated to cover the new range.
+ * @param {number} lowMidi - Bottom of the range as a MIDI note.
+ * @param {number} highMidi - Top of the range as a MIDI note.
+ */
+function setPitchRange(lowMidi, highMidi) {
+  pitchLowMidi = Math.max(24, Math.min(96, Math.round(lowMidi)));
+  pitchHighMidi = Math.max(pitchLowMidi + 12, Math.min(108, Math.round(highMidi)));
+  document.getElementById('pitchLowSlider').value = pitchLowMidi;
+  document.getElementById('pitchHighSlider').value = pitchHighMidi;
+  updatePitchRangeLabels();
+  updateScaleFrequencies();
+}
+
+/**
+ * Applies the mapping options other than the range.
+ * @param {Object} options - Any of { curve, axis, invert }.
+ */
+function setPitchMapping({ curve = pitchCurve, axis = pitchAxis, invert = pitchInvert }) {
+  pitchCurve = curve === 'linear' ? 'linear' : 'exponential';
+  pitchAxis = ['beta', 'gamma', 'alpha'].includes(axis) ? axis : 'beta';
+  pitchInvert = invert === true;
+  document.getElementById('pitchCurveSelect').value = pitchCurve;
+  document.getElementById('pitchAxisSelect').value = pitchAxis;
+  document.getElementById('pitchInvertCheckbox').checked = pitchInvert;
+  updateCalibrationStatus();
+  // Fallback input sources set angles through the mapping, so re-apply their position
+  if (getActiveInputSource() !== 'tilt') applyInputPosition();
+}
+
+// Wires up the tilt mapping controls in the settings modal
+function initMappingControls() {
+  const pitchLowSlider = document.getElementById('pitchLowSlider');
+  const pitchHighSlider = document.getElementById('pitchHighSlider');
+  const pitchCurveSelect = document.getElementById('pitchCurveSelect');
+  const pitchAxisSelect = document.getElementById('pitchAxisSelect');
+  const pitchInvertCheckbox = document.getElementById('pitchInvertCheckbox');
+  const calibrateBtn = document.getElementById('calibrateBtn');
+  const resetCalibrationBtn = document.getElementById('resetCalibrationBtn');
+
+  loadCalibration();
+  setPitchMapping({});
+  setPitchRange(pitchLowMidi, pitchHighMidi);
+
+  pitchLowSlider.addEventListener('input', () => {
+    // Push the top up rather than letting the range collapse
+    setPitchRange(parseInt(pitchLowSlider.value, 10), Math.max(pitchHighMidi, parseInt(pitchLowSlider.value, 10) + 12));
+  });
+  pitchHighSlider.addEventListener('input', () => {
+    const high = parseInt(pitchHighSlider.value, 10);
+    setPitchRange(Math.min(pitchLowMidi, high - 12), high);
+  });
+  pitchCurveSelect.addEventListener('change', () => setPitchMapping({ curve: pitchCurveSelect.value }));
+  pitchAxisSelect.addEventListener('change', () => setPitchMapping({ axis: pitchAxisSelect.value }));
+  pitchInvertCheckbox.addEventListener('change', () => setPitchMapping({ invert: pitchInvertCheckbox.checked }));
+  calibrateBtn.addEventListener('click', calibrateTilt);
+  resetCalibrationBtn.addEventListener('click', resetCalibration);
+}
@@ -0,0 +1,472 @@
+// Web MIDI output of every voice the synth plays, and MIDI input to play and configure it
+let midiAccess = null; // MIDIAccess object once permission is granted
+let midiAccessPromise = null; // Pending requestMIDIAccess() call, shared by all callers
+let midiOutput = null; // Selected MIDIOutput port (null = MIDI output off)
+let midiOutputChannel = 0; // Zero-based MIDI channel (0 = channel 1)
+let midiGammaCC = 10; // CC number that gamma (left/right tilt) is sent on (10 = pan)
+let midiBendRange = 2; // Pitch bend range of the receiving synth in semitones
+let lastGammaCCValue = -1; // Last CC value sent, to avoid flooding the port
+let continuousMidiNote = null; // MIDI note currently held by the continuous instrument
+
+const midiVelocity = 100; // Fixed note-on velocity
+
+let midiInputId = ''; // Selected input port id ('' = off, 'all' = every connected input)
+let midiNoteAction = 'split'; // What incoming notes do: 'layer', 'root' or 'split'
+const midiSplitNote = 48; // Notes below this (C3) set the root in 'split' mode
+let midiLearnActive = false; // True while the MIDI-learn flow is running
+let midiLearnTarget = null; // Control waiting for a CC in MIDI-learn mode
+
+const midiBindingsStorageKey = 'gyroSynthMidiBindings';
+// Default CC bindings (CC number -> control id): volume, attack, release, effects depth
+const defaultMidiBindings = {
+  7: 'volumeSlider',
+  73: 'attackSlider',
+  72: 'releaseSlider',
+  94: 'delayWetSlider'
+};
+let midiBindings = loadMidiBindings();
+
+/**
+ * Requests access to Web MIDI. Repeated calls share the same request.
+ * @returns {Promise<MIDIAccess|null>} The MIDI access object, or null if unavailable.
+ */
+function requestMidiAccess() {
+  if (!navigator.requestMIDIAccess) {
+    return Promise.resolve(null);
+  }
+  if (!midiAccessPromise) {
+    midiAccessPromise = navigator.requestMIDIAccess()
+      .then((access) => {
+        midiAccess = access;
+        return access;
+      })
+      .catch((err) => {
+        console.error('Error requesting MIDI access:', err);
+        midiAccessPromise = null; // Allow retrying after a denied prompt
+        return null;
+      });
+  }
+  return midiAccessPromise;
+}
+
+/**
+ * Converts a Tone.js audio-context time to a DOMHighResTimeStamp for MIDIOutput.send().
+ * Tone schedules loop callbacks slightly ahead of time, so this keeps MIDI in step with audio.
+ * @param {number} [time] - Audio-context time in seconds. Omit to send immediately.
+ * @returns {number} A performance.now()-based timestamp in milliseconds.
+ */
+function toMidiTimestamp(time) {
+  if (time === undefined) return performance.now();
+  return performance.now() + Math.max(0, time - Tone.immediate()) * 1000;
+}
+
+/**
+ * Converts a frequency to the nearest MIDI note number, clamped to 0-127.
+ * @param {number} freq - Frequency in Hz.
+ * @returns {number} MIDI note number.
+ */
+function frequencyToMidiNote(freq) {
+  return Math.max(0, Math.min(127, Math.round(Tone.Frequency(freq).toMidi())));
+}
+
+/**
+ * Sends a note-on/note-off pair for one pulse of a loop.
+ * @param {number} freq - Frequency in Hz.
+ * @param {Tone.Unit.Time} duration - Note length (e.g. "8n").
+ * @param {number} time - Audio-context time the note starts.
+ */
+function sendMidiNote(freq, duration, time) {
+  if (!midiOutput) return;
+  const note = frequencyToMidiNote(freq);
+  const start = toMidiTimestamp(time);
+  const end = start + Tone.Time(duration).toSeconds() * 1000;
+  midiOutput.send([0x90 | midiOutputChannel, note, midiVelocity], start);
+  midiOutput.send([0x80 | midiOutputChannel, note, 0], end);
+}
+
+/**
+ * Sends a 14-bit pitch bend message.
+ * @param {number} semitones - Bend amount, clamped to the configured bend range.
+ */
+function sendMidiPitchBend(semitones) {
+  const clamped = Math.max(-midiBendRange, Math.min(midiBendRange, semitones));
+  const value = Math.max(0, Math.min(16383, Math.round(8192 + (clamped / midiBendRange) * 8192)));
+  midiOutput.send([0xE0 | midiOutputChannel, value & 0x7F, (value >> 7) & 0x7F]);
+}
+
+// Starts the MIDI note that mirrors the continuous instrument
+function startContinuousMidiNote(freq) {
+  if (!midiOutput) return;
+  continuousMidiNote = frequencyToMidiNote(freq);
+  sendMidiPitchBend(Tone.Frequency(freq).toMidi() - continuousMidiNote);
+  midiOutput.send([0x90 | midiOutputChannel, continuousMidiNote, midiVelocity]);
+}
+
+/**
+ * Follows the continuous instrument's pitch with pitch bend. When the pitch moves
+ * beyond the bend range the held note is re-triggered at the new nearest note.
+ * @param {number} freq - The instrument's new frequency in Hz.
+ */
+function updateContinuousMidiNote(freq) {
+  if (!midiOutput || continuousMidiNote === null) return;
+  const offset = Tone.Frequency(freq).toMidi() - continuousMidiNote;
+  if (Math.abs(offset) > midiBendRange) {
+    midiOutput.send([0x80 | midiOutputChannel, continuousMidiNote, 0]);
+    startContinuousMidiNote(freq);
+  } else {
+    sendMidiPitchBend(offset);
+  }
+}
+
+// Releases the MIDI note that mirrors the continuous instrument
+function stopContinuousMidiNote() {
+  if (!midiOutput || continuousMidiNote === null) {
+    continuousMidiNote = null;
+    return;
+  }
+  midiOutput.send([0x80 | midiOutputChannel, continuousMidiNote, 0]);
+  sendMidiPitchBend(0);
+  continuousMidiNote = null;
+}
+
+/**
+ * Sends gamma (-90 to 90 degrees) as a 0-127 control change on the configured CC.
+ * @param {number} gammaValue - Left/right tilt in degrees.
+ */
+function sendMidiGammaCC(gammaValue) {
+  if (!midiOutput) return;
+  const value = Math.round(((Math.max(-90, Math.min(90, gammaValue)) + 90) / 180) * 127);
+  if (value === lastGammaCCValue) return;
+  lastGammaCCValue = value;
+  midiOutput.send([0xB0 | midiOutputChannel, midiGammaCC, value]);
+}
+
+// Silences everything on the selected port (used when sounds are cleared)
+function sendMidiAllNotesOff() {
+  if (!midiOutput) return;
+  stopContinuousMidiNote();
+  // Drop note-offs queued for the future so they don't land after the reset
+  if (midiOutput.clear) midiOutput.clear();
+  midiOutput.send([0xB0 | midiOutputChannel, 123, 0]); // All Notes Off
+}
+
+// Rebuilds the output port dropdown from the available MIDI outputs
+function populateMidiOutputSelect() {
+  const midiOutputSelect = document.getElementById('midiOutputSelect');
+  const selectedId = midiOutput ? midiOutput.id : '';
+  midiOutputSelect.innerHTML = '<option value="">Off</option>';
+
+  if (midiAccess) {
+    midiAccess.outputs.forEach((output) => {
+      const option = document.createElement('option');
+      option.value = output.id;
+      option.textContent = output.name;
+      midiOutputSelect.appendChild(option);
+    });
+  }
+
+  // Keep the current port selected if it is still connected
+  if (midiAccess && midiAccess.outputs.has(selectedId)) {
+    midiOutputSelect.value = selectedId;
+  } else {
+    midiOutputSelect.value = '';
+    midiOutput = null;
+  }
+}
+
+// Wires up the MIDI output controls in the settings modal
+function initMidiOutputControls() {
+  const midiEnableBtn = document.getElementById('midiEnableBtn');
+  const midiOutputSelect = document.getElementById('midiOutputSelect');
+  const midiChannelSelect = document.getElementById('midiChannelSelect');
+  const midiGammaCCInput = document.getElementById('midiGammaCCInput');
+  const midiBendRangeInput = document.getElementById('midiBendRangeInput');
+  const midiStatus = document.getElementById('midiStatus');
+
+  if (!navigator.requestMIDIAccess) {
+    midiEnableBtn.disabled = true;
+    midiOutputSelect.disabled = true;
+    midiStatus.textContent = 'Web MIDI is not supported in this browser.';
+    return;
+  }
+
+  for (let channel = 1; channel <= 16; channel++) {
+    const option = document.createElement('option');
+    option.value = channel - 1;
+    option.textContent = `Ch ${channel}`;
+    midiChannelSelect.appendChild(option);
+  }
+
+  // Ask for MIDI permission only when the user opts in
+  midiEnableBtn.addEventListener('click', async () => {
+    if (midiAccess) return;
+    const access = await requestMidiAccess();
+    if (!access) {
+      midiStatus.textContent = 'MIDI access was denied.';
+      return;
+    }
+    access.addEventListener('statechange', populateMidiPorts);
+    populateMidiPorts();
+    midiEnableBtn.style.display = 'none';
+    midiStatus.textContent = 'Choose an input or output port.';
+  });
+
+  midiOutputSelect.addEventListener('change', () => {
+    sendMidiAllNotesOff(); // Release anything held on the previous port
+    midiOutput = midiAccess ? midiAccess.outputs.get(midiOutputSelect.value) || null : null;
+    lastGammaCCValue = -1;
+    midiStatus.textContent = midiOutput ? `Sending to ${midiOutput.name}` : '';
+  });
+
+  midiChannelSelect.addEventListener('change', () => {
+    sendMidiAllNotesOff();
+    midiOutputChannel = parseInt(midiChannelSelect.value, 10);
+  });
+
+  midiGammaCCInput.addEventListener('change', () => {
+    midiGammaCC = Math.max(0, Math.min(127, parseInt(midiGammaCCInput.value, 10) || 0));
+    midiGammaCCInput.value = midiGammaCC;
+    lastGammaCCValue = -1;
+  });
+
+  midiBendRangeInput.addEventListener('change', () => {
+    midiBendRange = Math.max(1, Math.min(48, parseInt(midiBendRangeInput.value, 10) || 2));
+    midiBendRangeInput.value = midiBendRange;
+  });
+}
+
+// --- MIDI Input ---
+
+/**
+ * Loads the CC bindings from local storage, falling back to the defaults.
+ * Entries that aren't a CC number bound to a control id are dropped.
+ * @returns {Object<number, string>} Map of CC number to control id.
+ */
+function loadMidiBindings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(midiBindingsStorageKey));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+      const bindings = {};
+      for (const cc in stored) {
+        if (/^\d+$/.test(cc) && cc <= 127 && typeof stored[cc] === 'string') bindings[cc] = stored[cc];
+      }
+      return bindings;
+    }
+  } catch (err) {
+    console.error('Error loading MIDI bindings:', err);
+  }
+  return { ...defaultMidiBindings };
+}
+
+function saveMidiBindings() {
+  try {
+    localStorage.setItem(midiBindingsStorageKey, JSON.stringify(midiBindings));
+  } catch (err) {
+    console.error('Error saving MIDI bindings:', err);
+  }
+}
+
+// Rebuilds both port dropdowns after access is granted or a device is (dis)connected
+function populateMidiPorts() {
+  populateMidiOutputSelect();
+  populateMidiInputSelect();
+}
+
+// Rebuilds the input port dropdown and re-attaches message handlers
+function populateMidiInputSelect() {
+  const midiInputSelect = document.getElementById('midiInputSelect');
+  midiInputSelect.innerHTML = '<option value="">Off</option><option value="all">All Inputs</option>';
+
+  if (midiAccess) {
+    midiAccess.inputs.forEach((input) => {
+      const option = document.createElement('option');
+      option.value = input.id;
+      option.textContent = input.name;
+      midiInputSelect.appendChild(option);
+    });
+  }
+
+  if (midiInputId !== 'all' && !(midiAccess && midiAccess.inputs.has(midiInputId))) {
+    midiInputId = '';
+  }
+  midiInputSelect.value = midiInputId;
+  attachMidiInputs();
+}
+
+// Listens on the selected input port(s) only
+function attachMidiInputs() {
+  if (!midiAccess) return;
+  midiAccess.inputs.forEach((input) => {
+    const selected = midiInputId === 'all' || input.id === midiInputId;
+    input.onmidimessage = selected ? handleMidiMessage : null;
+  });
+}
+
+/**
+ * Handles an incoming MIDI message: notes play or set the root, CCs move bound controls.
+ * @param {MIDIMessageEvent} event - The incoming message.
+ */
+function handleMidiMessage(event) {
+  const [status, data1, data2] = event.data;
+  const command = status & 0xF0;
+
+  if (command === 0x90 && data2 > 0) {
+    handleMidiNoteOn(data1);
+  } else if (command === 0xB0) {
+    handleMidiControlChange(data1, data2);
+  }
+  // Note-offs are ignored: layers keep looping until removed
+}
+
+/**
+ * Sets the root note and/or adds a layer at the played pitch, depending on the note action.
+ * @param {number} note - MIDI note number.
+ */
+function handleMidiNoteOn(note) {
+  const setsRoot = midiNoteAction === 'root' || (midiNoteAction === 'split' && note < midiSplitNote);
+
+  if (setsRoot) {
+    currentRootNote = noteNames[note % 12];
+    // Retune the snapping without wiping the layers that are already playing
+    updateScaleFrequencies();
+  } else {
+    addFixedLoop(Tone.Frequency(note, 'midi').toFrequency());
+  }
+}
+
+/**
+ * Moves the control bound to a CC, or binds it while MIDI learn is waiting.
+ * The control's own input/change handler applies the value, so any control can be bound.
+ * @param {number} cc - Controller number.
+ * @param {number} value - Controller value (0-127).
+ */
+function handleMidiControlChange(cc, value) {
+  if (midiLearnActive && midiLearnTarget) {
+    bindMidiControl(cc, midiLearnTarget.id);
+    return;
+  }
+
+  const control = document.getElementById(midiBindings[cc]);
+  if (!control) return;
+
+  const amount = value / 127;
+  if (control.tagName === 'SELECT') {
+    const index = Math.round(amount * (control.options.length - 1));
+    if (control.selectedIndex !== index) {
+      control.selectedIndex = index;
+      control.dispatchEvent(new Event('change'));
+    }
+  } else if (control.type === 'checkbox') {
+    const checked = value >= 64;
+    if (control.checked !== checked) {
+      control.checked = checked;
+      control.dispatchEvent(new Event('change'));
+    }
+  } else {
+    const min = parseFloat(control.min);
+    const max = parseFloat(control.max);
+    control.value = min + amount * (max - min);
+    control.dispatchEvent(new Event('input'));
+  }
+}
+
+/**
+ * Binds a CC to a control, replacing any earlier binding of either.
+ * @param {number} cc - Controller number.
+ * @param {string} controlId - Id of the control element.
+ */
+function bindMidiControl(cc, controlId) {
+  for (const boundCC in midiBindings) {
+    if (midiBindings[boundCC] === controlId) delete midiBindings[boundCC];
+  }
+  midiBindings[cc] = controlId;
+  saveMidiBindings();
+  setMidiLearnTarget(null);
+  renderMidiBindings();
+}
+
+// Returns the visible label text for a control, falling back to its id
+function getControlLabel(controlId) {
+  const label = document.querySelector(`label[for="${controlId}"]`);
+  return label ? label.textContent.trim() : controlId;
+}
+
+// Highlights the control that the next CC will be bound to
+function setMidiLearnTarget(control) {
+  if (midiLearnTarget) midiLearnTarget.classList.remove('midi-learn-target');
+  midiLearnTarget = control;
+  if (midiLearnTarget) midiLearnTarget.classList.add('midi-learn-target');
+
+  const midiLearnStatus = document.getElementById('midiLearnStatus');
+  if (!midiLearnActive) {
+    midiLearnStatus.textContent = '';
+  } else if (midiLearnTarget) {
+    midiLearnStatus.textContent = `Move a knob to bind ${getControlLabel(midiLearnTarget.id)}`;
+  } else {
+    midiLearnStatus.textContent = 'Touch a control to bind it';
+  }
+}
+
+function setMidiLearnActive(active) {
+  midiLearnActive = active;
+  document.getElementById('midiLearnBtn').textContent = active ? 'Done' : 'MIDI Learn';
+  document.getElementById('modalContent').classList.toggle('midi-learn', active);
+  setMidiLearnTarget(null);
+}
+
+// Lists the current CC bindings in the settings modal
+function renderMidiBindings() {
+  const list = document.getElementById('midiBindingsList');
+  list.innerHTML = '';
+  Object.keys(midiBindings)
+    .sort((a, b) => a - b)
+    .forEach((cc) => {
+      const item = document.createElement('li');
+      item.textContent = `CC ${cc} → ${getControlLabel(midiBindings[cc])}`;
+      list.appendChild(item);
+    });
+}
+
+// Wires up the MIDI input and MIDI-learn controls in the settings modal
+function initMidiInputControls() {
+  const midiInputSelect = document.getElementById('midiInputSelect');
+  const midiNoteActionSelect = document.getElementById('midiNoteActionSelect');
+  const midiLearnBtn = document.getElementById('midiLearnBtn');
+  const midiResetBindingsBtn = document.getElementById('midiResetBindingsBtn');
+  const modalContent = document.getElementById('modalContent');
+
+  renderMidiBindings();
+
+  if (!navigator.requestMIDIAccess) {
+    midiInputSelect.disabled = true;
+    midiNoteActionSelect.disabled = true;
+    midiLearnBtn.disabled = true;
+    return;
+  }
+
+  midiInputSelect.addEventListener('change', () => {
+    midiInputId = midiInputSelect.value;
+    attachMidiInputs();
+  });
+
+  midiNoteActionSelect.addEventListener('change', () => {
+    midiNoteAction = midiNoteActionSelect.value;
+  });
+
+  midiLearnBtn.addEventListener('click', () => setMidiLearnActive(!midiLearnActive));
+
+  midiResetBindingsBtn.addEventListener('click', () => {
+    midiBindings = { ...defaultMidiBindings };
+    saveMidiBindings();
+    renderMidiBindings();
+  });
+
+  // In learn mode, touching a control arms it instead of changing it
+  modalContent.addEventListener('pointerdown', (e) => {
+    if (!midiLearnActive) return;
+    const control = e.target.closest('input[type="range"], input[type="checkbox"], select');
+    if (!control || !control.id || control.closest('#midiSection')) return;
+    e.preventDefault();
+    setMidiLearnTarget(control);
+  }, true);
+}
@@ -0,0 +1,328 @@
+// Modulation matrix: routes sensors, an LFO and touch position to sound parameters
+const modulationRampTime = 0.1; // Ramp for every modulated parameter, matching the pan ramp (seconds)
+const modulationTimerInterval = 50; // Update rate for sources that don't come with orientation events (ms)
+const maxModulationRoutes = 8;
+
+// Sources return a value from 0 to 1
+const modulationSources = {
+  beta: { label: 'Beta (front/back tilt)', read: () => getCenteredAngle('beta', 90) },
+  gamma: { label: 'Gamma (left/right tilt)', read: () => getCenteredAngle('gamma', 90) },
+  alpha: { label: 'Alpha (compass)', read: () => getCenteredAngle('alpha', 180) },
+  accel: { label: 'Acceleration', read: () => Math.min(1, accelerationLevel / 20) },
+  lfo: { label: 'LFO', read: () => (Math.sin(2 * Math.PI * lfoRate * performance.now() / 1000) + 1) / 2 },
+  touchX: { label: 'Touch X', read: () => touchPosition.x },
+  touchY: { label: 'Touch Y', read: () => touchPosition.y }
+};
+
+// Destinations set a value in their own units; reset() returns them to their unmodulated value
+const modulationDestinations = {
+  cutoff: {
+    label: 'Filter cutoff (Hz)', min: 50, max: 12000, range: [300, 5000], exponential: true,
+    apply: value => {
+      if (effectSlots.filter) effectSlots.filter.node.frequency.rampTo(value, modulationRampTime);
+    },
+    reset: () => applyEffectParam(findEffect('filter'), 'frequency')
+  },
+  modIndex: {
+    label: 'FM mod index', min: 0, max: 40, range: [2, 20],
+    apply: value => {
+      getPlayingVoices().forEach(voice => {
+        if (voice.modulationIndex) voice.modulationIndex.rampTo(value, modulationRampTime);
+      });
+    },
+    reset: () => applyVoiceParams()
+  },
+  delayFeedback: {
+    label: 'Delay feedback', min: 0, max: 0.9, range: [0.1, 0.8],
+    apply: value => {
+      if (delayNode) delayNode.feedback.rampTo(value, modulationRampTime);
+    },
+    reset: () => applyEffectParam(findEffect('delay'), 'feedback')
+  },
+  reverbWet: {
+    label: 'Reverb mix', min: 0, max: 1, range: [0, 0.8],
+    apply: value => {
+      if (effectSlots.reverb) effectSlots.reverb.node.wet.rampTo(value, modulationRampTime);
+    },
+    reset: () => applyEffectParam(findEffect('reverb'), 'wet')
+  },
+  volume: {
+    label: 'Volume', min: 0, max: 1, range: [0.2, 1],
+    apply: value => {
+      if (modulationGain) modulationGain.gain.rampTo(value, modulationRampTime);
+    },
+    reset: () => {
+      if (modulationGain) modulationGain.gain.rampTo(1, modulationRampTime);
+    }
+  },
+  pan: {
+    label: 'Pan', min: -1, max: 1, range: [-1, 1],
+    apply: value => {
+      if (panner) panner.pan.rampTo(value, modulationRampTime);
+    },
+    reset: () => setOrientation(beta, gamma, alpha) // Back to following gamma
+  }
+};
+
+let modulationRoutes = []; // List of { source, destination, depth, min, max }
+let lfoRate = 0.5; // LFO speed in Hz
+let accelerationLevel = 0; // Smoothed acceleration magnitude (m/s², gravity removed)
+let touchPosition = { x: 0.5, y: 0.5 }; // Last pointer position over the visualizer, 0 to 1
+let modulationGain = null; // Gain modulated by the volume destination
+let modulationTimer = null;
+
+/**
+ * Returns an orientation angle relative to its calibrated center as 0 to 1.
+ * @param {string} axis - 'beta', 'gamma' or 'alpha'.
+ * @param {number} span - Degrees either side of the center that cover the full range.
+ * @returns {number} The normalized angle.
+ */
+function getCenteredAngle(axis, span) {
+  const offset = wrapAngle(getAxisValue(axis) - tiltCenters[axis]);
+  return (Math.max(-span, Math.min(span, offset)) / span + 1) / 2;
+}
+
+// Returns the gain the volume destination modulates, creating it on first use (called from startSounds())
+function getModulationGain() {
+  if (!modulationGain) modulationGain = new Tone.Gain(1);
+  return modulationGain;
+}
+
+// Returns true if any route targets the destination
+function isModulated(destination) {
+  return modulationRoutes.some(route => route.destination === destination);
+}
+
+/**
+ * Computes the value of one route: the source scaled by the depth (negative depths invert
+ * the source) and mapped onto the route's range.
+ * @param {Object} route - The route.
+ * @returns {number} Value in the destination's units.
+ */
+function getRouteValue(route) {
+  const source = modulationSources[route.source].read();
+  const amount = route.depth >= 0 ? source * route.depth : (1 - source) * -route.depth;
+  if (modulationDestinations[route.destination].exponential && route.min > 0) {
+    return route.min * Math.pow(route.max / route.min, amount);
+  }
+  return route.min + (route.max - route.min) * amount;
+}
+
+// Applies every route; routes sharing a destination are averaged
+function updateModulation() {
+  const values = {};
+  modulationRoutes.forEach(route => {
+    (values[route.destination] = values[route.destination] || []).push(getRouteValue(route));
+  });
+  for (const destination in values) {
+    const sum = values[destination].reduce((a, b) => a + b, 0);
+    modulationDestinations[destination].apply(sum / values[destination].length);
+  }
+}
+
+// Runs the modulation on a timer while a route uses a source that has no orientation events
+function updateModulationTimer() {
+  const needsTimer = modulationRoutes.some(route => !['beta', 'gamma', 'alpha'].includes(route.source));
+  if (needsTimer && modulationTimer === null) {
+    modulationTimer = setInterval(updateModulation, modulationTimerInterval);
+  } else if (!needsTimer && modulationTimer !== null) {
+    clearInterval(modulationTimer);
+    modulationTimer = null;
+  }
+}
+
+/**
+ * Validates routes from an untrusted source (preset file or scene link).
+ * @param {*} routes - The candidate routes.
+ * @returns {Object[]} Valid routes.
+ */
+function sanitizeModulationRoutes(routes) {
+  if (!Array.isArray(routes)) return [];
+  return routes
+    .filter(route => route && modulationSources[route.source] && modulationDestinations[route.destination])
+    .slice(0, maxModulationRoutes)
+    .map(route => {
+      const destination = modulationDestinations[route.destination];
+      const clamp = (value, fallback) => typeof value === 'number' && isFinite(value)
+        ? Math.max(destination.min, Math.min(destination.max, value))
+        : fallback;
+      return {
+        source: route.source,
+        destination: route.destination,
+        depth: typeof route.depth === 'number' ? Math.max(-1, Math.min(1, route.depth)) : 1,
+        min: clamp(route.min, destination.range[0]),
+        max: clamp(route.max, destination.range[1])
+      };
+    });
+}
+
+// Returns a copy of the matrix for saving with the settings
+function getModulationSettings() {
+  return { lfoRate, routes: modulationRoutes.map(route => ({ ...route })) };
+}
+
+/**
+ * Replaces the matrix (from a preset or scene). Destinations that lose their routes
+ * go back to their unmodulated values.
+ * @param {Object} settings - { lfoRate, routes }.
+ */
+function setModulation(settings) {
+  if (!settings || typeof settings !== 'object') return;
+  const previous = modulationRoutes;
+  if (typeof settings.lfoRate === 'number') setLfoRate(settings.lfoRate);
+  modulationRoutes = sanitizeModulationRoutes(settings.routes);
+  resetUnmodulated(previous);
+  updateModulationTimer();
+  renderModulationRoutes();
+  updateModulation();
+}
+
+// Resets destinations that were modulated by the old routes but aren't any more
+function resetUnmodulated(previousRoutes) {
+  new Set(previousRoutes.map(route => route.destination)).forEach(destination => {
+    if (!isModulated(destination)) modulationDestinations[destination].reset();
+  });
+}
+
+function setLfoRate(rate) {
+  lfoRate = Math.max(0.05, Math.min(10, rate));
+  const lfoRateSlider = document.getElementById('lfoRateSlider');
+  if (lfoRateSlider) lfoRateSlider.value = lfoRate;
+  const lfoRateValue = document.getElementById('lfoRateValue');
+  if (lfoRateValue) lfoRateValue.textContent = lfoRate;
+}
+
+// Adds a route to the first destination that isn't modulated yet
+function addModulationRoute() {
+  if (modulationRoutes.length >= maxModulationRoutes) return;
+  const destination = Object.keys(modulationDestinations).find(key => !isModulated(key)) || 'cutoff';
+  const range = modulationDestinations[destination].range;
+  modulationRoutes.push({ source: 'beta', destination, depth: 1, min: range[0], max: range[1] });
+  changeModulationRoutes(modulationRoutes.slice(0, -1));
+}
+
+function removeModulationRoute(index) {
+  const previous = modulationRoutes.slice();
+  modulationRoutes.splice(index, 1);
+  changeModulationRoutes(previous);
+}
+
+// Applies a change to the route list and saves it
+function changeModulationRoutes(previousRoutes) {
+  resetUnmodulated(previousRoutes);
+  updateModulationTimer();
+  renderModulationRoutes();
+  updateModulation();
+  saveLastSettings();
+}
+
+// Creates a labelled <select> for a route row
+function createRouteSelect(label, options, value, onChange) {
+  const select = document.createElement('select');
+  select.setAttribute('aria-label', label);
+  select.className = 'route-select';
+  for (const key in options) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = options[key].label;
+    select.appendChild(option);
+  }
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  return select;
+}
+
+// Creates a labelled number input for a route's range
+function createRouteNumber(label, value, destination, onChange) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.className = 'route-number';
+  input.setAttribute('aria-label', label);
+  input.min = destination.min;
+  input.max = destination.max;
+  input.step = 'any';
+  input.value = value;
+  input.addEventListener('change', () => {
+    const number = parseFloat(input.value);
+    if (isFinite(number)) onChange(Math.max(destination.min, Math.min(destination.max, number)));
+    input.value = value;
+  });
+  return input;
+}
+
+// Rebuilds the route list in the settings modal
+function renderModulationRoutes() {
+  const list = document.getElementById('modulationRouteList');
+  if (!list) return;
+  list.innerHTML = '';
+  document.getElementById('addModulationRouteBtn').disabled = modulationRoutes.length >= maxModulationRoutes;
+
+  modulationRoutes.forEach((route, index) => {
+    const destination = modulationDestinations[route.destination];
+    const item = document.createElement('li');
+    item.className = 'route-row';
+
+    const depth = document.createElement('input');
+    depth.type = 'range';
+    depth.min = -1;
+    depth.max = 1;
+    depth.step = 0.01;
+    depth.value = route.depth;
+    depth.className = 'route-depth accent-blue-600';
+    depth.setAttribute('aria-label', 'Modulation depth');
+    depth.addEventListener('input', () => {
+      route.depth = parseFloat(depth.value);
+      updateModulation();
+    });
+    depth.addEventListener('change', saveLastSettings);
+
+    const update = (changes) => {
+      const previous = modulationRoutes.slice();
+      Object.assign(route, changes);
+      changeModulationRoutes(previous);
+    };
+
+    item.append(
+      createRouteSelect('Modulation source', modulationSources, route.source, value => update({ source: value })),
+      createRouteSelect('Modulation destination', modulationDestinations, route.destination, value => {
+        // A new destination starts from its own range
+        const range = modulationDestinations[value].range;
+        update({ destination: value, min: range[0], max: range[1] });
+      }),
+      depth,
+      createRouteNumber('Range minimum', route.min, destination, value => update({ min: value })),
+      createRouteNumber('Range maximum', route.max, destination, value => update({ max: value })),
+      createLayerButton('✕', 'Remove route', false, () => removeModulationRoute(index))
+    );
+    list.appendChild(item);
+  });
+}
+
+// Wires up the modulation settings and the acceleration and touch sources
+function initModulationControls() {
+  const lfoRateSlider = document.getElementById('lfoRateSlider');
+  lfoRateSlider.addEventListener('input', () => setLfoRate(parseFloat(lfoRateSlider.value)));
+  lfoRateSlider.addEventListener('change', saveLastSettings);
+  document.getElementById('addModulationRouteBtn').addEventListener('click', addModulationRoute);
+
+  window.addEventListener('devicemotion', (event) => {
+    const acceleration = event.acceleration;
+    if (!acceleration || acceleration.x === null) return;
+    const magnitude = Math.hypot(acceleration.x, acceleration.y, acceleration.z);
+    // Jump up with movement, fall back gently
+    accelerationLevel = Math.max(magnitude, accelerationLevel * 0.9);
+  });
+
+  const svgElement = document.getElementById('waveformSvg');
+  const followTouch = (event) => {
+    touchPosition = {
+      x: Math.max(0, Math.min(1, event.clientX / window.innerWidth)),
+      y: Math.max(0, Math.min(1, 1 - event.clientY / window.innerHeight))
+    };
+  };
+  svgElement.addEventListener('pointerdown', followTouch);
+  svgElement.addEventListener('pointermove', followTouch);
+
+  setLfoRate(lfoRate);
+  renderModulationRoutes();
+}
@@ -0,0 +1,239 @@
+// Sensor smoothing, note hysteresis and motion gestures (shake to clear, flick to add a layer)
+const motionSettingsStorageKey = 'gyroSynthMotionSettings';
+const oneEuroBeta = 0.02; // How quickly the one-euro filter opens up for fast movements
+const oneEuroDerivativeCutoff = 1; // Cutoff for the speed estimate (Hz)
+const shakeThreshold = 14; // Acceleration that counts as a shake peak (m/s², gravity removed)
+const shakePeakCount = 4; // Peaks, alternating in direction, needed for a shake
+const shakeWindow = 1000; // Time the peaks must fall within (ms)
+const flickThreshold = 400; // Rotation rate that counts as a flick (degrees/s)
+const flickConfirmDelay = 250; // Wait this long to make sure a flick isn't the start of a shake (ms)
+const gestureCooldown = 1200; // Ignore further gestures for this long after one fires (ms)
+
+let motionSettings = {
+  smoothing: 'oneEuro', // 'off', 'lowpass' or 'oneEuro'
+  smoothingAmount: 0.5, // 0 (responsive) to 1 (smooth)
+  noteHold: 15, // Cents a new note must be closer than the held one before snapping switches
+  shakeToClear: false,
+  flickToAdd: false
+};
+let orientationFilters = {}; // Filter state per axis
+let heldFrequency = null; // Snapped note currently held by the hysteresis
+let shakePeaks = []; // Recent shake peaks as { time, sign }
+let lastGestureTime = 0;
+let flickTimer = null;
+
+/**
+ * Returns the base cutoff frequency of the smoothing filter for the amount setting.
+ * @returns {number} Cutoff in Hz, from 5 Hz (amount 0) down to 0.3 Hz (amount 1).
+ */
+function getSmoothingCutoff() {
+  return 5 * Math.pow(0.06, motionSettings.smoothingAmount);
+}
+
+// Smoothing factor of a one-pole low-pass filter for a cutoff and time step
+function getSmoothingFactor(cutoff, dt) {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+}
+
+/**
+ * Filters one orientation angle. Angles are unwrapped against the previous value first,
+ * so crossing ±180° (or 0/360° for alpha) doesn't sweep through the whole range.
+ * @param {string} axis - 'beta', 'gamma' or 'alpha'.
+ * @param {number} value - The raw angle in degrees.
+ * @param {number} time - Timestamp of the reading (ms).
+ * @returns {number} The filtered angle.
+ */
+function filterAngle(axis, value, time) {
+  const state = orientationFilters[axis];
+  if (!state || motionSettings.smoothing === 'off') {
+    orientationFilters[axis] = { value, speed: 0, time };
+    return value;
+  }
+
+  const dt = Math.max(0.001, (time - state.time) / 1000);
+  const target = state.value + wrapAngle(value - state.value);
+  let cutoff = getSmoothingCutoff();
+
+  if (motionSettings.smoothing === 'oneEuro') {
+    // One-euro filter: heavy smoothing when still, less lag when moving quickly
+    const rawSpeed = (target - state.value) / dt;
+    state.speed += getSmoothingFactor(oneEuroDerivativeCutoff, dt) * (rawSpeed - state.speed);
+    cutoff += oneEuroBeta * Math.abs(state.speed);
+  }
+
+  state.value += getSmoothingFactor(cutoff, dt) * (target - state.value);
+  state.time = time;
+  return axis === 'alpha' ? (state.value % 360 + 360) % 360 : wrapAngle(state.value);
+}
+
+/**
+ * Smooths a set of orientation readings.
+ * @param {number} newBeta - Raw beta.
+ * @param {number} newGamma - Raw gamma.
+ * @param {number} newAlpha - Raw alpha.
+ * @returns {number[]} [beta, gamma, alpha] after smoothing.
+ */
+function smoothOrientation(newBeta, newGamma, newAlpha) {
+  const now = performance.now();
+  return [
+    filterAngle('beta', newBeta, now),
+    filterAngle('gamma', newGamma, now),
+    filterAngle('alpha', newAlpha, now)
+  ];
+}
+
+/**
+ * Holds the current snapped note until the raw pitch is clearly closer to another one,
+ * so a pitch sitting between two notes doesn't flicker.
+ * @param {number} rawFreq - The unsnapped frequency.
+ * @param {number} snappedFreq - The nearest scale frequency.
+ * @returns {number} The frequency to play.
+ */
+function holdSnappedFrequency(rawFreq, snappedFreq) {
+  if (heldFrequency === null || !generatedScaleFrequencies.includes(heldFrequency)) {
+    heldFrequency = snappedFreq;
+    return heldFrequency;
+  }
+  const heldDistance = Math.abs(1200 * Math.log2(rawFreq / heldFrequency));
+  const newDistance = Math.abs(1200 * Math.log2(rawFreq / snappedFreq));
+  if (heldDistance - newDistance > motionSettings.noteHold) {
+    heldFrequency = snappedFreq;
+  }
+  return heldFrequency;
+}
+
+// Returns true (and starts the cooldown) if a gesture may fire now
+function claimGesture() {
+  const now = performance.now();
+  if (now - lastGestureTime < gestureCooldown) return false;
+  lastGestureTime = now;
+  return true;
+}
+
+/**
+ * Looks for shakes and flicks in a devicemotion event.
+ * A shake is several strong acceleration peaks in alternating directions; a flick is
+ * a single fast wrist rotation that isn't followed by a shake.
+ * @param {DeviceMotionEvent} event - The motion event.
+ */
+function handleDeviceMotion(event) {
+  if (getActiveInputSource() !== 'tilt') return;
+  const now = performance.now();
+
+  const acceleration = event.acceleration;
+  if (motionSettings.shakeToClear && acceleration && acceleration.x !== null) {
+    // Use the dominant axis so the direction of each peak can be compared
+    const components = [acceleration.x, acceleration.y, acceleration.z];
+    const dominant = components.reduce((a, b) => (Math.abs(b) > Math.abs(a) ? b : a), 0);
+    if (Math.abs(dominant) > shakeThreshold) {
+      const sign = Math.sign(dominant);
+      shakePeaks = shakePeaks.filter(peak => now - peak.time < shakeWindow);
+      if (shakePeaks.length === 0 || shakePeaks[shakePeaks.length - 1].sign !== sign) {
+        shakePeaks.push({ time: now, sign });
+      }
+      if (shakePeaks.length >= shakePeakCount) {
+        shakePeaks = [];
+        clearTimeout(flickTimer); // The wrist rotation was part of the shake
+        flickTimer = null;
+        if (claimGesture()) clearSounds();
+      }
+    }
+  }
+
+  const rotation = event.rotationRate;
+  if (motionSettings.flickToAdd && rotation && rotation.alpha !== null && flickTimer === null) {
+    const rate = Math.max(Math.abs(rotation.alpha), Math.abs(rotation.beta), Math.abs(rotation.gamma));
+    if (rate > flickThreshold && now - lastGestureTime >= gestureCooldown) {
+      // Capture the pitch before the flick moves the device any further
+      const frequency = getNormalizedValue();
+      flickTimer = setTimeout(() => {
+        flickTimer = null;
+        const shaking = shakePeaks.some(peak => performance.now() - peak.time < shakeWindow);
+        if (!shaking && claimGesture()) playOrAddLayer(frequency);
+      }, flickConfirmDelay);
+    }
+  }
+}
+
+// Motion gestures need permission on iOS; requested from a tap when a gesture is switched on
+async function requestMotionPermission() {
+  if (typeof DeviceMotionEvent !== 'undefined' && typeof DeviceMotionEvent.requestPermission === 'function') {
+    try {
+      const permission = await DeviceMotionEvent.requestPermission();
+      if (permission !== 'granted') showToast('Motion access was denied, so gestures are unavailable.');
+    } catch (err) {
+      console.error('Error requesting motion permission:', err);
+    }
+  }
+}
+
+function saveMotionSettings() {
+  try {
+    localStorage.setItem(motionSettingsStorageKey, JSON.stringify(motionSettings));
+  } catch (err) {
+    console.error('Error saving motion settings:', err);
+  }
+}
+
+// Motion settings depend on the device and the hand holding it, so they are kept outside of presets
+function loadMotionSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(motionSettingsStorageKey));
+    if (stored && typeof stored === 'object') {
+      if (['off', 'lowpass', 'oneEuro'].includes(stored.smoothing)) motionSettings.smoothing = stored.smoothing;
+      if (typeof stored.smoothingAmount === 'number') motionSettings.smoothingAmount = Math.max(0, Math.min(1, stored.smoothingAmount));
+      if (typeof stored.noteHold === 'number') motionSettings.noteHold = Math.max(0, Math.min(50, stored.noteHold));
+      motionSettings.shakeToClear = stored.shakeToClear === true;
+      motionSettings.flickToAdd = stored.flickToAdd === true;
+    }
+  } catch (err) {
+    console.error('Error loading motion settings:', err);
+  }
+}
+
+// Wires up the motion settings and the devicemotion listener
+function initMotionControls() {
+  const smoothingSelect = document.getElementById('smoothingSelect');
+  const smoothingSlider = document.getElementById('smoothingSlider');
+  const noteHoldSlider = document.getElementById('noteHoldSlider');
+  const noteHoldValue = document.getElementById('noteHoldValue');
+  const shakeToClearCheckbox = document.getElementById('shakeToClearCheckbox');
+  const flickToAddCheckbox = document.getElementById('flickToAddCheckbox');
+
+  loadMotionSettings();
+  smoothingSelect.value = motionSettings.smoothing;
+  smoothingSlider.value = motionSettings.smoothingAmount;
+  smoothingSlider.disabled = motionSettings.smoothing === 'off';
+  noteHoldSlider.value = motionSettings.noteHold;
+  noteHoldValue.textContent = motionSettings.noteHold;
+  shakeToClearCheckbox.checked = motionSettings.shakeToClear;
+  flickToAddCheckbox.checked = motionSettings.flickToAdd;
+
+  smoothingSelect.addEventListener('change', () => {
+    motionSettings.smoothing = smoothingSelect.value;
+    smoothingSlider.disabled = motionSettings.smoothing === 'off';
+    saveMotionSettings();
+  });
+  smoothingSlider.addEventListener('input', () => {
+    motionSettings.smoothingAmount = parseFloat(smoothingSlider.value);
+    saveMotionSettings();
+  });
+  noteHoldSlider.addEventListener('input', () => {
+    motionSettings.noteHold = parseFloat(noteHoldSlider.value);
+    noteHoldValue.textContent = motionSettings.noteHold;
+    saveMotionSettings();
+  });
+  shakeToClearCheckbox.addEventListener('change', () => {
+    motionSettings.shakeToClear = shakeToClearCheckbox.checked;
+    if (motionSettings.shakeToClear) requestMotionPermission();
+    saveMotionSettings();
+  });
+  flickToAddCheckbox.addEventListener('change', () => {
+    motionSettings.flickToAdd = flickToAddCheckbox.checked;
+    if (motionSettings.flickToAdd) requestMotionPermission();
+    saveMotionSettings();
+  });
+
+  window.addEventListener('devicemotion', handleDeviceMotion);
+}
@@ -0,0 +1,263 @@
+// Per-layer rhythm patterns: subdivision, note length, step or Euclidean patterns and probability
+const patternSubdivisions = ['2n', '4n', '8n', '8t', '16n'];
+const patternNoteLengths = ['32n', '16n', '8n', '4n', '2n'];
+const maxPatternSteps = 16;
+
+// Patterns offered as the default for new layers
+const patternPresets = {
+  'Quarter Pulse': { subdivision: '4n', noteLength: '8n', mode: 'steps', steps: [true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 1 },
+  'Eighths': { subdivision: '8n', noteLength: '16n', mode: 'steps', steps: [true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 1 },
+  'Offbeat': { subdivision: '8n', noteLength: '16n', mode: 'steps', steps: [false, true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 1 },
+  'Tresillo (3/8)': { subdivision: '8n', noteLength: '16n', mode: 'euclid', steps: [true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 1 },
+  'Euclid 5/16': { subdivision: '16n', noteLength: '16n', mode: 'euclid', steps: [true], euclid: { hits: 5, steps: 16, rotation: 0 }, probability: 1 },
+  'Sparse 16ths': { subdivision: '16n', noteLength: '32n', mode: 'steps', steps: [true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 0.35 },
+  'Half Notes': { subdivision: '2n', noteLength: '4n', mode: 'steps', steps: [true], euclid: { hits: 3, steps: 8, rotation: 0 }, probability: 1 }
+};
+
+let defaultPatternName = 'Quarter Pulse'; // Pattern given to new layers
+
+/**
+ * Returns a deep copy of a pattern so layers never share step arrays.
+ * @param {Object} pattern - The pattern to copy.
+ * @returns {Object} The copy.
+ */
+function clonePattern(pattern) {
+  return {
+    ...pattern,
+    steps: pattern.steps.slice(),
+    euclid: { ...pattern.euclid }
+  };
+}
+
+// Returns a copy of the pattern new layers should start with
+function getDefaultPattern() {
+  return clonePattern(patternPresets[defaultPatternName] || patternPresets['Quarter Pulse']);
+}
+
+// Clamps an integer to a range, using the fallback for non-numbers
+function clampInt(value, min, max, fallback) {
+  const number = Math.round(Number(value));
+  return Number.isFinite(number) ? Math.max(min, Math.min(max, number)) : fallback;
+}
+
+/**
+ * Validates a pattern from an untrusted source (scene link or preset file),
+ * filling in anything missing or invalid from the default pattern.
+ * @param {*} pattern - The candidate pattern.
+ * @returns {Object} A valid pattern.
+ */
+function sanitizePattern(pattern) {
+  const base = getDefaultPattern();
+  if (!pattern || typeof pattern !== 'object') return base;
+
+  const steps = Array.isArray(pattern.steps) && pattern.steps.length > 0
+    ? pattern.steps.slice(0, maxPatternSteps).map(Boolean)
+    : base.steps;
+  const euclid = pattern.euclid && typeof pattern.euclid === 'object' ? pattern.euclid : base.euclid;
+  const euclidSteps = clampInt(euclid.steps, 1, maxPatternSteps, base.euclid.steps);
+
+  return {
+    subdivision: patternSubdivisions.includes(pattern.subdivision) ? pattern.subdivision : base.subdivision,
+    noteLength: patternNoteLengths.includes(pattern.noteLength) ? pattern.noteLength : base.noteLength,
+    mode: pattern.mode === 'euclid' ? 'euclid' : 'steps',
+    steps,
+    euclid: {
+      hits: clampInt(euclid.hits, 0, euclidSteps, Math.min(base.euclid.hits, euclidSteps)),
+      steps: euclidSteps,
+      rotation: clampInt(euclid.rotation, 0, euclidSteps - 1, 0)
+    },
+    probability: typeof pattern.probability === 'number' ? Math.max(0, Math.min(1, pattern.probability)) : base.probability
+  };
+}
+
+/**
+ * Generates a Euclidean rhythm: hits spread as evenly as possible over the steps.
+ * @param {number} hits - Number of active steps.
+ * @param {number} steps - Total number of steps.
+ * @param {number} [rotation=0] - Number of steps to rotate the pattern to the right.
+ * @returns {boolean[]} The step pattern.
+ */
+function euclideanRhythm(hits, steps, rotation = 0) {
+  const rhythm = [];
+  for (let i = 0; i < steps; i++) {
+    rhythm.push((i * hits) % steps < hits);
+  }
+  const shift = ((rotation % steps) + steps) % steps;
+  return rhythm.slice(steps - shift).concat(rhythm.slice(0, steps - shift));
+}
+
+/**
+ * Resolves a pattern to its list of steps.
+ * @param {Object} pattern - The pattern.
+ * @returns {boolean[]} The step pattern.
+ */
+function getPatternSteps(pattern) {
+  if (pattern.mode === 'euclid') {
+    return euclideanRhythm(pattern.euclid.hits, pattern.euclid.steps, pattern.euclid.rotation);
+  }
+  return pattern.steps;
+}
+
+/**
+ * Decides whether a pattern plays at a given loop tick. The step index comes from the
+ * transport position, so layers with the same pattern stay aligned however they were added.
+ * @param {Object} pattern - The layer's pattern.
+ * @param {number} time - Audio-context time of the tick.
+ * @param {Tone.Transport} [transport] - The transport the loop runs on (the offline one when rendering).
+ * @returns {boolean} True if the step at this time is active.
+ */
+function isPatternStepActive(pattern, time, transport = Tone.getTransport()) {
+  const steps = getPatternSteps(pattern);
+  if (steps.length === 0) return false;
+  const stepTicks = Tone.Time(pattern.subdivision).toTicks();
+  const stepIndex = Math.round(transport.getTicksAtTime(time) / stepTicks);
+  return steps[stepIndex % steps.length];
+}
+
+/**
+ * Applies a pattern to a layer's loop: interval, probability and step pattern.
+ * @param {Tone.Loop} loop - The layer.
+ * @param {Object} pattern - The new pattern.
+ */
+function setLayerPattern(loop, pattern) {
+  loop.pattern = pattern;
+  loop.interval = pattern.subdivision;
+  loop.probability = pattern.probability;
+}
+
+// Creates a labelled <select> for the pattern editor
+function createPatternSelect(label, options, value, onChange) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'pattern-field';
+  wrapper.textContent = label;
+  const select = document.createElement('select');
+  options.forEach(optionValue => {
+    const option = document.createElement('option');
+    option.value = optionValue;
+    option.textContent = optionValue;
+    select.appendChild(option);
+  });
+  select.value = value;
+  select.addEventListener('change', () => onChange(select.value));
+  wrapper.appendChild(select);
+  return wrapper;
+}
+
+// Creates a labelled number input for the pattern editor
+function createPatternNumber(label, min, max, value, onChange) {
+  const wrapper = document.createElement('label');
+  wrapper.className = 'pattern-field';
+  wrapper.textContent = label;
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = min;
+  input.max = max;
+  input.value = value;
+  input.addEventListener('change', () => onChange(clampInt(input.value, min, max, value)));
+  wrapper.appendChild(input);
+  return wrapper;
+}
+
+/**
+ * Builds the pattern editor shown under a layer in the layers panel.
+ * @param {Tone.Loop} loop - The layer being edited.
+ * @param {Function} onChange - Called after any edit that changes the step layout.
+ * @returns {HTMLElement} The editor element.
+ */
+function createPatternEditor(loop, onChange) {
+  const pattern = loop.pattern;
+  const editor = document.createElement('div');
+  editor.className = 'pattern-editor';
+
+  const update = (changes) => {
+    setLayerPattern(loop, sanitizePattern({ ...loop.pattern, ...changes }));
+    onChange();
+  };
+
+  const fields = document.createElement('div');
+  fields.className = 'pattern-fields';
+  fields.append(
+    createPatternSelect('Step', patternSubdivisions, pattern.subdivision, value => update({ subdivision: value })),
+    createPatternSelect('Length', patternNoteLengths, pattern.noteLength, value => update({ noteLength: value })),
+    createPatternSelect('Mode', ['steps', 'euclid'], pattern.mode, value => update({ mode: value }))
+  );
+  editor.appendChild(fields);
+
+  if (pattern.mode === 'euclid') {
+    const euclidFields = document.createElement('div');
+    euclidFields.className = 'pattern-fields';
+    euclidFields.append(
+      createPatternNumber('Hits', 0, pattern.euclid.steps, pattern.euclid.hits,
+        value => update({ euclid: { ...pattern.euclid, hits: value } })),
+      createPatternNumber('Steps', 1, maxPatternSteps, pattern.euclid.steps,
+        value => update({ euclid: { ...pattern.euclid, steps: value, hits: Math.min(pattern.euclid.hits, value) } })),
+      createPatternNumber('Rotate', 0, pattern.euclid.steps - 1, pattern.euclid.rotation,
+        value => update({ euclid: { ...pattern.euclid, rotation: value } }))
+    );
+    editor.appendChild(euclidFields);
+  }
+
+  // Step grid: clickable in steps mode, a read-only preview in Euclidean mode
+  const grid = document.createElement('div');
+  grid.className = 'pattern-grid';
+  getPatternSteps(pattern).forEach((active, index) => {
+    const step = document.createElement('button');
+    step.className = `pattern-step${active ? ' active' : ''}`;
+    step.setAttribute('aria-label', `Step ${index + 1}`);
+    step.disabled = pattern.mode === 'euclid';
+    step.addEventListener('click', () => {
+      const steps = pattern.steps.slice();
+      steps[index] = !steps[index];
+      update({ steps });
+    });
+    grid.appendChild(step);
+  });
+  if (pattern.mode === 'steps') {
+    const resize = (delta) => {
+      const length = Math.max(1, Math.min(maxPatternSteps, pattern.steps.length + delta));
+      const steps = pattern.steps.slice(0, length);
+      while (steps.length < length) steps.push(false);
+      update({ steps });
+    };
+    grid.append(
+      createLayerButton('−', 'Remove a step', false, () => resize(-1)),
+      createLayerButton('+', 'Add a step', false, () => resize(1))
+    );
+  }
+  editor.appendChild(grid);
+
+  const probabilityField = document.createElement('label');
+  probabilityField.className = 'pattern-field';
+  probabilityField.textContent = 'Probability';
+  const probability = document.createElement('input');
+  probability.type = 'range';
+  probability.min = 0;
+  probability.max = 1;
+  probability.step = 0.05;
+  probability.value = pattern.probability;
+  probability.className = 'accent-blue-600';
+  // Applied directly so dragging doesn't rebuild the editor
+  probability.addEventListener('input', () => {
+    loop.pattern.probability = parseFloat(probability.value);
+    loop.probability = loop.pattern.probability;
+  });
+  probabilityField.appendChild(probability);
+  editor.appendChild(probabilityField);
+
+  return editor;
+}
+
+// Fills the default pattern dropdown in the settings modal
+function initPatternControls() {
+  const defaultPatternSelect = document.getElementById('defaultPatternSelect');
+  for (const name in patternPresets) {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    defaultPatternSelect.appendChild(option);
+  }
+  defaultPatternSelect.value = defaultPatternName;
+  defaultPatternSelect.addEventListener('change', () => {
+    defaultPatternName = defaultPatternSelect.value;
+  });
+}
@@ -0,0 +1,364 @@
+// Named presets: save, recall, factory sounds and JSON import/export
+const presetsStorageKey = 'gyroSynthPresets'; // User presets, keyed by name
+const lastSettingsStorageKey = 'gyroSynthLastSettings'; // Settings restored on reload
+const presetFileType = 'gyro-synth-presets'; // Marker written into exported files
+const presetFileVersion = 1;
+
+const factoryPresets = {
+  'Default': {
+    rootNote: 'C', scale: 'Off', engine: 'fm', waveform: 'sine',
+    volume: 0.8, attack: 0.1, release: 0.5, delayWet: 0.3
+  },
+  'Glass Bells': {
+    rootNote: 'E', scale: 'Pentatonic Major', engine: 'fm', waveform: 'sine',
+    engineParams: { harmonicity: 3.5, modulationIndex: 14, decay: 1.2, sustain: 0.2 },
+    volume: 0.7, attack: 0.01, release: 3, delayWet: 0.45
+  },
+  'Dark Drone': {
+    rootNote: 'A', scale: 'Minor', engine: 'mono', waveform: 'sawtooth',
+    engineParams: { cutoff: 250, resonance: 4, filterAmount: 2, decay: 0.5, sustain: 0.8 },
+    volume: 0.6, attack: 1.5, release: 4, delayWet: 0.2
+  },
+  'Blues Pluck': {
+    rootNote: 'G', scale: 'Blues', engine: 'pluck', waveform: 'square',
+    volume: 0.7, attack: 0.01, release: 0.3, delayWet: 0.25
+  },
+  'Dorian Haze': {
+    rootNote: 'D', scale: 'Dorian', engine: 'duo', waveform: 'triangle',
+    volume: 0.75, attack: 0.4, release: 2, delayWet: 0.6
+  }
+};
+
+let userPresets = loadUserPresets();
+
+/**
+ * Reads the current settings from the globals and dropdowns.
+ * @returns {Object} A plain settings object suitable for JSON.
+ */
+function collectSettings() {
+  return {
+    rootNote: currentRootNote,
+    scale: currentScaleName,
+    // Custom scales travel with the settings so presets and scene links work on other devices
+    customScale: customScales[currentScaleName],
+    referencePitch,
+    engine: currentEngine,
+    engineParams: { ...engineParams[currentEngine] },
+    waveform: currentWaveform,
+    volume: userVolume,
+    attack: attackTime,
+    release: releaseTime,
+    delayWet: delayWet,
+    bpm: transportBpm,
+    swing: swingAmount,
+    timeSignature: timeSignature.join('/'),
+    defaultPattern: defaultPatternName,
+    effects: getEffectsRackSettings(),
+    modulation: getModulationSettings(),
+    chords: getChordSettings(),
+    generative: getGenerativeSettings(),
+    pitchLow: pitchLowMidi,
+    pitchHigh: pitchHighMidi,
+    pitchCurve,
+    pitchAxis,
+    pitchInvert
+  };
+}
+
+/**
+ * Returns a numeric setting clamped to the range of its slider, or the fallback if invalid.
+ * @param {*} value - The value to check.
+ * @param {string} sliderId - Id of the range input whose min/max apply.
+ * @param {number} fallback - Value to use when the setting is missing or not a number.
+ * @returns {number} The clamped value.
+ */
+function clampToSlider(value, sliderId, fallback) {
+  const slider = document.getElementById(sliderId);
+  if (typeof value !== 'number' || !isFinite(value)) return fallback;
+  return Math.max(parseFloat(slider.min), Math.min(parseFloat(slider.max), value));
+}
+
+/**
+ * Applies a settings object to the globals and controls. Missing or invalid
+ * fields keep their current value. Sounds are cleared if the tuning, root or scale changes,
+ * as they are when those dropdowns are changed by hand; a new engine, waveform or voice
+ * parameters rebuild the playing voices instead.
+ * @param {Object} settings - Settings as produced by collectSettings().
+ */
+function applySettings(settings) {
+  if (!settings || typeof settings !== 'object') return;
+
+  const previous = collectSettings();
+
+  if (typeof settings.scale === 'string' && !availableScales[settings.scale] && isValidScale(settings.customScale)) {
+    addCustomScale(settings.scale, settings.customScale);
+  }
+  if (referencePitches.includes(settings.referencePitch)) setReferencePitch(settings.referencePitch);
+
+  if (noteNames.includes(settings.rootNote)) currentRootNote = settings.rootNote;
+  if (availableScales[settings.scale]) currentScaleName = settings.scale;
+  if (synthEngines[settings.engine]) {
+    // An engine without parameters starts from its defaults
+    setSynthEngine(settings.engine, settings.engineParams || {});
+  }
+  // A new sound replaces the voices of the playing layers before the envelope below is applied
+  // to them: the options of one engine don't fit the voices of another
+  if (waveforms.includes(settings.waveform) && settings.waveform !== currentWaveform) {
+    GyroSynth.setParam('waveform', settings.waveform); // Rebuilds the voices with the new engine too
+  } else if (previous.engine !== currentEngine ||
+             JSON.stringify(previous.engineParams) !== JSON.stringify(engineParams[currentEngine])) {
+    rebuildVoices();
+  }
+
+  // Through the engine API, so the sliders and other listeners hear about the new values
+  GyroSynth.setParam('volume', clampToSlider(settings.volume, 'volumeSlider', userVolume));
+  GyroSynth.setParam('attack', clampToSlider(settings.attack, 'attackSlider', attackTime));
+  GyroSynth.setParam('release', clampToSlider(settings.release, 'releaseSlider', releaseTime));
+  GyroSynth.setParam('delayWet', clampToSlider(settings.delayWet, 'delayWetSlider', delayWet));
+  GyroSynth.setParam('tempo', clampToSlider(settings.bpm, 'tempoSlider', transportBpm));
+  GyroSynth.setParam('swing', clampToSlider(settings.swing, 'swingSlider', swingAmount));
+  const signature = parseTimeSignature(settings.timeSignature);
+  if (signature && signature.join('/') !== timeSignature.join('/')) {
+    setTimeSignature(signature);
+  }
+
+  if (Array.isArray(settings.effects)) setEffectsRack(settings.effects);
+  setModulation(settings.modulation || { routes: [] });
+  setChordSettings(settings.chords);
+  setGenerativeSettings(settings.generative);
+
+  if (patternPresets[settings.defaultPattern]) {
+    defaultPatternName = settings.defaultPattern;
+    document.getElementById('defaultPatternSelect').value = defaultPatternName;
+  }
+
+  setPitchMapping({ curve: settings.pitchCurve, axis: settings.pitchAxis, invert: settings.pitchInvert });
+  setPitchRange(
+    clampToSlider(settings.pitchLow, 'pitchLowSlider', pitchLowMidi),
+    clampToSlider(settings.pitchHigh, 'pitchHighSlider', pitchHighMidi)
+  ); // Also updates the scale frequencies
+
+  if (previous.referencePitch !== referencePitch ||
+      previous.rootNote !== currentRootNote ||
+      previous.scale !== currentScaleName) {
+    clearSounds();
+  }
+  saveLastSettings();
+}
+
+/**
+ * Checks a name from a file or the user before it is used as a key of a plain object:
+ * some names would reach the object's prototype instead of adding an entry.
+ * @param {*} name - The candidate name.
+ * @returns {boolean} True if the name can be used as a key.
+ */
+function isSafeKey(name) {
+  return typeof name === 'string' && !['__proto__', 'constructor', 'prototype'].includes(name);
+}
+
+/**
+ * Loads the user presets from local storage.
+ * @returns {Object<string, Object>} Presets keyed by name.
+ */
+function loadUserPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(presetsStorageKey));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) {
+      const presets = {};
+      Object.keys(stored).filter(isSafeKey).forEach(name => {
+        if (stored[name] && typeof stored[name] === 'object') presets[name] = stored[name];
+      });
+      return presets;
+    }
+  } catch (err) {
+    console.error('Error loading presets:', err);
+  }
+  return {};
+}
+
+function saveUserPresets() {
+  try {
+    localStorage.setItem(presetsStorageKey, JSON.stringify(userPresets));
+  } catch (err) {
+    console.error('Error saving presets:', err);
+  }
+}
+
+// Remembers the current settings so they survive a reload
+function saveLastSettings() {
+  try {
+    localStorage.setItem(lastSettingsStorageKey, JSON.stringify(collectSettings()));
+  } catch (err) {
+    console.error('Error saving settings:', err);
+  }
+}
+
+// Restores the settings from the previous visit, if any
+function restoreLastSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(lastSettingsStorageKey));
+    if (stored && typeof stored === 'object' && !Array.isArray(stored)) applySettings(stored);
+  } catch (err) {
+    console.error('Error restoring settings:', err);
+  }
+}
+
+function setPresetStatus(message) {
+  document.getElementById('presetStatus').textContent = message;
+}
+
+// Rebuilds the preset dropdown with factory and user presets
+function populatePresetSelect(selectedName) {
+  const presetSelect = document.getElementById('presetSelect');
+  presetSelect.innerHTML = '<option value="">Choose a preset…</option>';
+
+  const addGroup = (label, prefix, presets) => {
+    const names = Object.keys(presets).sort();
+    if (names.length === 0) return;
+    const group = document.createElement('optgroup');
+    group.label = label;
+    names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = `${prefix}:${name}`;
+      option.textContent = name;
+      group.appendChild(option);
+    });
+    presetSelect.appendChild(group);
+  };
+
+  addGroup('My Presets', 'user', userPresets);
+  addGroup('Factory', 'factory', factoryPresets);
+  presetSelect.value = selectedName ? `user:${selectedName}` : '';
+}
+
+/**
+ * Looks up the preset selected in the dropdown.
+ * @returns {{name: string, settings: Object, isFactory: boolean}|null} The preset, or null.
+ */
+function getSelectedPreset() {
+  const value = document.getElementById('presetSelect').value;
+  if (!value) return null;
+  const separator = value.indexOf(':');
+  const source = value.slice(0, separator);
+  const name = value.slice(separator + 1);
+  const presets = source === 'factory' ? factoryPresets : userPresets;
+  if (!presets[name]) return null;
+  return { name, settings: presets[name], isFactory: source === 'factory' };
+}
+
+// Saves the current settings as a user preset
+function savePreset(name) {
+  const trimmedName = name.trim();
+  if (!trimmedName) {
+    setPresetStatus('Enter a name for the preset.');
+    return;
+  }
+  if (!isSafeKey(trimmedName)) {
+    setPresetStatus(`"${trimmedName}" can't be used as a preset name.`);
+    return;
+  }
+  userPresets[trimmedName] = collectSettings();
+  saveUserPresets();
+  populatePresetSelect(trimmedName);
+  setPresetStatus(`Saved "${trimmedName}".`);
+}
+
+// Deletes the selected user preset (factory presets can't be deleted)
+function deleteSelectedPreset() {
+  const preset = getSelectedPreset();
+  if (!preset || preset.isFactory) {
+    setPresetStatus('Select one of your presets to delete.');
+    return;
+  }
+  delete userPresets[preset.name];
+  saveUserPresets();
+  populatePresetSelect();
+  setPresetStatus(`Deleted "${preset.name}".`);
+}
+
+// Downloads the selected preset, or all user presets if none is selected, as JSON
+function exportPresets() {
+  const preset = getSelectedPreset();
+  const presets = preset ? { [preset.name]: preset.settings } : userPresets;
+  if (Object.keys(presets).length === 0) {
+    setPresetStatus('There are no presets to export.');
+    return;
+  }
+
+  const data = { type: presetFileType, version: presetFileVersion, presets };
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = preset ? `${preset.name.replace(/[^\w-]+/g, '_')}.json` : 'gyro-synth-presets.json';
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Imports presets from an exported JSON file and merges them into the user presets.
+ * @param {File} file - The file chosen by the user.
+ */
+async function importPresets(file) {
+  try {
+    const data = JSON.parse(await file.text());
+    if (!data || data.type !== presetFileType || typeof data.presets !== 'object') {
+      throw new Error('Not a Gyro Synth preset file');
+    }
+    if (data.version > presetFileVersion) {
+      throw new Error(`Preset file version ${data.version} is newer than this app supports`);
+    }
+
+    const names = Object.keys(data.presets).filter(name => {
+      const settings = data.presets[name];
+      return isSafeKey(name) && settings && typeof settings === 'object';
+    });
+    names.forEach(name => {
+      userPresets[name] = data.presets[name];
+    });
+    saveUserPresets();
+    populatePresetSelect(names.length === 1 ? names[0] : undefined);
+    setPresetStatus(`Imported ${names.length} preset${names.length === 1 ? '' : 's'}.`);
+  } catch (err) {
+    console.error('Error importing presets:', err);
+    setPresetStatus(`Could not import: ${err.message}`);
+  }
+}
+
+// Wires up the preset manager in the settings modal
+function initPresetControls() {
+  const presetSelect = document.getElementById('presetSelect');
+  const presetNameInput = document.getElementById('presetNameInput');
+  const savePresetBtn = document.getElementById('savePresetBtn');
+  const deletePresetBtn = document.getElementById('deletePresetBtn');
+  const exportPresetsBtn = document.getElementById('exportPresetsBtn');
+  const importPresetsBtn = document.getElementById('importPresetsBtn');
+  const importPresetsInput = document.getElementById('importPresetsInput');
+  const modalContent = document.getElementById('modalContent');
+
+  populatePresetSelect();
+
+  presetSelect.addEventListener('change', () => {
+    const preset = getSelectedPreset();
+    if (!preset) return;
+    applySettings(preset.settings);
+    presetNameInput.value = preset.isFactory ? '' : preset.name;
+    setPresetStatus(`Loaded "${preset.name}".`);
+  });
+  savePresetBtn.addEventListener('click', () => savePreset(presetNameInput.value));
+  deletePresetBtn.addEventListener('click', deleteSelectedPreset);
+  exportPresetsBtn.addEventListener('click', exportPresets);
+  importPresetsBtn.addEventListener('click', () => importPresetsInput.click());
+  importPresetsInput.addEventListener('change', () => {
+    if (importPresetsInput.files.length > 0) {
+      importPresets(importPresetsInput.files[0]);
+    }
+    importPresetsInput.value = ''; // Allow importing the same file again
+  });
+
+  // Remember any settings change made by hand (or by MIDI) for the next visit
+  modalContent.addEventListener('change', saveLastSettings);
+  modalContent.addEventListener('input', saveLastSettings);
+}
@@ -0,0 +1,324 @@
+// Recording of the post-effects signal and WAV export
+let recorder = null; // Tone.Recorder tapped off the panner (post-effects signal)
+let recordingStartTime = 0; // performance.now() timestamp when recording started
+let recordingTimer = null; // Interval updating the elapsed time display
+let lastTake = null; // { blob, fileName } of the most recent recording or render
+let recordingStarting = false; // True while startRecording() waits, so a double tap starts one recording
+
+/**
+ * Creates the recorder and connects it to the end of the effects chain.
+ * Called from startSounds() once the panner exists.
+ * @param {Tone.ToneAudioNode} source - The node whose output should be recorded.
+ */
+function connectRecorder(source) {
+  if (!Tone.Recorder.supported) {
+    console.warn('Recording is not supported in this browser.');
+    return;
+  }
+  recorder = new Tone.Recorder();
+  source.connect(recorder);
+  updateRecordingControls();
+}
+
+/**
+ * Formats a number of seconds as m:ss.
+ * @param {number} seconds - Elapsed seconds.
+ * @returns {string} The formatted time.
+ */
+function formatElapsed(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Builds a timestamped file name for a take, e.g. gyro-synth-20240101-120000.wav
+ * @returns {string} The file name.
+ */
+function createTakeFileName() {
+  const now = new Date();
+  const pad = (n) => n.toString().padStart(2, '0');
+  const date = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`;
+  const time = `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
+  return `gyro-synth-${date}-${time}.wav`;
+}
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file.
+ * @param {AudioBuffer} audioBuffer - The decoded or rendered audio.
+ * @returns {Blob} A Blob of type audio/wav.
+ */
+function encodeWav(audioBuffer) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = audioBuffer.sampleRate;
+  const numFrames = audioBuffer.length;
+  const bytesPerSample = 2;
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = numFrames * blockAlign;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  };
+
+  // RIFF header
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  // fmt chunk
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true); // Chunk size
+  view.setUint16(20, 1, true); // PCM format
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true); // Byte rate
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true); // Bits per sample
+  // data chunk
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave channels and convert float samples to 16-bit integers
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) {
+    channels.push(audioBuffer.getChannelData(c));
+  }
+  let offset = 44;
+  for (let i = 0; i < numFrames; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const sample = Math.max(-1, Math.min(1, channels[c][i]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7FFF, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return new Blob([buffer], { type: 'audio/wav' });
+}
+
+// Function to start recording the post-effects signal
+async function startRecording() {
+  if (!recorder || recorder.state === 'started' || recordingStarting) return;
+  recordingStarting = true;
+  updateRecordingControls();
+
+  try {
+    if (Tone.context.state !== 'running') {
+      await Tone.start();
+    }
+    await recorder.start();
+  } catch (err) {
+    console.error('Error starting recording:', err);
+    setRecordingStatus('Could not start recording.');
+    return;
+  } finally {
+    recordingStarting = false;
+    updateRecordingControls();
+  }
+  recordingStartTime = performance.now();
+  recordingTimer = setInterval(updateRecordingDisplay, 250);
+  updateRecordingDisplay();
+  updateRecordingControls();
+  //console.log("Recording started.");
+}
+
+// Function to stop recording and convert the take to WAV
+async function stopRecording() {
+  if (!recorder || recorder.state !== 'started') return;
+
+  clearInterval(recordingTimer);
+  recordingTimer = null;
+
+  const recording = await recorder.stop();
+  updateRecordingControls();
+  setRecordingStatus('Encoding WAV…');
+
+  try {
+    // MediaRecorder produces a compressed format; decode it to PCM so we can write a WAV
+    const arrayBuffer = await recording.arrayBuffer();
+    const audioBuffer = await Tone.context.rawContext.decodeAudioData(arrayBuffer);
+    lastTake = { blob: encodeWav(audioBuffer), fileName: createTakeFileName() };
+    setRecordingStatus(`Take ready (${formatElapsed(audioBuffer.duration)})`);
+  } catch (err) {
+    console.error('Error encoding recording:', err);
+    lastTake = null;
+    setRecordingStatus('Could not encode the recording.');
+  }
+  updateRecordingControls();
+  //console.log("Recording stopped.");
+}
+
+// Function to toggle recording on and off
+function toggleRecording() {
+  if (recorder && recorder.state === 'started') {
+    stopRecording();
+  } else {
+    startRecording();
+  }
+}
+
+/**
+ * Renders the current fixed loops offline (faster than real time) for a number of bars
+ * and stores the result as the last take.
+ * @param {number} bars - Number of bars (measures) to render.
+ */
+async function renderLoopsOffline(bars) {
+  // Capture everything needed from the live context before switching to the offline one
+  const layers = savedLoops
+    .filter(loop => !loop.mute)
+    .map(loop => ({ frequency: loop.frequency, level: loop.level, pattern: clonePattern(loop.pattern), melody: loop.melody, chord: loop.chord }));
+
+  if (layers.length === 0) {
+    setRecordingStatus('Add some loops before rendering.');
+    return;
+  }
+
+  const busGain = getBusGain(layers.map(layer => layer.level)); // Mixed as they are live
+  const loopDuration = Tone.Time('1m').toSeconds() * bars;
+  const tailDuration = releaseTime + 2; // Leave room for the release and reverb tail
+  const bpm = transportBpm;
+  const swing = swingAmount;
+  const signature = timeSignature;
+
+  setRecordingStatus('Rendering…');
+
+  try {
+    const rendered = await Tone.Offline(async ({ transport }) => {
+      transport.bpm.value = bpm;
+      transport.swing = swing;
+      transport.timeSignature = signature;
+
+      const bus = new Tone.Gain(busGain);
+      const compressor = new Tone.Compressor({ threshold: -12, ratio: 4, attack: 0.01, release: 0.25 });
+      const lowBump = new Tone.Filter(200, "lowshelf");
+      const output = new Tone.Gain(userVolume).toDestination();
+      bus.chain(lowBump, compressor);
+      await chainEffects(compressor, output); // The effects rack as it is set up live
+
+      layers.forEach(layer => {
+        const layerPanner = new Tone.Panner(0).connect(bus);
+        const synth = (layer.chord ? createChordVoice(layer.chord.ratios.length) : createEngineVoice()).connect(layerPanner);
+        synth.volume.value = Tone.gainToDb(layer.level);
+        const loop = new Tone.Loop((time) => {
+          if (!isPatternStepActive(layer.pattern, time, transport)) return;
+          let frequency = layer.frequency;
+          if (layer.melody) {
+            const note = getMelodyNote(layer.melody, time, transport);
+            layerPanner.pan.setValueAtTime(note.pan, time);
+            frequency *= note.ratio;
+          }
+          synth.triggerAttackRelease(layer.chord ? getChordFrequencies(layer.chord, frequency) : frequency, layer.pattern.noteLength, time);
+        }, layer.pattern.subdivision);
+        loop.probability = layer.pattern.probability;
+        loop.start(0).stop(loopDuration);
+      });
+
+      transport.start(0);
+    }, loopDuration + tailDuration, 2);
+
+    lastTake = { blob: encodeWav(rendered.get()), fileName: createTakeFileName() };
+    setRecordingStatus(`Rendered ${bars} bar${bars === 1 ? '' : 's'}`);
+  } catch (err) {
+    console.error('Error rendering loops:', err);
+    setRecordingStatus('Could not render the loops.');
+  }
+  updateRecordingControls();
+}
+
+// Function to download the last take as a WAV file
+function downloadTake() {
+  if (!lastTake) return;
+  const url = URL.createObjectURL(lastTake.blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = lastTake.fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Function to share the last take through the Web Share API (falls back to download)
+async function shareTake() {
+  if (!lastTake) return;
+  const file = new File([lastTake.blob], lastTake.fileName, { type: 'audio/wav' });
+  if (navigator.canShare && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], title: 'Gyro Synth take' });
+    } catch (err) {
+      // AbortError means the user closed the share sheet
+      if (err.name !== 'AbortError') {
+        console.error('Error sharing take:', err);
+      }
+    }
+  } else {
+    downloadTake();
+  }
+}
+
+// Updates the elapsed time in the modal and the floating indicator
+function updateRecordingDisplay() {
+  const elapsed = recordingTimer ? (performance.now() - recordingStartTime) / 1000 : 0;
+  const text = formatElapsed(elapsed);
+  const recordingTime = document.getElementById('recordingTime');
+  if (recordingTime) recordingTime.textContent = text;
+  const indicatorTime = document.getElementById('recordingIndicatorTime');
+  if (indicatorTime) indicatorTime.textContent = text;
+}
+
+function setRecordingStatus(message) {
+  const status = document.getElementById('recordingStatus');
+  if (status) status.textContent = message;
+}
+
+// Syncs button labels and enabled state with the recorder state
+function updateRecordingControls() {
+  const isRecording = recorder && recorder.state === 'started';
+  const recordBtn = document.getElementById('recordBtn');
+  const indicator = document.getElementById('recordingIndicator');
+
+  if (recordBtn) {
+    recordBtn.textContent = isRecording ? 'Stop' : 'Record';
+    recordBtn.disabled = !recorder || recordingStarting;
+  }
+  if (indicator) {
+    indicator.style.display = isRecording ? 'flex' : 'none';
+  }
+  // Pages that embed the engine without the app's markup have none of these
+  const disabled = { downloadTakeBtn: !lastTake || isRecording, shareTakeBtn: !lastTake || isRecording, renderLoopsBtn: isRecording };
+  for (const id in disabled) {
+    const button = document.getElementById(id);
+    if (button) button.disabled = disabled[id];
+  }
+}
+
+// Wires up the recording controls in the settings modal
+function initRecorderControls() {
+  const recordBtn = document.getElementById('recordBtn');
+  const downloadTakeBtn = document.getElementById('downloadTakeBtn');
+  const shareTakeBtn = document.getElementById('shareTakeBtn');
+  const renderLoopsBtn = document.getElementById('renderLoopsBtn');
+  const renderBarsInput = document.getElementById('renderBarsInput');
+  const recordingIndicator = document.getElementById('recordingIndicator');
+
+  recordBtn.addEventListener('click', toggleRecording);
+  downloadTakeBtn.addEventListener('click', downloadTake);
+  shareTakeBtn.addEventListener('click', shareTake);
+  renderLoopsBtn.addEventListener('click', () => {
+    const bars = Math.max(1, Math.min(64, parseInt(renderBarsInput.value, 10) || 4));
+    renderBarsInput.value = bars;
+    renderLoopsOffline(bars);
+  });
+  // Tapping the floating indicator stops the recording
+  recordingIndicator.addEventListener('pointerdown', (e) => {
+    e.stopPropagation();
+    stopRecording();
+  });
+
+  if (!navigator.share) {
+    shareTakeBtn.style.display = 'none';
+  }
+  updateRecordingControls();
+}
@@ -0,0 +1,97 @@
+// Scale math with no browser or Tone.js dependencies: note names, MIDI pitches, scale ladders and snapping.
+// Loaded as a classic script in the app and with require() in Node (see tests/scales_test.js).
+const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+const flatNoteNames = { Db: 'C#', Eb: 'D#', Gb: 'F#', Ab: 'G#', Bb: 'A#' };
+// Limits on scale definitions: a tiny period or a huge interval list would make the ladder endless
+const minScalePeriod = 1; // Semitones (100 cents)
+const maxScaleIntervals = 256;
+
+/**
+ * Converts a note name and octave to a MIDI note (C4 = 60).
+ * @param {string} name - The note name, e.g. 'C', 'F#' or 'Bb'.
+ * @param {number} octave - The octave.
+ * @returns {number} MIDI note number.
+ * @throws {RangeError} If the note name is unknown.
+ */
+function noteNameToMidi(name, octave) {
+  const index = noteNames.indexOf(flatNoteNames[name] || name);
+  if (index === -1) throw new RangeError(`Unknown note name: ${name}`);
+  return (octave + 1) * 12 + index;
+}
+
+/**
+ * Converts a (possibly fractional) MIDI note to a frequency.
+ * @param {number} midi - MIDI note number.
+ * @param {number} [a4=440] - Reference pitch of A4 in Hz.
+ * @returns {number} Frequency in Hz.
+ */
+function midiToFrequency(midi, a4 = 440) {
+  return a4 * Math.pow(2, (midi - 69) / 12);
+}
+
+/**
+ * Generates an array of frequencies for a given scale and octave range.
+ * @param {string|number} rootNote - The root note (e.g., 'C', 'A#'), or a (possibly fractional) MIDI note.
+ * @param {number[]} intervals - Array of (possibly fractional) semitone intervals from the root.
+ * @param {number} minOctave - The minimum octave to generate notes from.
+ * @param {number} maxOctave - The maximum octave to generate notes up to.
+ * @param {number} [period=12] - Size of the repeating period in semitones (12 = octave).
+ * @param {number} [a4=440] - Reference pitch of A4 in Hz.
+ * @returns {number[]} Sorted array of frequencies in Hz.
+ * @throws {RangeError} If the period is smaller than minScalePeriod or there are more than maxScaleIntervals intervals.
+ */
+function generateScaleFrequencies(rootNote, intervals, minOctave = 3, maxOctave = 6, period = 12, a4 = 440) {
+  if (!(period >= minScalePeriod)) throw new RangeError(`The scale period must be at least ${minScalePeriod} semitone, got ${period}`);
+  if (intervals.length > maxScaleIntervals) throw new RangeError(`A scale can have at most ${maxScaleIntervals} intervals`);
+  const notes = [];
+  const rangeStart = (minOctave + 1) * 12; // MIDI note of C in the minimum octave
+  const rangeEnd = (maxOctave + 2) * 12; // MIDI note of C above the maximum octave
+  // Get the MIDI note for the root of the first period
+  let baseMidi;
+  if (typeof rootNote === 'number') {
+    baseMidi = rootNote - Math.ceil((rootNote - rangeStart) / period) * period;
+  } else {
+    baseMidi = noteNameToMidi(rootNote, minOctave);
+  }
+
+  for (let periodStart = baseMidi; periodStart < rangeEnd; periodStart += period) {
+    for (let interval of intervals) {
+      const freq = midiToFrequency(periodStart + interval, a4);
+
+      // Only add audible frequencies
+      if (freq >= 20 && freq <= 20000) {
+        notes.push(freq);
+      }
+    }
+  }
+  // Sort the frequencies to make snapping more efficient
+  return notes.sort((a, b) => a - b);
+}
+
+/**
+ * Finds the closest frequency in a sorted array of scale frequencies to a given raw frequency.
+ * @param {number} rawFreq - The frequency to snap, e.g. from device orientation.
+ * @param {number[]} frequencies - Sorted scale frequencies, as from generateScaleFrequencies().
+ * @returns {number} The snapped frequency, or rawFreq if there are no frequencies to snap to.
+ */
+function getSnappedFrequency(rawFreq, frequencies) {
+  if (frequencies.length === 0) {
+    return rawFreq; // Scale 'Off': no snapping
+  }
+
+  let closestFreq = frequencies[0];
+  let minDifference = Math.abs(rawFreq - closestFreq);
+
+  for (let i = 1; i < frequencies.length; i++) {
+    const difference = Math.abs(rawFreq - frequencies[i]);
+    if (difference < minDifference) {
+      minDifference = difference;
+      closestFreq = frequencies[i];
+    }
+  }
+  return closestFreq;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { noteNames, minScalePeriod, maxScaleIntervals, noteNameToMidi, midiToFrequency, generateScaleFrequencies, getSnappedFrequency };
+}
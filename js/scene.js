@@ -0,0 +1,212 @@
+// Shareable scene links: encode the settings and layered loops into the URL hash
+const sceneHashKey = 'scene'; // Links look like index.html#scene=<data>
+const sceneVersion = 2; // Bump when the scene format changes incompatibly
+const minSceneFrequency = 20;
+const maxSceneFrequency = 20000;
+
+let pendingScene = null; // Scene read from the URL, applied once the start overlay is dismissed
+
+/**
+ * Encodes a string as URL-safe base64 (UTF-8 aware).
+ * @param {string} text - The text to encode.
+ * @returns {string} The base64url string without padding.
+ */
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a URL-safe base64 string produced by toBase64Url().
+ * @param {string} encoded - The base64url string.
+ * @returns {string} The decoded text.
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+  const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+  return new TextDecoder().decode(bytes);
+}
+
+/**
+ * Encodes a layer compactly: its frequency, level, mute state, rhythm pattern,
+ * recorded melody and chord. Used for scene links and jam sessions.
+ * @param {Tone.Loop} loop - The layer.
+ * @returns {Object} The encoded layer.
+ */
+function encodeLayer(loop) {
+  return {
+    f: Math.round(loop.frequency * 100) / 100,
+    l: loop.level,
+    m: loop.muted,
+    p: loop.pattern,
+    mel: loop.melody ? encodeMelody(loop.melody) : undefined,
+    c: loop.chord ? encodeChord(loop.chord) : undefined
+  };
+}
+
+/**
+ * Validates a layer encoded by encodeLayer() from an untrusted source.
+ * @param {*} loop - The encoded layer.
+ * @returns {Object|null} { frequency, level, muted, pattern, melody, chord }, or null if the frequency is invalid.
+ */
+function decodeLayer(loop) {
+  if (!loop || typeof loop.f !== 'number' || loop.f < minSceneFrequency || loop.f > maxSceneFrequency) return null;
+  return {
+    frequency: loop.f,
+    level: typeof loop.l === 'number' ? Math.max(0, Math.min(1, loop.l)) : 1,
+    muted: loop.m === true,
+    pattern: sanitizePattern(loop.p),
+    melody: sanitizeMelody(loop.mel),
+    chord: sanitizeChord(loop.c)
+  };
+}
+
+/**
+ * Captures the current scene: all settings plus every fixed loop.
+ * @returns {Object} The scene object.
+ */
+function captureScene() {
+  return {
+    v: sceneVersion,
+    settings: collectSettings(),
+    loops: savedLoops.map(encodeLayer)
+  };
+}
+
+/**
+ * Upgrades a scene from an older link format to the current one.
+ * Version 1 stored each loop as a bare frequency.
+ * @param {Object} scene - The parsed scene.
+ * @returns {Object} The scene in the current format.
+ */
+function migrateScene(scene) {
+  if (scene.v === 1 && Array.isArray(scene.loops)) {
+    return { ...scene, v: 2, loops: scene.loops.map(freq => ({ f: freq })) };
+  }
+  return scene;
+}
+
+// Builds a link to this page that restores the current scene
+function createSceneUrl() {
+  const url = new URL(window.location.href);
+  url.hash = `${sceneHashKey}=${toBase64Url(JSON.stringify(captureScene()))}`;
+  return url.toString();
+}
+
+/**
+ * Parses and validates a scene from a URL hash.
+ * @param {string} hash - The location hash, e.g. "#scene=...".
+ * @returns {Object|null} The scene, or null if the hash holds no scene.
+ * @throws {Error} If the hash holds a scene that is corrupt or from an unsupported version.
+ */
+function parseSceneHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const encoded = params.get(sceneHashKey);
+  if (!encoded) return null;
+
+  let scene;
+  try {
+    scene = JSON.parse(fromBase64Url(encoded));
+  } catch (err) {
+    throw new Error('This scene link is damaged and could not be read.');
+  }
+
+  if (!scene || typeof scene !== 'object' || typeof scene.v !== 'number') {
+    throw new Error('This scene link is damaged and could not be read.');
+  }
+  if (scene.v > sceneVersion) {
+    throw new Error('This scene link was made with a newer version of Gyro Synth. Reload to update.');
+  }
+  if (scene.v < 1) {
+    throw new Error('This scene link is from an older version of Gyro Synth and can no longer be opened.');
+  }
+  scene = migrateScene(scene);
+  if (!Array.isArray(scene.loops)) {
+    throw new Error('This scene link is damaged and could not be read.');
+  }
+
+  return {
+    v: scene.v,
+    settings: scene.settings && typeof scene.settings === 'object' ? scene.settings : {},
+    loops: scene.loops.map(decodeLayer).filter(Boolean)
+  };
+}
+
+// Reads a scene from the page URL, reporting bad links instead of failing silently
+function readSceneFromUrl() {
+  try {
+    pendingScene = parseSceneHash(window.location.hash);
+  } catch (err) {
+    pendingScene = null;
+    showToast(err.message);
+  }
+
+  // Let the user know what will happen when they tap Start
+  const sceneNotice = document.getElementById('sceneNotice');
+  if (pendingScene) {
+    const count = pendingScene.loops.length;
+    sceneNotice.textContent = `A shared scene with ${count} layer${count === 1 ? '' : 's'} will load when you start.`;
+    sceneNotice.style.display = 'block';
+  }
+
+  // Drop the scene from the address bar so a later reload doesn't stack it again
+  if (new URLSearchParams(window.location.hash.replace(/^#/, '')).has(sceneHashKey)) {
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+}
+
+// Rebuilds the scene read from the URL. Called once audio has been started.
+function applyPendingScene() {
+  if (!pendingScene) return;
+  const scene = pendingScene;
+  pendingScene = null;
+
+  applySettings(scene.settings);
+  scene.loops.forEach(layer => {
+    const loop = addFixedLoop(layer.frequency, layer.pattern, layer.chord);
+    if (!loop) return; // Over the polyphony limit
+    if (layer.melody) setLayerMelody(loop, layer.melody);
+    setLayerLevel(loop.layerId, layer.level);
+    if (layer.muted) toggleLayerMute(loop.layerId);
+  });
+  //console.log(`Restored scene with ${scene.loops.length} layers.`);
+}
+
+// Shares the scene link with the Web Share API, or copies it to the clipboard
+async function shareScene() {
+  const url = createSceneUrl();
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: 'Gyro Synth scene', url });
+      return;
+    } catch (err) {
+      if (err.name === 'AbortError') return; // User closed the share sheet
+      console.error('Error sharing scene:', err);
+    }
+  }
+
+  try {
+    await navigator.clipboard.writeText(url);
+    showToast('Scene link copied to clipboard.');
+  } catch (err) {
+    console.error('Error copying scene link:', err);
+    window.prompt('Copy this scene link:', url);
+  }
+}
+
+// Wires up the scene sharing controls in the settings modal
+function initSceneControls() {
+  document.getElementById('shareSceneBtn').addEventListener('click', shareScene);
+  readSceneFromUrl();
+
+  // A scene link opened while the app is already running applies straight away
+  window.addEventListener('hashchange', () => {
+    readSceneFromUrl();
+    if (document.getElementById('startOverlay').style.display === 'none') {
+      applyPendingScene();
+    }
+  });
+}
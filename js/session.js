@@ -0,0 +1,492 @@
+// Jam sessions: one device hosts, others join; they share tempo, transport, scale and root, and can mirror each other's layers
+const sessionStorageKey = 'gyroSynthSession';
+const sessionSyncInterval = 1000; // Clock pings, host state and layer snapshots (ms)
+const sessionPeerTimeout = 5000; // Players not heard from for this long are dropped (ms)
+const sessionSeekThreshold = 0.08; // Further off than this (seconds), the transport jumps instead of catching up
+const sessionCatchUpTime = 2; // Smaller offsets are closed by bending the tempo over about this long (seconds)
+const sessionMaxTempoBend = 0.03; // Most the tempo is bent while catching up (fraction)
+const sessionPeerId = Math.random().toString(36).slice(2, 10); // Identifies this device in a session
+
+let sessionSettings = {
+  channel: 'tabs', // 'tabs' (BroadcastChannel between tabs of one browser) or 'relay' (WebSocket relay)
+  relayUrl: `ws://${window.location.hostname || 'localhost'}:8787`,
+  mirrorLayers: true // Send this device's layers to the others and play theirs
+};
+let session = null; // { code, role, hostSince, channel, peers: Map<peerId, { lastSeen }>, hostId, hostPlaying, syncTimer, minRoundTrip, offset }
+let remoteLayers = new Map(); // Peer id -> Map<remote layer id, Tone.Loop> of mirrored layers
+let sessionStateTimer = null; // Batches changes made together (e.g. a preset) into one state message
+
+// Makes a short session code that is easy to read out
+function createSessionCode() {
+  const letters = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  return Array.from({ length: 4 }, () => letters[Math.floor(Math.random() * letters.length)]).join('');
+}
+
+/**
+ * Opens the channel to the other players: a BroadcastChannel for tabs on this device,
+ * or a WebSocket to the session relay (relay/server.js).
+ * @param {string} code - The session code.
+ * @param {function(Object)} onMessage - Called with every message from another player.
+ * @param {function()} onClose - Called if the connection is lost.
+ * @param {function()} onOpen - Called once messages can be sent; anything sent before is dropped.
+ * @returns {{send: function(Object), close: function()}} The channel.
+ * @throws {Error} If the channel can't be opened.
+ */
+function openSessionChannel(code, onMessage, onClose, onOpen) {
+  if (sessionSettings.channel === 'relay') {
+    const socket = new WebSocket(`${sessionSettings.relayUrl.replace(/\/+$/, '')}/${encodeURIComponent(code)}`);
+    socket.addEventListener('message', (event) => {
+      try {
+        onMessage(JSON.parse(event.data));
+      } catch (err) {
+        console.error('Ignoring a session message that could not be read:', err);
+      }
+    });
+    socket.addEventListener('open', onOpen);
+    socket.addEventListener('close', onClose);
+    return {
+      send: message => {
+        if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      },
+      close: () => {
+        socket.removeEventListener('close', onClose);
+        socket.close();
+      }
+    };
+  }
+
+  if (typeof BroadcastChannel === 'undefined') {
+    throw new Error('This browser cannot link tabs. Use a relay server instead.');
+  }
+  const channel = new BroadcastChannel(`gyro-synth-session-${code}`);
+  channel.addEventListener('message', event => onMessage(event.data));
+  queueMicrotask(onOpen); // Ready straight away, but the caller gets the channel first
+  return {
+    send: message => channel.postMessage(message),
+    close: () => channel.close()
+  };
+}
+
+// Sends a message to every other player of the session
+function sendSessionMessage(type, data = {}) {
+  if (session) session.channel.send({ ...data, type, from: sessionPeerId });
+}
+
+/**
+ * Starts or joins a session.
+ * @param {string} role - 'host' shares its tempo, transport and scale; 'guest' follows the host.
+ * @param {string} code - The session code.
+ */
+function startSession(role, code) {
+  leaveSession();
+  code = code.trim().toUpperCase();
+  if (!/^[A-Z0-9]{1,16}$/.test(code)) {
+    setSessionStatus('Enter a session code (letters and digits).');
+    return;
+  }
+
+  let channel;
+  try {
+    channel = openSessionChannel(code, handleSessionMessage, () => {
+      leaveSession();
+      setSessionStatus('Lost the connection to the relay. Sounds keep playing on this device.');
+    }, () => {
+      if (!session || session.channel !== channel) return; // Left again while connecting
+      sendSessionMessage('hello', { role });
+      syncSession();
+    });
+  } catch (err) {
+    setSessionStatus(err.message);
+    return;
+  }
+
+  session = { code, role, hostSince: Date.now(), channel, peers: new Map(), hostId: null, hostPlaying: null, minRoundTrip: Infinity, offset: null };
+  session.syncTimer = setInterval(syncSession, sessionSyncInterval);
+  document.getElementById('sessionCodeInput').value = code;
+  updateSessionControls();
+}
+
+// Leaves the session; this device keeps playing on its own at the session tempo
+function leaveSession() {
+  if (!session) return;
+  sendSessionMessage('leave');
+  clearInterval(session.syncTimer);
+  session.channel.close();
+  session = null;
+  Array.from(remoteLayers.keys()).forEach(removeRemoteLayers);
+  if (masterBus) Tone.getTransport().bpm.rampTo(transportBpm, 0.1); // Undo any tempo bend
+  setSessionStatus('');
+  updateSessionControls();
+}
+
+/**
+ * Runs every second: the host sends its state, guests ping the host to measure the clock,
+ * layers are shared, and players that went quiet are dropped.
+ */
+function syncSession() {
+  const now = performance.now();
+  session.peers.forEach((peer, peerId) => {
+    if (now - peer.lastSeen > sessionPeerTimeout) dropSessionPeer(peerId);
+  });
+
+  if (session.role === 'host') {
+    shareSessionState();
+  } else {
+    sendSessionMessage('ping', { sent: now });
+  }
+  if (sessionSettings.mirrorLayers) {
+    // Silent layers are left out; the full list goes out every time, so removed layers disappear
+    sendSessionMessage('layers', {
+      layers: savedLoops.filter(loop => !loop.mute).map(loop => ({ id: loop.layerId, ...encodeLayer(loop) }))
+    });
+  }
+  updateSessionStatus();
+}
+
+// Host: sends the tempo, transport and scale to the players
+function shareSessionState() {
+  if (!session || session.role !== 'host') return;
+  sendSessionMessage('state', {
+    hostSince: session.hostSince,
+    playing: Tone.getTransport().state === 'started',
+    bpm: transportBpm,
+    swing: swingAmount,
+    timeSignature: timeSignature.join('/'),
+    rootNote: currentRootNote,
+    scale: currentScaleName,
+    customScale: customScales[currentScaleName]
+  });
+}
+
+// Host: shares a tempo, swing, time signature or scale change soon (called by the setters)
+function queueSessionState() {
+  if (!session || session.role !== 'host' || sessionStateTimer) return;
+  sessionStateTimer = setTimeout(() => {
+    sessionStateTimer = null;
+    shareSessionState();
+  }, 50);
+}
+
+/**
+ * Two hosts in one session: the one that started hosting first stays host (the lower peer id on a tie),
+ * so both sides reach the same answer whichever state message arrives first.
+ * @param {Object} state - A 'state' message from another host.
+ * @returns {boolean} True if this device stays host.
+ */
+function outranksSessionHost(state) {
+  const theirSince = typeof state.hostSince === 'number' ? state.hostSince : Infinity;
+  return session.hostSince < theirSince || (session.hostSince === theirSince && sessionPeerId < state.from);
+}
+
+// Handles a message from another player
+function handleSessionMessage(message) {
+  if (!session || !message || typeof message.from !== 'string' || message.from === sessionPeerId) return;
+
+  if (message.type === 'leave') {
+    dropSessionPeer(message.from);
+    return;
+  }
+  const known = session.peers.has(message.from);
+  session.peers.set(message.from, { lastSeen: performance.now() });
+  if (!known) showToast(`A player joined the session (${session.peers.size + 1} playing).`, 2000);
+
+  switch (message.type) {
+    case 'hello':
+      if (session.role === 'host') shareSessionState(); // Bring the new player up to date straight away
+      break;
+    case 'state':
+      if (session.role === 'host') {
+        if (outranksSessionHost(message)) {
+          shareSessionState(); // Lets the other host know it should follow this one
+          break;
+        }
+        session.role = 'guest';
+        showToast('Another device is already hosting this session, so this one joined it.');
+        updateSessionControls();
+      }
+      session.hostId = message.from;
+      applySessionState(message);
+      break;
+    case 'ping':
+      if (session.role === 'host') answerSessionPing(message);
+      break;
+    case 'pong':
+      if (message.to === sessionPeerId) correctSessionClock(message);
+      break;
+    case 'layers':
+      if (sessionSettings.mirrorLayers && Array.isArray(message.layers)) mirrorRemoteLayers(message.from, message.layers);
+      break;
+  }
+}
+
+/**
+ * Guest: follows the host's tempo, swing, time signature, root and scale, and its transport stopping.
+ * @param {Object} state - A 'state' message.
+ */
+function applySessionState(state) {
+  followHostTransport(state.playing);
+  if (typeof state.bpm === 'number' && state.bpm !== transportBpm) setTempo(state.bpm);
+  if (typeof state.swing === 'number' && state.swing !== swingAmount) setSwing(state.swing);
+  const signature = parseTimeSignature(state.timeSignature);
+  if (signature && signature.join('/') !== timeSignature.join('/')) setTimeSignature(signature);
+
+  if (typeof state.scale === 'string' && !availableScales[state.scale] && isValidScale(state.customScale)) {
+    addCustomScale(state.scale, state.customScale);
+  }
+  if (availableScales[state.scale] && noteNames.includes(state.rootNote) &&
+      (currentScaleName !== state.scale || currentRootNote !== state.rootNote)) {
+    GyroSynth.setScale(state.rootNote, state.scale); // Clears the sounds, as a scale change by hand does
+  }
+}
+
+// Host: answers a guest's ping with where its transport is
+function answerSessionPing(ping) {
+  const transport = Tone.getTransport();
+  sendSessionMessage('pong', {
+    to: ping.from,
+    sent: ping.sent,
+    playing: transport.state === 'started',
+    ticks: transport.ticks,
+    bpm: transportBpm
+  });
+}
+
+/**
+ * Guest: brings the transport in line with the host's. The host's position is taken to be what it
+ * sent plus half the round trip; pongs that took much longer than the quickest one are too unreliable
+ * to use. Large offsets jump the transport, small ones are closed by bending the tempo a little.
+ * @param {Object} pong - A 'pong' message answering this device's ping.
+ */
+function correctSessionClock(pong) {
+  const roundTrip = (performance.now() - pong.sent) / 1000;
+  session.minRoundTrip = Math.min(session.minRoundTrip * 1.05, roundTrip); // Slowly forgets a lucky fast trip
+  followHostTransport(pong.playing);
+  if (!masterBus || !pong.playing || roundTrip > session.minRoundTrip * 2 + 0.01) return;
+
+  const transport = Tone.getTransport();
+  const ticksPerSecond = (pong.bpm / 60) * transport.PPQ;
+  const hostTicks = pong.ticks + (roundTrip / 2) * ticksPerSecond;
+  if (transport.state !== 'started') {
+    transport.start(); // The host started playing: start with it
+  }
+  const offset = (transport.ticks - hostTicks) / ticksPerSecond; // Positive when this device is ahead
+  session.offset = offset;
+
+  if (Math.abs(offset) > sessionSeekThreshold) {
+    transport.ticks = Math.round(hostTicks);
+    transport.bpm.rampTo(pong.bpm, 0.1);
+  } else {
+    const bend = Math.max(-sessionMaxTempoBend, Math.min(sessionMaxTempoBend, offset / sessionCatchUpTime));
+    transport.bpm.rampTo(pong.bpm * (1 - bend), 0.1);
+  }
+}
+
+/**
+ * Guest: stops the transport when the host's stops. Starting with the host is done by
+ * correctSessionClock(); a guest that joins while the host is stopped keeps playing on its own.
+ * @param {boolean} playing - Whether the host's transport is running.
+ */
+function followHostTransport(playing) {
+  if (typeof playing !== 'boolean') return;
+  const stopped = session.hostPlaying === true && !playing;
+  session.hostPlaying = playing;
+  if (stopped && masterBus && Tone.getTransport().state === 'started') {
+    Tone.getTransport().stop();
+    session.offset = null;
+  }
+}
+
+/**
+ * Forgets a player that left or went quiet, and stops its mirrored layers. Everyone else keeps playing;
+ * without a host the guests carry on at the last tempo.
+ * @param {string} peerId - The player.
+ */
+function dropSessionPeer(peerId) {
+  if (!session || !session.peers.delete(peerId)) return;
+  removeRemoteLayers(peerId);
+  if (peerId === session.hostId) {
+    session.hostId = null;
+    session.hostPlaying = null;
+    session.offset = null;
+    Tone.getTransport().bpm.rampTo(transportBpm, 0.1);
+    showToast('The host left the session. Playing on at the same tempo.');
+  } else {
+    showToast(`A player left the session (${session.peers.size + 1} playing).`, 2000);
+  }
+  updateSessionStatus();
+}
+
+/**
+ * Plays the layers another player shares: new layers are added, changed ones replaced
+ * (or just releveled), and layers the player no longer has are removed.
+ * @param {string} peerId - The player.
+ * @param {Object[]} layers - The player's layers, as encodeLayer() plus an id.
+ */
+function mirrorRemoteLayers(peerId, layers) {
+  if (!masterBus) return;
+  const mirrored = remoteLayers.get(peerId) || new Map();
+  remoteLayers.set(peerId, mirrored);
+  const incoming = new Map();
+  layers.slice(0, 32).forEach(encoded => {
+    const layer = decodeLayer(encoded);
+    if (layer && Number.isInteger(encoded.id)) incoming.set(encoded.id, layer);
+  });
+
+  mirrored.forEach((loop, id) => {
+    if (!incoming.has(id)) {
+      disposeLayer(loop);
+      mirrored.delete(id);
+    }
+  });
+  incoming.forEach((layer, id) => {
+    // Everything but the level needs a new loop
+    const key = JSON.stringify([layer.frequency, layer.pattern, layer.melody, layer.chord]);
+    let loop = mirrored.get(id);
+    if (loop && loop.remoteKey !== key) {
+      disposeLayer(loop);
+      mirrored.delete(id);
+      loop = null;
+    }
+    if (!loop) {
+      loop = createRemoteLayer(layer);
+      if (!loop) return; // No free voices; mirroring never steals this device's layers
+      loop.remoteKey = key;
+      mirrored.set(id, loop);
+    }
+    if (loop.level !== layer.level) {
+      loop.level = layer.level;
+      loop.synth.volume.rampTo(Tone.gainToDb(layer.level), 0.05);
+    }
+  });
+  updateMasterVolume();
+}
+
+/**
+ * Creates a loop playing another player's layer on this device.
+ * @param {Object} layer - A layer from decodeLayer().
+ * @returns {Tone.Loop|null} The loop, or null if the polyphony limit is reached.
+ */
+function createRemoteLayer(layer) {
+  const noteCount = layer.chord ? layer.chord.ratios.length : 1;
+  if (getVoiceCount() + noteCount > voiceSettings.maxPolyphony) return null;
+
+  const loop = new Tone.Loop((time) => playLayerStep(loop, time), layer.pattern.subdivision).start(0);
+  loop.synth = layer.chord ? createChordVoice(noteCount).connect(masterBus) : createSynth();
+  loop.frequency = layer.frequency;
+  loop.chord = layer.chord;
+  loop.level = layer.level;
+  loop.synth.volume.value = Tone.gainToDb(layer.level);
+  setLayerPattern(loop, layer.pattern);
+  if (layer.melody) setLayerMelody(loop, layer.melody);
+  if (Tone.getTransport().state !== 'started') {
+    Tone.getTransport().start();
+  }
+  return loop;
+}
+
+function removeRemoteLayers(peerId) {
+  const mirrored = remoteLayers.get(peerId);
+  if (!mirrored) return;
+  mirrored.forEach(disposeLayer);
+  remoteLayers.delete(peerId);
+  updateMasterVolume();
+}
+
+// Returns every mirrored layer, for the voice count and rebuilding voices
+function getRemoteLayers() {
+  const loops = [];
+  remoteLayers.forEach(mirrored => mirrored.forEach(loop => loops.push(loop)));
+  return loops;
+}
+
+// Drops the mirrored layers when all sounds are cleared; the next snapshots bring them back
+function resetRemoteLayers() {
+  Array.from(remoteLayers.keys()).forEach(removeRemoteLayers);
+}
+
+function setSessionStatus(message) {
+  document.getElementById('sessionStatus').textContent = message;
+}
+
+// Describes the session: role, players and how far this device's clock is from the host's
+function updateSessionStatus() {
+  if (!session) return;
+  const players = session.peers.size + 1;
+  let status = `${session.role === 'host' ? 'Hosting' : 'Joined'} session ${session.code} · ${players} player${players === 1 ? '' : 's'}`;
+  if (session.role === 'guest') {
+    if (!session.hostId) {
+      status += ' · waiting for the host';
+    } else if (session.offset !== null) {
+      status += ` · in sync (${Math.round(Math.abs(session.offset) * 1000)} ms)`;
+    }
+  }
+  setSessionStatus(status);
+}
+
+function updateSessionControls() {
+  document.getElementById('leaveSessionBtn').disabled = !session;
+  document.getElementById('sessionRelayInput').closest('div').style.display = sessionSettings.channel === 'relay' ? '' : 'none';
+  updateSessionStatus();
+}
+
+function saveSessionSettings() {
+  try {
+    localStorage.setItem(sessionStorageKey, JSON.stringify(sessionSettings));
+  } catch (err) {
+    console.error('Error saving session settings:', err);
+  }
+}
+
+// How this device reaches the others is a property of the device, so these are kept outside of presets
+function loadSessionSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(sessionStorageKey));
+    if (stored && typeof stored === 'object') {
+      if (stored.channel === 'tabs' || stored.channel === 'relay') sessionSettings.channel = stored.channel;
+      if (typeof stored.relayUrl === 'string' && /^wss?:\/\//.test(stored.relayUrl)) sessionSettings.relayUrl = stored.relayUrl;
+      sessionSettings.mirrorLayers = stored.mirrorLayers !== false;
+    }
+  } catch (err) {
+    console.error('Error loading session settings:', err);
+  }
+}
+
+// Wires up the jam session controls
+function initSessionControls() {
+  const channelSelect = document.getElementById('sessionChannelSelect');
+  const relayInput = document.getElementById('sessionRelayInput');
+  const codeInput = document.getElementById('sessionCodeInput');
+  const mirrorCheckbox = document.getElementById('sessionMirrorCheckbox');
+
+  loadSessionSettings();
+  channelSelect.value = sessionSettings.channel;
+  relayInput.value = sessionSettings.relayUrl;
+  mirrorCheckbox.checked = sessionSettings.mirrorLayers;
+
+  channelSelect.addEventListener('change', () => {
+    sessionSettings.channel = channelSelect.value;
+    leaveSession(); // The players are on the other channel
+    saveSessionSettings();
+    updateSessionControls();
+  });
+  relayInput.addEventListener('change', () => {
+    if (/^wss?:\/\//.test(relayInput.value.trim())) {
+      sessionSettings.relayUrl = relayInput.value.trim();
+      saveSessionSettings();
+    } else {
+      relayInput.value = sessionSettings.relayUrl;
+      setSessionStatus('The relay address starts with ws:// or wss://');
+    }
+  });
+  mirrorCheckbox.addEventListener('change', () => {
+    sessionSettings.mirrorLayers = mirrorCheckbox.checked;
+    if (!sessionSettings.mirrorLayers) resetRemoteLayers();
+    saveSessionSettings();
+  });
+
+  document.getElementById('hostSessionBtn').addEventListener('click', () => startSession('host', codeInput.value || createSessionCode()));
+  document.getElementById('joinSessionBtn').addEventListener('click', () => startSession('guest', codeInput.value));
+  document.getElementById('leaveSessionBtn').addEventListener('click', leaveSession);
+  window.addEventListener('pagehide', leaveSession); // Lets the others know straight away
+  updateSessionControls();
+}
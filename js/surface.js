@@ -0,0 +1,190 @@
+// Multi-touch play surface: every finger plays its own voice (height picks the note, side to side the timbre)
+const playSurfaceStorageKey = 'gyroSynthPlaySurface';
+const fingerRippleDistance = 24; // Move this far (px) before a finger leaves another ripple
+const vibratoRate = 5.5; // Hz
+const vibratoDepth = 40; // Cents at full tilt
+const vibratoTiltSpan = 45; // Front/back tilt from the calibrated center that gives full vibrato (degrees)
+
+let playSurfaceSettings = {
+  enabled: false,
+  vibrato: true // Front/back tilt adds vibrato; left/right tilt keeps panning as usual
+};
+let fingerVoices = new Map(); // Pointer id -> { voice, frequency, amount, rippleX, rippleY }
+let vibratoLfo = null; // Shared by the finger voices, created on first use
+
+/**
+ * Turns a position on the screen into a frequency: bottom to top covers the tilt pitch
+ * range with its curve, snapped to the current scale.
+ * @param {number} clientY - Vertical pointer position.
+ * @returns {number} Frequency in Hz.
+ */
+function getFingerFrequency(clientY) {
+  const position = 1 - Math.max(0, Math.min(1, clientY / window.innerHeight));
+  const rawFreq = positionToFrequency(position);
+  return getSnappedFrequency(rawFreq, generatedScaleFrequencies);
+}
+
+// Horizontal pointer position as a timbre amount from 0 (left) to 1 (right)
+function getFingerTimbre(clientX) {
+  return Math.max(0, Math.min(1, clientX / window.innerWidth));
+}
+
+function getVibratoLfo() {
+  if (!vibratoLfo) {
+    vibratoLfo = new Tone.LFO({ frequency: vibratoRate, min: -vibratoDepth, max: vibratoDepth, amplitude: 0 }).start();
+  }
+  return vibratoLfo;
+}
+
+// Follows the front/back tilt with the vibrato depth
+function updateSurfaceVibrato() {
+  if (!vibratoLfo) return;
+  const offset = Math.abs(wrapAngle(beta - tiltCenters.beta));
+  const depth = playSurfaceSettings.vibrato ? Math.min(1, offset / vibratoTiltSpan) : 0;
+  vibratoLfo.amplitude.rampTo(depth, 0.1);
+}
+
+// Starts a finger's voice at its note and timbre
+function startFingerSound(finger) {
+  finger.voice = createSynth();
+  synthEngines[currentEngine].timbre(finger.voice, finger.amount);
+  // Plucked strings and noise have no detune to wobble
+  if (finger.voice.detune) getVibratoLfo().connect(finger.voice.detune);
+  finger.voice.triggerAttack(finger.frequency);
+}
+
+// Stops a finger's voice and returns it to the voice pool
+function stopFingerSound(finger) {
+  if (vibratoLfo && finger.voice.detune) vibratoLfo.disconnect(finger.voice.detune);
+  releaseVoice(finger.voice);
+}
+
+/**
+ * Starts a voice for a finger that touched the surface.
+ * @param {PointerEvent} event - The pointerdown event.
+ */
+function pressFinger(event) {
+  if (!masterBus) return;
+  if (Tone.context.state !== 'running') {
+    Tone.start();
+  }
+  if (!claimVoiceSlot()) return;
+
+  const finger = {
+    frequency: getFingerFrequency(event.clientY),
+    amount: getFingerTimbre(event.clientX),
+    rippleX: event.clientX,
+    rippleY: event.clientY
+  };
+  startFingerSound(finger);
+  fingerVoices.set(event.pointerId, finger);
+  emitSynthEvent('note', { frequency: finger.frequency, duration: null, time: Tone.now(), source: 'finger' });
+  updateSurfaceVibrato();
+  updateMasterVolume();
+}
+
+/**
+ * Follows a finger with its note, timbre and ripples.
+ * @param {PointerEvent} event - The pointermove event.
+ */
+function moveFinger(event) {
+  const finger = fingerVoices.get(event.pointerId);
+  if (!finger) return;
+
+  const frequency = getFingerFrequency(event.clientY);
+  if (frequency !== finger.frequency) {
+    finger.frequency = frequency;
+    if (finger.voice.frequency) {
+      finger.voice.frequency.rampTo(frequency, 0.03);
+    } else {
+      finger.voice.triggerAttack(frequency); // Plucked strings can't glide, so pluck the new note
+    }
+  }
+
+  finger.amount = getFingerTimbre(event.clientX);
+  synthEngines[currentEngine].timbre(finger.voice, finger.amount);
+
+  if (Math.hypot(event.clientX - finger.rippleX, event.clientY - finger.rippleY) >= fingerRippleDistance) {
+    finger.rippleX = event.clientX;
+    finger.rippleY = event.clientY;
+    createRipple(event.clientX, event.clientY);
+  }
+}
+
+/**
+ * Releases the voice of a finger that left the surface.
+ * @param {number} pointerId - The pointer that was lifted or cancelled.
+ */
+function liftFinger(pointerId) {
+  const finger = fingerVoices.get(pointerId);
+  if (!finger) return;
+  fingerVoices.delete(pointerId);
+  stopFingerSound(finger);
+  updateMasterVolume();
+}
+
+// Releases every finger, e.g. when the surface is switched off
+function liftAllFingers() {
+  Array.from(fingerVoices.keys()).forEach(liftFinger);
+}
+
+// Swaps the fingers' voices for the current engine (called from rebuildVoices())
+function rebuildFingerVoices() {
+  fingerVoices.forEach(finger => {
+    stopFingerSound(finger);
+    startFingerSound(finger);
+  });
+}
+
+/**
+ * Switches the play surface on or off and remembers the choice on the device.
+ * While it is on, taps and long presses play fingers instead of adding layers.
+ * @param {boolean} enabled - Whether the surface is on.
+ */
+function setPlaySurface(enabled) {
+  playSurfaceSettings.enabled = enabled;
+  if (!enabled) liftAllFingers();
+  document.getElementById('playSurfaceCheckbox').checked = enabled;
+  const toggle = document.getElementById('surfaceToggleBtn');
+  toggle.classList.toggle('active', enabled);
+  toggle.setAttribute('aria-pressed', enabled);
+  savePlaySurfaceSettings();
+}
+
+function savePlaySurfaceSettings() {
+  try {
+    localStorage.setItem(playSurfaceStorageKey, JSON.stringify(playSurfaceSettings));
+  } catch (err) {
+    console.error('Error saving play surface settings:', err);
+  }
+}
+
+function loadPlaySurfaceSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(playSurfaceStorageKey));
+    if (stored && typeof stored === 'object') {
+      playSurfaceSettings.enabled = stored.enabled === true;
+      playSurfaceSettings.vibrato = stored.vibrato !== false;
+    }
+  } catch (err) {
+    console.error('Error loading play surface settings:', err);
+  }
+}
+
+// Wires up the play surface settings and the on-screen toggle
+function initSurfaceControls() {
+  const playSurfaceCheckbox = document.getElementById('playSurfaceCheckbox');
+  const surfaceVibratoCheckbox = document.getElementById('surfaceVibratoCheckbox');
+
+  loadPlaySurfaceSettings();
+  surfaceVibratoCheckbox.checked = playSurfaceSettings.vibrato;
+  setPlaySurface(playSurfaceSettings.enabled);
+
+  playSurfaceCheckbox.addEventListener('change', () => setPlaySurface(playSurfaceCheckbox.checked));
+  document.getElementById('surfaceToggleBtn').addEventListener('click', () => setPlaySurface(!playSurfaceSettings.enabled));
+  surfaceVibratoCheckbox.addEventListener('change', () => {
+    playSurfaceSettings.vibrato = surfaceVibratoCheckbox.checked;
+    updateSurfaceVibrato();
+    savePlaySurfaceSettings();
+  });
+}
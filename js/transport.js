@@ -0,0 +1,164 @@
+// Tempo, swing and time signature of the transport, plus the beat indicator
+let transportBpm = 120; // Tempo in beats per minute
+let swingAmount = 0; // Swing applied to offbeat eighth notes (0 to 1)
+let timeSignature = [4, 4]; // [beats per bar, beat unit]
+let tapTimes = []; // Recent tap-tempo timestamps (performance.now())
+let beatEventId = null; // Transport event driving the beat indicator
+
+const minBpm = 40;
+const maxBpm = 240;
+const tapResetTime = 2000; // Taps further apart than this start a new tap sequence (ms)
+const maxTapCount = 5; // Number of taps averaged for tap tempo
+
+/**
+ * Sets the transport tempo. Loops are scheduled in transport ticks, so they stay in sync.
+ * @param {number} bpm - Beats per minute, clamped to the supported range.
+ */
+function setTempo(bpm) {
+  transportBpm = Math.round(Math.max(minBpm, Math.min(maxBpm, bpm)));
+  Tone.getTransport().bpm.rampTo(transportBpm, 0.1);
+  syncEffectsToTempo();
+
+  const tempoSlider = document.getElementById('tempoSlider');
+  const tempoValue = document.getElementById('tempoValue');
+  if (tempoSlider) tempoSlider.value = transportBpm;
+  if (tempoValue) tempoValue.textContent = transportBpm;
+  queueSessionState();
+}
+
+/**
+ * Sets the swing amount on the transport.
+ * @param {number} amount - 0 (straight) to 1 (full triplet feel).
+ */
+function setSwing(amount) {
+  swingAmount = Math.max(0, Math.min(1, amount));
+  const transport = Tone.getTransport();
+  transport.swingSubdivision = "8n";
+  transport.swing = swingAmount;
+
+  const swingSlider = document.getElementById('swingSlider');
+  if (swingSlider) swingSlider.value = swingAmount;
+  queueSessionState();
+}
+
+/**
+ * Sets the time signature and rebuilds the beat indicator for the new bar length.
+ * @param {number[]} signature - [beats per bar, beat unit], e.g. [6, 8].
+ */
+function setTimeSignature(signature) {
+  timeSignature = signature;
+  Tone.getTransport().timeSignature = signature;
+
+  const timeSignatureSelect = document.getElementById('timeSignatureSelect');
+  if (timeSignatureSelect) timeSignatureSelect.value = signature.join('/');
+  drawBeatIndicator();
+  scheduleBeatIndicator();
+  queueSessionState();
+}
+
+/**
+ * Parses a "7/8"-style time signature.
+ * @param {string} value - The time signature text.
+ * @returns {number[]|null} [beats per bar, beat unit], or null if invalid.
+ */
+function parseTimeSignature(value) {
+  const match = /^(\d{1,2})\/(2|4|8|16)$/.exec(String(value));
+  if (!match) return null;
+  const beats = parseInt(match[1], 10);
+  return beats > 0 ? [beats, parseInt(match[2], 10)] : null;
+}
+
+// Registers a tap; after two or more taps the tempo follows their average interval
+function tapTempo() {
+  const now = performance.now();
+  if (tapTimes.length > 0 && now - tapTimes[tapTimes.length - 1] > tapResetTime) {
+    tapTimes = [];
+  }
+  tapTimes.push(now);
+  if (tapTimes.length > maxTapCount) tapTimes.shift();
+
+  if (tapTimes.length >= 2) {
+    const averageInterval = (tapTimes[tapTimes.length - 1] - tapTimes[0]) / (tapTimes.length - 1);
+    setTempo(60000 / averageInterval);
+  }
+}
+
+// Draws one dot per beat of the bar at the top of the visualizer
+function drawBeatIndicator() {
+  if (!waveformSvg) return;
+  const [beats] = timeSignature;
+  const spacing = 16;
+  const width = window.innerWidth;
+
+  let group = waveformSvg.select('#beatIndicator');
+  if (group.empty()) {
+    group = waveformSvg.append('g').attr('id', 'beatIndicator');
+  }
+  group.attr('transform', `translate(${width / 2 - ((beats - 1) * spacing) / 2}, 24)`);
+
+  const dots = group.selectAll('circle').data(d3.range(beats));
+  dots.enter().append('circle')
+    .merge(dots)
+    .attr('cx', d => d * spacing)
+    .attr('cy', 0)
+    .attr('r', d => d === 0 ? 5 : 4)
+    .attr('fill', '#ffffff')
+    .attr('opacity', 0.15);
+  dots.exit().remove();
+}
+
+/**
+ * Lights up the dot for the given beat; the downbeat flashes in a different colour.
+ * @param {number} beat - Zero-based beat within the bar.
+ */
+function flashBeat(beat) {
+  if (!waveformSvg) return;
+  waveformSvg.select('#beatIndicator').selectAll('circle')
+    .filter(d => d === beat)
+    .interrupt()
+    .attr('fill', beat === 0 ? '#f1c40f' : '#3498db')
+    .attr('opacity', 1)
+    .transition()
+    .duration(250)
+    .attr('opacity', 0.15)
+    .attr('fill', '#ffffff');
+}
+
+// (Re)schedules the repeating transport event that drives the beat indicator
+function scheduleBeatIndicator() {
+  const transport = Tone.getTransport();
+  if (beatEventId !== null) {
+    transport.clear(beatEventId);
+  }
+
+  const [beats, unit] = timeSignature;
+  const beatTicks = Tone.Time(`${unit}n`).toTicks();
+  beatEventId = transport.scheduleRepeat((time) => {
+    const beat = Math.round(transport.getTicksAtTime(time) / beatTicks) % beats;
+    Tone.getDraw().schedule(() => flashBeat(beat), time);
+  }, `${unit}n`, 0);
+}
+
+// Wires up the tempo controls in the settings modal
+function initTransportControls() {
+  const tempoSlider = document.getElementById('tempoSlider');
+  const tapTempoBtn = document.getElementById('tapTempoBtn');
+  const swingSlider = document.getElementById('swingSlider');
+  const timeSignatureSelect = document.getElementById('timeSignatureSelect');
+
+  tempoSlider.addEventListener('input', (e) => setTempo(parseFloat(e.target.value)));
+  tapTempoBtn.addEventListener('click', tapTempo);
+  swingSlider.addEventListener('input', (e) => setSwing(parseFloat(e.target.value)));
+  timeSignatureSelect.addEventListener('change', (e) => {
+    const signature = parseTimeSignature(e.target.value);
+    if (signature) setTimeSignature(signature);
+  });
+
+  // clearSounds() cancels every transport event, so reschedule the indicator on each start
+  Tone.getTransport().on('start', scheduleBeatIndicator);
+  window.addEventListener('resize', drawBeatIndicator);
+
+  setTempo(transportBpm);
+  setSwing(swingAmount);
+  setTimeSignature(timeSignature);
+}
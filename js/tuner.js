@@ -0,0 +1,157 @@
+// Scale ladder overlay: the notes of the scale, the tilt pitch with its cents offset and the layer pitches
+const tunerStorageKey = 'gyroSynthShowTuner';
+const tunerLabelSpacing = 14; // Minimum gap between note labels (px)
+const tunerInTune = 10; // Cents within which the pitch counts as on the note
+const tunerClose = 30;
+
+let showTuner = true;
+let tunerCanvas = null;
+let tunerContext = null;
+
+// Matches the canvas to its CSS size at the device pixel ratio
+function resizeTuner() {
+  if (!tunerCanvas) return;
+  const ratio = window.devicePixelRatio || 1;
+  tunerCanvas.width = Math.round(tunerCanvas.clientWidth * ratio);
+  tunerCanvas.height = Math.round(tunerCanvas.clientHeight * ratio);
+  tunerContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+}
+
+/**
+ * Returns the rungs of the ladder: the scale notes, or every semitone when the scale is Off.
+ * @returns {number[]} Sorted frequencies in Hz.
+ */
+function getLadderFrequencies() {
+  if (generatedScaleFrequencies.length > 0) return generatedScaleFrequencies;
+  const notes = [];
+  for (let midi = pitchLowMidi - 1; midi <= pitchHighMidi + 1; midi++) {
+    notes.push(Tone.Frequency(midi, 'midi').toFrequency());
+  }
+  return notes;
+}
+
+/**
+ * Finds the rung closest to a frequency and how far the frequency is from it.
+ * @param {number} frequency - The frequency in Hz.
+ * @returns {{frequency: number, cents: number}} The nearest note and the offset in cents (positive is sharp).
+ */
+function getNearestNote(frequency) {
+  const nearest = getLadderFrequencies().reduce((closest, note) =>
+    Math.abs(Math.log2(note / frequency)) < Math.abs(Math.log2(closest / frequency)) ? note : closest);
+  return { frequency: nearest, cents: 1200 * Math.log2(frequency / nearest) };
+}
+
+// Colour of the pitch marker for a cents offset
+function getTuningColor(cents) {
+  const offset = Math.abs(cents);
+  if (offset <= tunerInTune) return '#2ecc71';
+  if (offset <= tunerClose) return '#f1c40f';
+  return '#e74c3c';
+}
+
+// Draws the ladder; called from the visualizer loop
+function drawTuner() {
+  if (!showTuner || !tunerContext) return;
+  const ctx = tunerContext;
+  const width = tunerCanvas.clientWidth;
+  const height = tunerCanvas.clientHeight;
+  ctx.clearRect(0, 0, width, height);
+
+  // A semitone of margin either side of the tilt range
+  const [low, high] = getPitchRange().map((frequency, index) => frequency * Math.pow(2, (index ? 1 : -1) / 12));
+  const toY = frequency => height - (Math.log(frequency / low) / Math.log(high / low)) * height;
+  const railX = width - 12;
+
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.fillRect(railX - 6, 0, 12, height);
+
+  const rawFrequency = getMappedFrequency();
+  const nearest = getNearestNote(rawFrequency);
+  const playing = getNormalizedValue();
+
+  // Rungs, labelled where there is room
+  ctx.font = '11px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  let lastLabelY = Infinity;
+  getLadderFrequencies().forEach(frequency => {
+    if (frequency < low || frequency > high) return;
+    const y = toY(frequency);
+    const active = frequency === playing || frequency === nearest.frequency;
+    ctx.strokeStyle = active ? '#ffffff' : 'rgba(255, 255, 255, 0.35)';
+    ctx.lineWidth = active ? 2 : 1;
+    ctx.beginPath();
+    ctx.moveTo(railX - 6, y);
+    ctx.lineTo(railX + 6, y);
+    ctx.stroke();
+    if (lastLabelY - y >= tunerLabelSpacing) {
+      ctx.fillStyle = active ? '#ffffff' : 'rgba(255, 255, 255, 0.5)';
+      ctx.fillText(Tone.Frequency(frequency).toNote(), railX - 10, y);
+      lastLabelY = y;
+    }
+  });
+
+  // Layer pitches as dots on the rail, in their lane colours
+  savedLoops.forEach((loop, index) => {
+    if (loop.frequency < low || loop.frequency > high) return;
+    ctx.beginPath();
+    ctx.arc(railX, toY(loop.frequency), 4, 0, 2 * Math.PI);
+    ctx.fillStyle = layerColors[index % layerColors.length];
+    ctx.globalAlpha = isLayerSilenced(loop) ? 0.35 : 1;
+    ctx.fill();
+    ctx.globalAlpha = 1;
+  });
+
+  // The tilt pitch, with the cents offset from the nearest note
+  const color = getTuningColor(nearest.cents);
+  const y = Math.max(8, Math.min(height - 8, toY(rawFrequency)));
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(railX - 8, y);
+  ctx.lineTo(railX - 16, y - 5);
+  ctx.lineTo(railX - 16, y + 5);
+  ctx.closePath();
+  ctx.fill();
+
+  const cents = Math.round(nearest.cents);
+  const label = `${Tone.Frequency(nearest.frequency).toNote()} ${cents > 0 ? '+' : ''}${cents}¢`;
+  ctx.font = 'bold 12px sans-serif';
+  const labelWidth = ctx.measureText(label).width + 8;
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+  ctx.fillRect(railX - 20 - labelWidth, y - 9, labelWidth, 18);
+  ctx.fillStyle = color;
+  ctx.fillText(label, railX - 24, y);
+}
+
+/**
+ * Shows or hides the ladder and remembers the choice on the device.
+ * @param {boolean} visible - Whether to show the ladder.
+ */
+function setShowTuner(visible) {
+  showTuner = visible;
+  tunerCanvas.classList.toggle('visible', visible);
+  document.getElementById('showTunerCheckbox').checked = visible;
+  if (visible) resizeTuner();
+  try {
+    localStorage.setItem(tunerStorageKey, JSON.stringify(visible));
+  } catch (err) {
+    console.error('Error saving the scale ladder setting:', err);
+  }
+}
+
+// Sets up the ladder canvas and its settings checkbox
+function initTunerControls() {
+  tunerCanvas = document.getElementById('tunerCanvas');
+  tunerContext = tunerCanvas.getContext('2d');
+  window.addEventListener('resize', resizeTuner);
+
+  let stored = null;
+  try {
+    stored = JSON.parse(localStorage.getItem(tunerStorageKey));
+  } catch (err) {
+    console.error('Error loading the scale ladder setting:', err);
+  }
+  const showTunerCheckbox = document.getElementById('showTunerCheckbox');
+  showTunerCheckbox.addEventListener('change', () => setShowTuner(showTunerCheckbox.checked));
+  setShowTuner(stored !== false);
+}
@@ -0,0 +1,394 @@
+// Custom scales, Scala (.scl/.kbm) tuning import and the A4 reference pitch
+const customScalesStorageKey = 'gyroSynthCustomScales';
+const referencePitches = [415, 432, 440, 442, 444]; // Offered A4 reference pitches in Hz
+
+let referencePitch = 440; // A4 in Hz, applied to every tuning
+let customScales = {}; // User-defined scales, keyed by name
+
+/**
+ * Converts a ratio such as "3/2" (or a whole number such as "2") to cents.
+ * @param {string} text - The ratio.
+ * @returns {number} The interval in cents.
+ * @throws {Error} If the ratio is not positive.
+ */
+function ratioToCents(text) {
+  const [numerator, denominator = '1'] = text.split('/');
+  const ratio = parseFloat(numerator) / parseFloat(denominator);
+  if (!(ratio > 0) || !isFinite(ratio)) {
+    throw new Error(`"${text}" is not a valid ratio`);
+  }
+  return 1200 * Math.log2(ratio);
+}
+
+/**
+ * Parses one Scala pitch value: cents if it contains a period, otherwise a ratio.
+ * @param {string} text - The pitch line (anything after the first token is ignored).
+ * @returns {number} The pitch in cents.
+ */
+function parseScalaPitch(text) {
+  const token = text.trim().split(/\s+/)[0];
+  if (token.includes('.')) {
+    const cents = parseFloat(token);
+    if (!isFinite(cents)) throw new Error(`"${token}" is not a valid cents value`);
+    return cents;
+  }
+  return ratioToCents(token);
+}
+
+// Returns the non-comment lines of a Scala file (comments start with "!")
+function getScalaLines(text) {
+  return text.split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Parses a Scala scale file (.scl).
+ * @param {string} text - The file contents.
+ * @returns {{description: string, cents: number[]}} The description and the pitches in cents,
+ *   not including the implied 0; the last pitch is the period (usually 1200, the octave).
+ * @throws {Error} If the file is malformed.
+ */
+function parseScala(text) {
+  const lines = getScalaLines(text);
+  if (lines.length < 2) throw new Error('The file is missing its header');
+
+  const description = lines[0].trim();
+  const count = parseInt(lines[1].trim(), 10);
+  if (!(count > 0)) throw new Error('The file has no notes');
+  if (count > maxScaleIntervals) throw new Error(`The file has ${count} notes; at most ${maxScaleIntervals} are supported`);
+
+  const pitchLines = lines.slice(2).filter(line => line.trim() !== '');
+  if (pitchLines.length < count) throw new Error(`Expected ${count} notes but found ${pitchLines.length}`);
+
+  const cents = pitchLines.slice(0, count).map(parseScalaPitch);
+  if (!(cents[cents.length - 1] >= minScalePeriod * 100)) {
+    throw new Error(`The scale period must be at least ${minScalePeriod * 100} cents`);
+  }
+  return { description, cents };
+}
+
+/**
+ * Parses a Scala keyboard mapping file (.kbm).
+ * @param {string} text - The file contents.
+ * @returns {Object} The mapping: size, middle and reference notes, reference frequency,
+ *   formal octave degree and the mapping entries (null for unmapped keys).
+ * @throws {Error} If the file is malformed.
+ */
+function parseKbm(text) {
+  const values = getScalaLines(text).map(line => line.trim()).filter(line => line !== '');
+  if (values.length < 7) throw new Error('The keyboard mapping is missing its header');
+
+  const mapSize = parseInt(values[0], 10);
+  const referenceFrequency = parseFloat(values[5]);
+  if (!(mapSize >= 0) || !(referenceFrequency > 0)) throw new Error('The keyboard mapping header is invalid');
+
+  const mapping = values.slice(7, 7 + mapSize).map(entry => (entry === 'x' ? null : parseInt(entry, 10)));
+  while (mapping.length < mapSize) mapping.push(null); // Missing entries are unmapped
+
+  return {
+    mapSize,
+    middleNote: parseInt(values[3], 10),
+    referenceNote: parseInt(values[4], 10),
+    referenceFrequency,
+    octaveDegree: parseInt(values[6], 10),
+    mapping
+  };
+}
+
+/**
+ * Builds a scale definition (as used in availableScales) from pitches in cents.
+ * @param {number[]} cents - Pitches above the root; the last is the period.
+ * @param {Object} [kbm] - Optional keyboard mapping giving the root pitch and mapped degrees.
+ * @returns {{intervals: number[], period: number, rootMidi?: number}} Intervals and period in
+ *   (possibly fractional) semitones, plus the root as a fractional MIDI note if a mapping is given.
+ */
+function createScaleFromCents(cents, kbm) {
+  const period = cents[cents.length - 1] / 100;
+  let intervals = [0].concat(cents.slice(0, -1).map(c => c / 100));
+  const scale = { intervals, period };
+  if (!kbm) return scale;
+
+  // Keys the mapping leaves unmapped are left out of the snapping
+  if (kbm.mapSize > 0) {
+    const degrees = new Set(kbm.mapping.filter(degree => degree !== null).map(degree => degree % intervals.length));
+    intervals = intervals.filter((interval, degree) => degrees.has(degree));
+    scale.intervals = intervals.length > 0 ? intervals : [0];
+  }
+
+  // Work out the pitch of degree 0 (on the middle note) from the reference note and frequency
+  const degreeToSemitones = (degree) => {
+    const steps = cents.length;
+    const periods = Math.floor(degree / steps);
+    const index = degree - periods * steps;
+    return periods * period + (index === 0 ? 0 : cents[index - 1] / 100);
+  };
+  let referenceDegree = kbm.referenceNote - kbm.middleNote;
+  if (kbm.mapSize > 0) {
+    const keyOffset = kbm.referenceNote - kbm.middleNote;
+    const keyPeriods = Math.floor(keyOffset / kbm.mapSize);
+    const mapped = kbm.mapping[keyOffset - keyPeriods * kbm.mapSize];
+    referenceDegree = (mapped === null || isNaN(mapped) ? 0 : mapped) + keyPeriods * (kbm.octaveDegree || cents.length);
+  }
+  const rootFrequency = kbm.referenceFrequency / Math.pow(2, degreeToSemitones(referenceDegree) / 12);
+  // Stored relative to A4 = 440 Hz so the reference pitch setting still applies
+  scale.rootMidi = 69 + 12 * Math.log2(rootFrequency / 440);
+  return scale;
+}
+
+/**
+ * Parses the pitch list typed into the custom scale editor. Tokens with a period are cents,
+ * tokens with a slash are ratios and whole numbers are semitones above the root.
+ * @param {string} text - Pitches separated by spaces, commas or new lines.
+ * @param {number} [period=12] - Size of the repeating period in semitones (12 = octave).
+ * @returns {{intervals: number[], period: number}} The scale definition.
+ * @throws {Error} If a pitch is invalid or no pitches are given.
+ */
+function parseScaleDefinition(text, period = 12) {
+  const tokens = text.split(/[\s,]+/).filter(token => token !== '');
+  if (tokens.length === 0) throw new Error('Enter at least one pitch');
+
+  const semitones = tokens.map(token => {
+    if (token.includes('.')) return parseScalaPitch(token) / 100;
+    if (token.includes('/')) return ratioToCents(token) / 100;
+    const value = parseInt(token, 10);
+    if (String(value) !== token) throw new Error(`"${token}" is not a valid pitch`);
+    return value;
+  });
+
+  // Keep one period's worth of distinct pitches, always including the root
+  const intervals = Array.from(new Set([0].concat(semitones.map(s => ((s % period) + period) % period))))
+    .sort((a, b) => a - b);
+  return { intervals, period };
+}
+
+/**
+ * Formats the intervals of a scale for the editor, all in one unit: semitones when they
+ * are whole, otherwise cents (which parseScaleDefinition() reads back by their period).
+ * @param {number[]} intervals - Intervals in semitones.
+ * @returns {string} The pitch list.
+ */
+function formatScaleDefinition(intervals) {
+  if (intervals.every(Number.isInteger)) return intervals.join(' ');
+  return intervals.map(interval => (interval * 100).toFixed(3)).join(' ');
+}
+
+/**
+ * Sets the A4 reference pitch used by every tuning and by note names.
+ * @param {number} pitch - A4 in Hz.
+ */
+function setReferencePitch(pitch) {
+  referencePitch = pitch;
+  Tone.FrequencyClass.A4 = pitch;
+  const referencePitchSelect = document.getElementById('referencePitchSelect');
+  if (referencePitchSelect) referencePitchSelect.value = pitch;
+}
+
+// Loads the saved custom scales into availableScales, skipping any that are no longer valid
+function loadCustomScales() {
+  try {
+    const stored = localStorage.getItem(customScalesStorageKey);
+    const parsed = stored ? JSON.parse(stored) : null;
+    if (parsed && typeof parsed === 'object') {
+      Object.keys(parsed).filter(isSafeKey).forEach(name => {
+        if (isValidScale(parsed[name])) customScales[name] = parsed[name];
+      });
+    }
+  } catch (err) {
+    console.error('Error loading custom scales:', err);
+  }
+  Object.assign(availableScales, customScales);
+}
+
+function saveCustomScales() {
+  try {
+    localStorage.setItem(customScalesStorageKey, JSON.stringify(customScales));
+  } catch (err) {
+    console.error('Error saving custom scales:', err);
+  }
+}
+
+/**
+ * Validates a scale definition from an untrusted source.
+ * @param {*} scale - The candidate definition.
+ * @returns {boolean} True if it can be used in availableScales.
+ */
+function isValidScale(scale) {
+  return !!scale && Array.isArray(scale.intervals) && scale.intervals.length > 0 &&
+    scale.intervals.length <= maxScaleIntervals &&
+    scale.intervals.every(interval => typeof interval === 'number' && isFinite(interval)) &&
+    (scale.period === undefined || (typeof scale.period === 'number' && scale.period >= minScalePeriod)) &&
+    (scale.rootMidi === undefined || (typeof scale.rootMidi === 'number' && isFinite(scale.rootMidi)));
+}
+
+/**
+ * Adds or replaces a custom scale and lists it in the scale dropdown.
+ * @param {string} name - The scale name; built-in names can't be reused, nor names isSafeKey() refuses.
+ * @param {Object} scale - The scale definition.
+ * @returns {boolean} True if the scale was added.
+ */
+function addCustomScale(name, scale) {
+  if (!name || !isSafeKey(name) || (availableScales[name] && !customScales[name])) return false;
+  customScales[name] = scale;
+  availableScales[name] = scale;
+  saveCustomScales();
+  renderCustomScaleOptions();
+  return true;
+}
+
+// Deletes a custom scale, switching back to 'Off' if it was selected
+function deleteCustomScale(name) {
+  if (!customScales[name]) return;
+  delete customScales[name];
+  delete availableScales[name];
+  saveCustomScales();
+  renderCustomScaleOptions();
+
+  const scaleSelect = document.getElementById('scaleSelect');
+  if (!availableScales[scaleSelect.value]) {
+    scaleSelect.value = 'Off';
+    scaleSelect.dispatchEvent(new Event('change'));
+  }
+}
+
+// Lists the custom scales in their own group at the end of the scale dropdown
+function renderCustomScaleOptions() {
+  const scaleSelect = document.getElementById('scaleSelect');
+  const selected = scaleSelect.value;
+  let group = scaleSelect.querySelector('optgroup[data-custom]');
+  if (group) group.remove();
+
+  const names = Object.keys(customScales).sort();
+  if (names.length === 0) return;
+
+  group = document.createElement('optgroup');
+  group.label = 'Custom';
+  group.dataset.custom = 'true';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    group.appendChild(option);
+  });
+  scaleSelect.appendChild(group);
+  if (availableScales[selected]) scaleSelect.value = selected;
+}
+
+function setTuningStatus(message) {
+  document.getElementById('tuningStatus').textContent = message;
+}
+
+// Selects a scale by name and applies it like a manual change would
+function selectScale(name) {
+  const scaleSelect = document.getElementById('scaleSelect');
+  scaleSelect.value = name;
+  scaleSelect.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Imports Scala files. A .scl becomes a new custom scale; a .kbm chosen with it sets its root
+ * pitch and mapped degrees. A .kbm on its own is applied to the selected custom scale.
+ * @param {FileList} files - The chosen files.
+ */
+async function importScalaFiles(files) {
+  const list = Array.from(files);
+  const sclFile = list.find(file => /\.scl$/i.test(file.name));
+  const kbmFile = list.find(file => /\.kbm$/i.test(file.name));
+
+  try {
+    const kbm = kbmFile ? parseKbm(await kbmFile.text()) : null;
+
+    if (sclFile) {
+      const scala = parseScala(await sclFile.text());
+      const scale = createScaleFromCents(scala.cents, kbm);
+      scale.cents = scala.cents; // Kept so a .kbm can be applied later
+      let name = sclFile.name.replace(/\.scl$/i, '');
+      if (availableScales[name] && !customScales[name]) name += ' (Scala)';
+      if (!addCustomScale(name, scale)) throw new Error(`"${name}" can't be used as a scale name`);
+      selectScale(name);
+      setTuningStatus(`Imported "${name}"${scala.description ? `: ${scala.description}` : ''}`);
+    } else if (kbm) {
+      const name = document.getElementById('scaleSelect').value;
+      const scale = customScales[name];
+      if (!scale || !scale.cents) {
+        throw new Error('Select an imported Scala scale before loading a .kbm on its own');
+      }
+      addCustomScale(name, { ...createScaleFromCents(scale.cents, kbm), cents: scale.cents });
+      selectScale(name);
+      setTuningStatus(`Applied keyboard mapping to "${name}"`);
+    } else {
+      throw new Error('Choose a .scl and/or .kbm file');
+    }
+  } catch (err) {
+    console.error('Error importing Scala file:', err);
+    setTuningStatus(`Could not import: ${err.message}`);
+  }
+}
+
+// Wires up the custom scale editor, Scala import and reference pitch controls
+function initTuningControls() {
+  const referencePitchSelect = document.getElementById('referencePitchSelect');
+  const customScaleNameInput = document.getElementById('customScaleNameInput');
+  const customScaleInput = document.getElementById('customScaleInput');
+  const saveCustomScaleBtn = document.getElementById('saveCustomScaleBtn');
+  const deleteCustomScaleBtn = document.getElementById('deleteCustomScaleBtn');
+  const importScalaBtn = document.getElementById('importScalaBtn');
+  const importScalaInput = document.getElementById('importScalaInput');
+  const scaleSelect = document.getElementById('scaleSelect');
+
+  referencePitches.forEach(pitch => {
+    const option = document.createElement('option');
+    option.value = pitch;
+    option.textContent = `A4 = ${pitch} Hz`;
+    referencePitchSelect.appendChild(option);
+  });
+  setReferencePitch(referencePitch);
+
+  loadCustomScales();
+  renderCustomScaleOptions();
+
+  referencePitchSelect.addEventListener('change', () => {
+    setReferencePitch(parseFloat(referencePitchSelect.value));
+    updateScaleFrequencies(); // Retune the snapping; playing layers keep their pitch
+  });
+
+  // Selecting a custom scale loads it into the editor
+  scaleSelect.addEventListener('change', () => {
+    const scale = customScales[scaleSelect.value];
+    deleteCustomScaleBtn.disabled = !scale;
+    if (scale) {
+      customScaleNameInput.value = scaleSelect.value;
+      customScaleInput.value = formatScaleDefinition(scale.intervals);
+    }
+  });
+  deleteCustomScaleBtn.disabled = !customScales[scaleSelect.value];
+
+  saveCustomScaleBtn.addEventListener('click', () => {
+    const name = customScaleNameInput.value.trim();
+    try {
+      if (!name) throw new Error('Enter a name for the scale');
+      if (availableScales[name] && !customScales[name]) throw new Error(`"${name}" is a built-in scale`);
+      // An imported scale keeps its period and root pitch when its pitches are edited
+      const previous = customScales[name];
+      const scale = parseScaleDefinition(customScaleInput.value, previous && previous.period ? previous.period : 12);
+      if (previous && previous.rootMidi !== undefined) scale.rootMidi = previous.rootMidi;
+      if (!addCustomScale(name, scale)) throw new Error(`"${name}" can't be used as a scale name`);
+      selectScale(name);
+      setTuningStatus(`Saved "${name}".`);
+    } catch (err) {
+      setTuningStatus(err.message);
+    }
+  });
+
+  deleteCustomScaleBtn.addEventListener('click', () => {
+    const name = scaleSelect.value;
+    deleteCustomScale(name);
+    setTuningStatus(`Deleted "${name}".`);
+  });
+
+  importScalaBtn.addEventListener('click', () => importScalaInput.click());
+  importScalaInput.addEventListener('change', () => {
+    if (importScalaInput.files.length > 0) {
+      importScalaFiles(importScalaInput.files);
+    }
+    importScalaInput.value = ''; // Allow importing the same file again
+  });
+}
@@ -0,0 +1,72 @@
+// Service worker registration, the "update available" banner and the offline indicator
+let waitingWorker = null; // New version that has been downloaded and waits to take over
+let reloadingForUpdate = false;
+
+function showUpdateBanner(worker) {
+  waitingWorker = worker;
+  document.getElementById('updateBanner').classList.add('visible');
+}
+
+function hideUpdateBanner() {
+  document.getElementById('updateBanner').classList.remove('visible');
+}
+
+/**
+ * Watches a registration for a new version. A worker that finishes installing while another one
+ * controls the page is an update; without a controller it is the first install and needs no reload.
+ * @param {ServiceWorkerRegistration} registration - The app's registration.
+ */
+function watchForUpdates(registration) {
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdateBanner(registration.waiting); // Downloaded during an earlier visit
+  }
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdateBanner(worker);
+      }
+    });
+  });
+}
+
+// Lets the waiting version take over; the page reloads once it controls it
+function applyUpdate() {
+  hideUpdateBanner();
+  if (!waitingWorker) return;
+  reloadingForUpdate = true;
+  waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+}
+
+function updateOfflineIndicator() {
+  document.getElementById('offlineIndicator').classList.toggle('visible', !navigator.onLine);
+}
+
+// Registers the service worker and wires up the update banner and the offline indicator
+function initUpdateControls() {
+  document.getElementById('updateReloadBtn').addEventListener('click', applyUpdate);
+  document.getElementById('updateDismissBtn').addEventListener('click', hideUpdateBanner); // Updates on the next visit instead
+
+  window.addEventListener('online', updateOfflineIndicator);
+  window.addEventListener('offline', updateOfflineIndicator);
+  updateOfflineIndicator();
+
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (!reloadingForUpdate) return;
+    reloadingForUpdate = false;
+    window.location.reload();
+  });
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('service-worker.js')
+      .then(registration => {
+        watchForUpdates(registration);
+        // Long sessions on an installed app would otherwise only look for updates on navigation
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+      })
+      .catch(registrationError => {
+        console.error('ServiceWorker registration failed:', registrationError);
+      });
+  });
+}
@@ -0,0 +1,315 @@
+// Canvas visualizer: level bars, FFT spectrum, oscilloscope, scrolling spectrogram and per-layer lanes
+const visualizerModeStorageKey = 'gyroSynthVisualizerMode';
+const visualizerModes = {
+  bars: 'Level Bars',
+  spectrum: 'Spectrum',
+  scope: 'Oscilloscope',
+  spectrogram: 'Spectrogram',
+  layers: 'Layer Lanes'
+};
+const idleFrameInterval = 100; // Time between frames while nothing is playing (ms)
+const idleAfter = 2000; // Nothing playing and no input for this long counts as idle (ms)
+const activityAngle = 2; // Degrees the pitch axis has to turn to count as input
+const spectrumMinFrequency = 30; // Lowest frequency shown by the spectrum and spectrogram (Hz)
+const spectrumMaxFrequency = 16000;
+const spectrumFloor = -100; // Decibels drawn as silence
+const layerColors = ['#3498db', '#e67e22', '#2ecc71', '#9b59b6', '#e74c3c', '#1abc9c', '#f1c40f', '#ecf0f1'];
+
+// Colour for bar amplitudes, from blue to red
+const colorScale = d3.scaleLinear()
+  .domain([0, 0.5, 1])
+  .range(['#3498db', '#f1c40f', '#e74c3c']);
+
+// Colour for spectrogram levels, from the background to yellow
+const spectrogramColorScale = d3.scaleLinear()
+  .domain([0, 0.4, 0.7, 1])
+  .range(['#2c3e50', '#3498db', '#e74c3c', '#f1c40f'])
+  .clamp(true);
+
+let visualizerMode = 'bars';
+let visualizerCanvas = null;
+let visualizerContext = null;
+let spectrumAnalyzer = null; // Created the first time a spectrum view is shown
+let spectrogramBuffer = null; // Offscreen canvas scrolled by one pixel per frame
+let lastVisualizerFrame = 0;
+let lastVisualizerActivity = 0; // Time of the last input, used to detect idle
+let lastActivityAngle = null; // Pitch axis angle at the last orientation input
+
+// Returns the FFT analyzer on the post-effects signal, creating it on first use
+function getSpectrumAnalyzer() {
+  if (!spectrumAnalyzer && panner) {
+    spectrumAnalyzer = new Tone.FFT(1024);
+    panner.connect(spectrumAnalyzer);
+  }
+  return spectrumAnalyzer;
+}
+
+// Marks user input, so the visualizer runs at full frame rate
+function noteVisualizerActivity() {
+  lastVisualizerActivity = performance.now();
+}
+
+/**
+ * Marks a real turn of the pitch axis as input. Phones report their orientation all the
+ * time, even lying still, so sensor noise below activityAngle doesn't count.
+ * @param {DeviceOrientationEvent} event - The orientation event.
+ */
+function noteOrientationActivity(event) {
+  const angle = event[pitchAxis];
+  if (typeof angle !== 'number') return;
+  if (lastActivityAngle !== null) {
+    const turned = Math.abs((((angle - lastActivityAngle) % 360) + 540) % 360 - 180); // Across the compass wrap too
+    if (turned < activityAngle) return;
+  }
+  lastActivityAngle = angle;
+  noteVisualizerActivity();
+}
+
+/**
+ * Decides whether to draw this animation frame. While nothing plays and nobody touches
+ * the screen, frames are limited to save battery.
+ * @param {number} now - Timestamp from requestAnimationFrame.
+ * @returns {boolean} True if the frame should be drawn.
+ */
+function shouldDrawVisualizerFrame(now) {
+  const idle = getPlayingVoices().length === 0 && now - lastVisualizerActivity > idleAfter;
+  if (idle && now - lastVisualizerFrame < idleFrameInterval) return false;
+  lastVisualizerFrame = now;
+  return true;
+}
+
+// Matches the canvas to the window at the device pixel ratio
+function resizeVisualizer() {
+  if (!visualizerCanvas) return;
+  const ratio = window.devicePixelRatio || 1;
+  visualizerCanvas.width = Math.round(window.innerWidth * ratio);
+  visualizerCanvas.height = Math.round(window.innerHeight * ratio);
+  visualizerContext.setTransform(ratio, 0, 0, ratio, 0, 0);
+  spectrogramBuffer = null; // Rebuilt at the new size
+}
+
+// Position (0 to 1) of a frequency on the logarithmic axis of the spectrum views
+function getSpectrumPosition(frequency) {
+  return Math.log(frequency / spectrumMinFrequency) / Math.log(spectrumMaxFrequency / spectrumMinFrequency);
+}
+
+// Level (0 to 1) of the FFT bin closest to a frequency
+function getSpectrumLevel(values, frequency) {
+  const binWidth = Tone.getContext().sampleRate / (values.length * 2);
+  const db = values[Math.min(values.length - 1, Math.round(frequency / binWidth))];
+  return Math.max(0, Math.min(1, (db - spectrumFloor) / -spectrumFloor));
+}
+
+// Averaged waveform amplitude as bars, coloured by level
+function drawLevelBars(ctx, width, height) {
+  const waveformArray = waveformAnalyzer.getValue();
+  const samplesPerBar = Math.floor(waveformArray.length / barCount);
+  const barWidth = width / barCount;
+  const minBarHeight = height * 0.01;
+  const visualGain = 2.0; // Amplify low signals for visibility
+
+  for (let i = 0; i < barCount; i++) {
+    let sum = 0;
+    for (let j = 0; j < samplesPerBar; j++) {
+      sum += Math.min(1.0, Math.abs(waveformArray[i * samplesPerBar + j]) * visualGain);
+    }
+    const amplitude = sum / samplesPerBar;
+    const barHeight = Math.max(minBarHeight, amplitude * height);
+    ctx.fillStyle = colorScale(amplitude);
+    ctx.fillRect(i * barWidth + barWidth * 0.1, height - barHeight, barWidth * 0.8, barHeight);
+  }
+}
+
+// FFT spectrum on a logarithmic frequency axis, with a marker at the current pitch
+function drawSpectrum(ctx, width, height) {
+  const analyzer = getSpectrumAnalyzer();
+  if (!analyzer) return;
+  const values = analyzer.getValue();
+  const step = 2; // Pixels per point
+
+  const gradient = ctx.createLinearGradient(0, height, 0, 0);
+  gradient.addColorStop(0, colorScale(0));
+  gradient.addColorStop(0.5, colorScale(0.5));
+  gradient.addColorStop(1, colorScale(1));
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.moveTo(0, height);
+  for (let x = 0; x <= width; x += step) {
+    const frequency = spectrumMinFrequency * Math.pow(spectrumMaxFrequency / spectrumMinFrequency, x / width);
+    ctx.lineTo(x, height - getSpectrumLevel(values, frequency) * height);
+  }
+  ctx.lineTo(width, height);
+  ctx.closePath();
+  ctx.fill();
+
+  const pitchX = getSpectrumPosition(getNormalizedValue()) * width;
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(pitchX, 0);
+  ctx.lineTo(pitchX, height);
+  ctx.stroke();
+}
+
+// Oscilloscope line, triggered on a rising zero crossing so periodic sounds stand still
+function drawScope(ctx, width, height) {
+  const samples = waveformAnalyzer.getValue();
+  let start = 0;
+  for (let i = 1; i < samples.length / 2; i++) {
+    if (samples[i - 1] < 0 && samples[i] >= 0) {
+      start = i;
+      break;
+    }
+  }
+  const visible = samples.length / 2;
+
+  ctx.strokeStyle = '#3498db';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  for (let i = 0; i < visible; i++) {
+    const x = (i / (visible - 1)) * width;
+    const y = height / 2 - Math.max(-1, Math.min(1, samples[start + i] * 2)) * (height / 2) * 0.9;
+    if (i === 0) ctx.moveTo(x, y);
+    else ctx.lineTo(x, y);
+  }
+  ctx.stroke();
+}
+
+// Scrolling spectrogram: time runs right to left, low frequencies at the bottom
+function drawSpectrogram(ctx, width, height) {
+  const analyzer = getSpectrumAnalyzer();
+  if (!analyzer) return;
+  const values = analyzer.getValue();
+  const columns = Math.ceil(width);
+  const rows = Math.ceil(height);
+
+  if (!spectrogramBuffer) {
+    spectrogramBuffer = document.createElement('canvas');
+    spectrogramBuffer.width = columns;
+    spectrogramBuffer.height = rows;
+    const bufferContext = spectrogramBuffer.getContext('2d');
+    bufferContext.fillStyle = spectrogramColorScale(0);
+    bufferContext.fillRect(0, 0, columns, rows);
+  }
+
+  const bufferContext = spectrogramBuffer.getContext('2d');
+  bufferContext.drawImage(spectrogramBuffer, -1, 0);
+  const column = bufferContext.createImageData(1, rows);
+  for (let y = 0; y < rows; y++) {
+    const frequency = spectrumMinFrequency * Math.pow(spectrumMaxFrequency / spectrumMinFrequency, 1 - y / rows);
+    const color = d3.rgb(spectrogramColorScale(getSpectrumLevel(values, frequency)));
+    column.data.set([color.r, color.g, color.b, 255], y * 4);
+  }
+  bufferContext.putImageData(column, columns - 1, 0);
+  ctx.drawImage(spectrogramBuffer, 0, 0, width, height);
+}
+
+// One coloured lane per layer that lights up on every note; muted layers are dimmed
+function drawLayerLanes(ctx, width, height) {
+  const lanes = savedLoops.map((loop, index) => ({
+    label: `${Tone.Frequency(loop.frequency).toNote()} · ${loop.frequency.toFixed(1)} Hz`,
+    color: layerColors[index % layerColors.length],
+    level: loop.level,
+    silenced: isLayerSilenced(loop),
+    lastHitTime: loop.lastHitTime
+  }));
+  if (previewLoop) {
+    lanes.unshift({ label: 'Preview', color: '#ffffff', level: 1, silenced: false, lastHitTime: previewLoop.lastHitTime });
+  }
+
+  ctx.font = '14px sans-serif';
+  ctx.textBaseline = 'middle';
+  if (lanes.length === 0) {
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.textAlign = 'center';
+    ctx.fillText('No layers yet. Tap to add one.', width / 2, height / 2);
+    return;
+  }
+
+  const top = 48; // Leave room for the beat indicator
+  const laneHeight = Math.min(80, (height - top) / lanes.length);
+  const now = performance.now();
+  ctx.textAlign = 'left';
+  lanes.forEach((lane, index) => {
+    const y = top + index * laneHeight;
+    const pulse = lane.lastHitTime ? Math.max(0, 1 - (now - lane.lastHitTime) / 300) : 0;
+    ctx.globalAlpha = lane.silenced ? 0.15 : 0.25 + 0.75 * pulse;
+    ctx.fillStyle = lane.color;
+    ctx.fillRect(0, y + 2, width * (0.2 + 0.8 * lane.level), laneHeight - 4);
+    ctx.globalAlpha = lane.silenced ? 0.4 : 1;
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(lane.label, 12, y + laneHeight / 2);
+  });
+  ctx.globalAlpha = 1;
+}
+
+// Draws one frame of the current view
+function drawVisualizer() {
+  if (!visualizerContext || !waveformAnalyzer) return;
+  const ctx = visualizerContext;
+  const width = window.innerWidth;
+  const height = window.innerHeight;
+
+  // The spectrogram keeps its history, so it isn't cleared
+  if (visualizerMode !== 'spectrogram') ctx.clearRect(0, 0, width, height);
+
+  if (visualizerMode === 'spectrum') drawSpectrum(ctx, width, height);
+  else if (visualizerMode === 'scope') drawScope(ctx, width, height);
+  else if (visualizerMode === 'spectrogram') drawSpectrogram(ctx, width, height);
+  else if (visualizerMode === 'layers') drawLayerLanes(ctx, width, height);
+  else drawLevelBars(ctx, width, height);
+}
+
+/**
+ * Switches the visualizer view and remembers it on the device.
+ * @param {string} mode - Key of visualizerModes.
+ */
+function setVisualizerMode(mode) {
+  if (!visualizerModes[mode]) return;
+  visualizerMode = mode;
+  spectrogramBuffer = null;
+  if (visualizerContext) visualizerContext.clearRect(0, 0, window.innerWidth, window.innerHeight);
+  document.getElementById('visualizerModeSelect').value = mode;
+  try {
+    localStorage.setItem(visualizerModeStorageKey, mode);
+  } catch (err) {
+    console.error('Error saving visualizer mode:', err);
+  }
+}
+
+// Moves to the next view (two-finger tap or V) and names it briefly
+function cycleVisualizerMode() {
+  const modes = Object.keys(visualizerModes);
+  setVisualizerMode(modes[(modes.indexOf(visualizerMode) + 1) % modes.length]);
+  showToast(visualizerModes[visualizerMode], 1200);
+}
+
+// Sets up the canvas, the view dropdown and the saved view
+function initVisualizerControls() {
+  visualizerCanvas = document.getElementById('visualizerCanvas');
+  visualizerContext = visualizerCanvas.getContext('2d');
+  resizeVisualizer();
+  window.addEventListener('resize', resizeVisualizer);
+
+  const visualizerModeSelect = document.getElementById('visualizerModeSelect');
+  for (const mode in visualizerModes) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = visualizerModes[mode];
+    visualizerModeSelect.appendChild(option);
+  }
+  visualizerModeSelect.addEventListener('change', () => setVisualizerMode(visualizerModeSelect.value));
+
+  let savedMode = null;
+  try {
+    savedMode = localStorage.getItem(visualizerModeStorageKey);
+  } catch (err) {
+    console.error('Error loading visualizer mode:', err);
+  }
+  setVisualizerMode(visualizerModes[savedMode] ? savedMode : visualizerMode);
+
+  window.addEventListener('pointermove', noteVisualizerActivity);
+  window.addEventListener('pointerdown', noteVisualizerActivity);
+  window.addEventListener('keydown', noteVisualizerActivity);
+  window.addEventListener('deviceorientation', noteOrientationActivity);
+}
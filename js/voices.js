@@ -0,0 +1,194 @@
+// Voice pool, polyphony limit, voice stealing and the master gain strategy
+const voiceSettingsStorageKey = 'gyroSynthVoiceSettings';
+const maxPooledVoices = 8; // Idle voices kept for reuse; extra ones are disposed
+
+let voiceSettings = {
+  maxPolyphony: 16, // Most voices sounding at once: layers, the preview loop and the continuous note
+  stealPolicy: 'oldest', // 'oldest', 'quietest' or 'refuse'
+  gainStrategy: 'power' // 'power' (equal loudness from the layer levels) or 'divide' (by voice count)
+};
+let voicePool = []; // Released voices of the current engine, ready to play again
+
+// Number of voices currently sounding (a chord layer counts each of its notes)
+function getVoiceCount() {
+  return getPlayingVoices().reduce((count, voice) => count + (voice.noteCount || 1), 0);
+}
+
+/**
+ * Takes an idle voice from the pool, updated to the current sound. Voices of another
+ * engine are disposed of on the way.
+ * @returns {Object|null} A voice connected to the master bus, or null if the pool is empty.
+ */
+function takePooledVoice() {
+  while (voicePool.length > 0) {
+    const voice = voicePool.pop();
+    if (voice.engine === currentEngine) {
+      voice.set(getEngineOptions());
+      voice.volume.value = 0;
+      voice.active = false;
+      return voice;
+    }
+    voice.dispose();
+  }
+  return null;
+}
+
+/**
+ * Releases a voice and, once the release has finished, returns it to the pool
+ * (or disposes of it if the pool is full, the engine has changed or it is a chord voice).
+ * @param {Object} voice - The voice to release.
+ */
+function releaseVoice(voice) {
+  voice.triggerRelease();
+  setTimeout(() => {
+    if (voice.routedThrough) {
+      // Pooled voices always play straight into the master bus
+      voice.disconnect();
+      voice.connect(masterBus);
+      voice.routedThrough = null;
+    }
+    if (!voice.noteCount && voice.engine === currentEngine && voicePool.length < maxPooledVoices) {
+      voicePool.push(voice);
+    } else {
+      voice.dispose();
+    }
+  }, releaseTime * 1000 + 100);
+}
+
+/**
+ * Sends a voice through another node (e.g. a layer's own panner) on its way to the master bus.
+ * @param {Object} voice - The voice.
+ * @param {Tone.ToneAudioNode} node - The node to play into; it must lead to the master bus.
+ */
+function routeVoiceThrough(voice, node) {
+  voice.disconnect();
+  voice.connect(node);
+  voice.routedThrough = node;
+}
+
+/**
+ * Levels of the sounding voices, for the master bus gain: layers (local and mirrored from
+ * a jam session) at their level unless silenced, every other sound at full level.
+ * @returns {number[]} Linear levels.
+ */
+function getSoundingLevels() {
+  const levels = [...savedLoops, ...getRemoteLayers()].filter(loop => !loop.mute).map(loop => loop.level);
+  if (instrument) levels.push(1);
+  if (previewLoop) levels.push(1);
+  fingerVoices.forEach(() => levels.push(1)); // Fingers on the play surface
+  if (generativeLoop) levels.push(1);
+  return levels;
+}
+
+/**
+ * Picks the layer to stop when the polyphony limit is reached. Silenced layers go first.
+ * @returns {Tone.Loop|undefined} The layer, or undefined if no layer may be stolen.
+ */
+function findVoiceToSteal() {
+  if (voiceSettings.stealPolicy === 'refuse' || savedLoops.length === 0) return undefined;
+  const silenced = savedLoops.find(loop => loop.mute);
+  if (silenced) return silenced;
+  if (voiceSettings.stealPolicy === 'quietest') {
+    return savedLoops.reduce((quietest, loop) => (loop.level < quietest.level ? loop : quietest));
+  }
+  return savedLoops[0]; // Oldest
+}
+
+/**
+ * Makes room for new voices, stealing layers if the polyphony limit is reached.
+ * @param {number} [count=1] - Number of voices needed (the notes of a chord).
+ * @returns {boolean} False if the voices must not be added.
+ */
+function claimVoiceSlot(count = 1) {
+  while (getVoiceCount() + count > voiceSettings.maxPolyphony) {
+    const victim = findVoiceToSteal();
+    if (!victim) {
+      showToast(`Voice limit reached (${voiceSettings.maxPolyphony}). Remove a layer or raise the limit in settings.`);
+      flashVoiceCounter();
+      return false;
+    }
+    removeLayer(victim.layerId);
+    flashVoiceCounter();
+  }
+  return true;
+}
+
+// Shows the number of sounding voices against the limit
+function updateVoiceCounter() {
+  const counter = document.getElementById('voiceCounter');
+  if (!counter) return;
+  const count = getVoiceCount();
+  counter.textContent = `${count}/${voiceSettings.maxPolyphony}`;
+  counter.classList.toggle('full', count >= voiceSettings.maxPolyphony);
+}
+
+function flashVoiceCounter() {
+  const counter = document.getElementById('voiceCounter');
+  if (!counter) return;
+  counter.classList.remove('flash');
+  void counter.offsetWidth; // Restart the animation
+  counter.classList.add('flash');
+}
+
+/**
+ * Changes the polyphony limit. Layers above a lowered limit are stolen right away,
+ * unless the policy refuses, in which case they keep playing.
+ * @param {number} limit - Maximum number of voices.
+ */
+function setMaxPolyphony(limit) {
+  voiceSettings.maxPolyphony = Math.max(4, Math.min(32, Math.round(limit)));
+  while (getVoiceCount() > voiceSettings.maxPolyphony && findVoiceToSteal()) {
+    removeLayer(findVoiceToSteal().layerId);
+  }
+  document.getElementById('maxPolyphonyValue').textContent = voiceSettings.maxPolyphony;
+  updateVoiceCounter();
+}
+
+function saveVoiceSettings() {
+  try {
+    localStorage.setItem(voiceSettingsStorageKey, JSON.stringify(voiceSettings));
+  } catch (err) {
+    console.error('Error saving voice settings:', err);
+  }
+}
+
+// How many voices a device can play is a property of the device, so these are kept outside of presets
+function loadVoiceSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(voiceSettingsStorageKey));
+    if (stored && typeof stored === 'object') {
+      if (typeof stored.maxPolyphony === 'number') voiceSettings.maxPolyphony = Math.max(4, Math.min(32, stored.maxPolyphony));
+      if (['oldest', 'quietest', 'refuse'].includes(stored.stealPolicy)) voiceSettings.stealPolicy = stored.stealPolicy;
+      if (['power', 'divide'].includes(stored.gainStrategy)) voiceSettings.gainStrategy = stored.gainStrategy;
+    }
+  } catch (err) {
+    console.error('Error loading voice settings:', err);
+  }
+}
+
+// Wires up the polyphony, stealing and gain settings
+function initVoiceControls() {
+  const maxPolyphonySlider = document.getElementById('maxPolyphonySlider');
+  const stealPolicySelect = document.getElementById('stealPolicySelect');
+  const gainStrategySelect = document.getElementById('gainStrategySelect');
+
+  loadVoiceSettings();
+  maxPolyphonySlider.value = voiceSettings.maxPolyphony;
+  stealPolicySelect.value = voiceSettings.stealPolicy;
+  gainStrategySelect.value = voiceSettings.gainStrategy;
+  setMaxPolyphony(voiceSettings.maxPolyphony);
+
+  maxPolyphonySlider.addEventListener('input', () => {
+    setMaxPolyphony(parseFloat(maxPolyphonySlider.value));
+    saveVoiceSettings();
+  });
+  stealPolicySelect.addEventListener('change', () => {
+    voiceSettings.stealPolicy = stealPolicySelect.value;
+    saveVoiceSettings();
+  });
+  gainStrategySelect.addEventListener('change', () => {
+    voiceSettings.gainStrategy = gainStrategySelect.value;
+    updateMasterVolume();
+    saveVoiceSettings();
+  });
+}
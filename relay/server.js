@@ -0,0 +1,197 @@
+// Jam session relay: a dependency-free WebSocket server that passes messages between the
+// players of a session. Run it with `node relay/server.js [port]` on a machine the phones can reach.
+'use strict';
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+
+const port = parseInt(process.argv[2] || process.env.PORT || '8787', 10);
+const websocketGuid = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11'; // Fixed by RFC 6455
+const maxMessageSize = 64 * 1024; // Session messages are small; anything bigger is dropped with the connection
+const sessionCodePattern = /^[A-Z0-9]{1,16}$/; // Session codes as the app makes and accepts them
+const heartbeatInterval = 15000; // Ping every client this often and drop the ones that didn't answer (ms)
+
+const sessions = new Map(); // Session code -> Set of clients
+
+/**
+ * Encodes a server frame (servers never mask their frames).
+ * @param {number} opcode - 0x1 text, 0x8 close, 0x9 ping, 0xA pong.
+ * @param {Buffer} payload - The payload.
+ * @returns {Buffer} The frame.
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Reads one frame from the start of a buffer.
+ * @param {Buffer} buffer - Received bytes.
+ * @returns {Object|null} { fin, opcode, payload, length } or null if the frame isn't complete yet.
+ * @throws {Error} If the frame is unmasked or too big.
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null;
+  const fin = (buffer[0] & 0x80) !== 0;
+  const opcode = buffer[0] & 0x0f;
+  const masked = (buffer[1] & 0x80) !== 0;
+  let length = buffer[1] & 0x7f;
+  let offset = 2;
+
+  if (length === 126) {
+    if (buffer.length < 4) return null;
+    length = buffer.readUInt16BE(2);
+    offset = 4;
+  } else if (length === 127) {
+    if (buffer.length < 10) return null;
+    const longLength = buffer.readBigUInt64BE(2);
+    if (longLength > BigInt(maxMessageSize)) throw new Error('Frame too big');
+    length = Number(longLength);
+    offset = 10;
+  }
+  if (!masked) throw new Error('Client frames must be masked');
+  if (length > maxMessageSize) throw new Error('Frame too big');
+  if (buffer.length < offset + 4 + length) return null;
+
+  const mask = buffer.subarray(offset, offset + 4);
+  const payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+  for (let i = 0; i < payload.length; i++) {
+    payload[i] ^= mask[i % 4];
+  }
+  return { fin, opcode, payload, length: offset + 4 + length };
+}
+
+function send(client, text) {
+  if (!client.socket.destroyed) client.socket.write(encodeFrame(0x1, Buffer.from(text)));
+}
+
+/**
+ * Passes a message on to every other player of the session. The first message of a client
+ * tells the relay its peer id, so the others can be told when it leaves.
+ * @param {Object} client - The sender.
+ * @param {string} text - The JSON message.
+ */
+function relayMessage(client, text) {
+  if (!client.peerId) {
+    try {
+      const message = JSON.parse(text);
+      if (typeof message.from === 'string') client.peerId = message.from.slice(0, 64);
+    } catch (err) {
+      return; // Not a session message
+    }
+  }
+  sessions.get(client.session).forEach(other => {
+    if (other !== client) send(other, text);
+  });
+}
+
+// Removes a client from its session and tells the others it left
+function leaveSession(client) {
+  const players = sessions.get(client.session);
+  if (!players || !players.delete(client)) return;
+  if (players.size === 0) {
+    sessions.delete(client.session);
+  } else if (client.peerId) {
+    const notice = JSON.stringify({ type: 'leave', from: client.peerId });
+    players.forEach(other => send(other, notice));
+  }
+  console.log(`Player left session "${client.session}" (${players.size} remaining)`);
+}
+
+// Handles the frames of one client, including messages split over several frames
+function handleData(client, data) {
+  client.buffer = Buffer.concat([client.buffer, data]);
+  let frame;
+  while ((frame = decodeFrame(client.buffer))) {
+    client.buffer = client.buffer.subarray(frame.length);
+    if (frame.opcode === 0x8) {
+      client.socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+      return;
+    } else if (frame.opcode === 0x9) {
+      client.socket.write(encodeFrame(0xA, frame.payload));
+    } else if (frame.opcode === 0xA) {
+      client.alive = true;
+    } else if (frame.opcode === 0x1 || frame.opcode === 0x0) {
+      client.fragments.push(frame.payload);
+      const size = client.fragments.reduce((total, part) => total + part.length, 0);
+      if (size > maxMessageSize) throw new Error('Message too big');
+      if (frame.fin) {
+        relayMessage(client, Buffer.concat(client.fragments).toString('utf8'));
+        client.fragments = [];
+      }
+    }
+    // Binary frames aren't part of the protocol and are ignored
+  }
+}
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'text/plain' });
+  res.end(`Gyro Synth session relay. ${sessions.size} session(s) running.\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  // The session is the path: ws://host:8787/<code>, with the same code rule as the app. Checking the raw
+  // path means nothing needs decoding, so a malformed escape is just a bad request.
+  const session = req.url.split('?')[0].replace(/^\/+/, '');
+  if (String(req.headers.upgrade).toLowerCase() !== 'websocket' || !key || !sessionCodePattern.test(session)) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = crypto.createHash('sha1').update(key + websocketGuid).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '',
+    ''
+  ].join('\r\n'));
+  socket.setNoDelay(true); // Clock sync messages shouldn't wait for more data
+
+  const client = { socket, session, peerId: null, buffer: Buffer.alloc(0), fragments: [], alive: true };
+  if (!sessions.has(session)) sessions.set(session, new Set());
+  sessions.get(session).add(client);
+  console.log(`Player joined session "${session}" (${sessions.get(session).size} playing)`);
+
+  socket.on('data', data => {
+    try {
+      handleData(client, data);
+    } catch (err) {
+      console.warn(`Dropping a player: ${err.message}`);
+      socket.destroy();
+    }
+  });
+  socket.on('close', () => leaveSession(client));
+  socket.on('error', () => socket.destroy());
+});
+
+// Drops clients that vanished without closing (e.g. a phone that lost Wi-Fi)
+setInterval(() => {
+  sessions.forEach(players => players.forEach(client => {
+    if (!client.alive) {
+      client.socket.destroy();
+      return;
+    }
+    client.alive = false;
+    client.socket.write(encodeFrame(0x9, Buffer.alloc(0)));
+  }));
+}, heartbeatInterval);
+
+server.listen(port, () => {
+  console.log(`Gyro Synth session relay listening on ws://0.0.0.0:${port}/<session code>`);
+});
@@ -1,10 +1,40 @@
-const CACHE_NAME = 'gyro-synth-cache-v1';
+// Bump the version with every release: the changed worker installs the new files next to the old
+// ones, and the page offers to reload once it is ready
+const CACHE_VERSION = '2026.10.1';
+const CACHE_PREFIX = 'gyro-synth-cache-';
+const CACHE_NAME = `${CACHE_PREFIX}${CACHE_VERSION}`;
 const urlsToCache = [
+  './',
   'index.html',
   'js/main.js',
-  'https://unpkg.com/tone',
-  'https://cdn.tailwindcss.com',
-  'https://d3js.org/d3.v7.min.js',
+  'js/scales.js',
+  'js/engines.js',
+  'js/effects.js',
+  'js/recorder.js',
+  'js/midi.js',
+  'js/presets.js',
+  'js/scene.js',
+  'js/layers.js',
+  'js/transport.js',
+  'js/patterns.js',
+  'js/tuning.js',
+  'js/mapping.js',
+  'js/input.js',
+  'js/motion.js',
+  'js/modulation.js',
+  'js/visualizer.js',
+  'js/tuner.js',
+  'js/voices.js',
+  'js/surface.js',
+  'js/looper.js',
+  'js/chords.js',
+  'js/generative.js',
+  'js/session.js',
+  'js/updates.js',
+  'js/gyrosynth.js',
+  'vendor/tone.js',
+  'vendor/d3.v7.min.js',
+  'vendor/tailwind.css',
   'manifest.json',
   'favicon.ico',
   'icons/icon-96x96.png',
@@ -18,41 +48,64 @@ const urlsToCache = [
 ];
 
 self.addEventListener('install', (event) => {
+  // Everything is served from this origin, so one failed request means the release is incomplete;
+  // installing fails and the current version stays in charge until the next attempt
   event.waitUntil(
     caches.open(CACHE_NAME)
-      .then((cache) => {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
-      })
+      .then((cache) => cache.addAll(urlsToCache))
   );
 });
 
-self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request)
+// The page tells a waiting worker to take over when the player accepts the update
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Stale-while-revalidate: answers from the cache straight away and refreshes the cached copy
+ * from the network in the background, so small fixes arrive on the next load even without a new release.
+ * Requests that aren't cached yet go to the network and are cached for offline use.
+ * @param {FetchEvent} event - The fetch event.
+ * @returns {Promise<Response>} The response.
+ */
+function staleWhileRevalidate(event) {
+  const request = event.request;
+  // Scene links and the app shortcut all load the same page
+  const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+  return caches.open(CACHE_NAME).then((cache) => cache.match(cacheKey, { ignoreSearch: request.mode === 'navigate' }).then((cached) => {
+    const refresh = fetch(request)
       .then((response) => {
-        // Cache hit - return response
-        if (response) {
-          return response;
+        if (response.ok) {
+          return cache.put(cacheKey, response.clone()).then(() => response);
         }
-        // No cache hit - fetch from network
-        return fetch(event.request);
-      })
-  );
+        return response;
+      });
+    if (cached) {
+      event.waitUntil(refresh.catch(() => {})); // Offline: the cached copy is all there is
+      return cached;
+    }
+    return refresh;
+  }));
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  // Only this app's own files; anything else (e.g. a jam session relay) goes straight to the network
+  if (event.request.method !== 'GET' || url.origin !== self.location.origin) return;
+  event.respondWith(staleWhileRevalidate(event));
 });
 
 self.addEventListener('activate', (event) => {
-  const cacheWhitelist = [CACHE_NAME];
   event.waitUntil(
-    caches.keys().then((cacheNames) => {
-      return Promise.all(
-        cacheNames.map((cacheName) => {
-          if (cacheWhitelist.indexOf(cacheName) === -1) {
-            // Delete old caches
-            return caches.delete(cacheName);
-          }
-        })
-      );
-    })
+    caches.keys()
+      .then((cacheNames) => Promise.all(
+        cacheNames
+          // Delete the caches of earlier releases
+          .filter((cacheName) => cacheName.startsWith(CACHE_PREFIX) && cacheName !== CACHE_NAME)
+          .map((cacheName) => caches.delete(cacheName))
+      ))
+      .then(() => self.clients.claim())
   );
 });
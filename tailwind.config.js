@@ -0,0 +1,9 @@
+// Tailwind CSS build for vendor/tailwind.css. After adding Tailwind classes to index.html or js/, regenerate it with:
+//   npx tailwindcss@3 -c tailwind.config.js -o vendor/tailwind.css --minify
+module.exports = {
+  content: ['./index.html', './js/**/*.js'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};
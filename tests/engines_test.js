@@ -0,0 +1,40 @@
+// Unit tests for the engine voices in js/engines.js. Run with: node --test tests/
+// The voices are built from Tone.js, so it is loaded into a context with a small stand-in that records the calls.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadEngines() {
+  const calls = [];
+  const param = name => ({ rampTo: value => calls.push([`${name}.rampTo`, value]), setValueAtTime() {} });
+  class Filter {
+    constructor() { this.frequency = param('frequency'); this.Q = param('Q'); }
+    connect() { return this; }
+  }
+  class NoiseSynth {
+    constructor() { this.volume = param('volume'); }
+    connect() { return this; }
+    set(options) { calls.push(['noise.set', options]); }
+  }
+  const context = vm.createContext({ Tone: { Filter, NoiseSynth } });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/engines.js'), 'utf8'), context);
+  return { context, calls };
+}
+
+test('a noise voice takes its own options', () => {
+  const { context, calls } = loadEngines();
+  const voice = context.createNoiseVoice({ Q: 8, envelope: { attack: 0.1 } });
+  voice.set({ Q: 4, envelope: { attack: 0.2 } });
+  assert.deepStrictEqual(JSON.parse(JSON.stringify(calls)), [['Q.rampTo', 4], ['noise.set', { envelope: { attack: 0.2 } }]]);
+});
+
+test('a noise voice ignores the options of another engine', () => {
+  // Happens when the voices of the old engine are still playing as a preset switches engines
+  const { context, calls } = loadEngines();
+  const voice = context.createNoiseVoice({ Q: 8, envelope: {} });
+  const options = vm.runInContext("synthEngines.pluck.toOptions(engineParams.pluck, { waveform: 'sine', attack: 0.1, release: 1 })", context);
+  assert.doesNotThrow(() => voice.set(options));
+  assert.deepStrictEqual(calls, []);
+});
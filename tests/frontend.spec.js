@@ -41,6 +41,306 @@ test.describe('Gyro Synth Frontend Tests', () => {
     await expect(page.locator('#clearAllBtn')).toBeVisible();
   });
 
+  test('should have recording controls', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#recordBtn')).toBeVisible();
+    await expect(page.locator('#renderBarsInput')).toHaveValue('4');
+    await expect(page.locator('#downloadTakeBtn')).toBeDisabled();
+  });
+
+  test('should list factory presets and restore settings after reload', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#presetSelect option', { hasText: 'Glass Bells' })).toHaveCount(1);
+
+    await page.locator('#presetSelect').selectOption({ label: 'Glass Bells' });
+    await expect(page.locator('#scaleSelect')).toHaveValue('Pentatonic Major');
+
+    await page.reload();
+    await expect(page.locator('#scaleSelect')).toHaveValue('Pentatonic Major');
+    await expect(page.locator('#rootNoteSelect')).toHaveValue('E');
+  });
+
+  test('should report a damaged scene link instead of failing', async ({ page }) => {
+    await page.goto('http://localhost:8000/#scene=not-a-scene');
+    await expect(page.locator('#toast')).toContainText('damaged');
+    await expect(page.locator('#startButton')).toBeVisible();
+  });
+
+  test('should open the layers panel', async ({ page }) => {
+    await page.locator('#startButton').click();
+    await page.locator('#layersToggleBtn').click();
+    await expect(page.locator('#layersPanel')).toHaveClass(/open/);
+    await expect(page.locator('#layerList')).toContainText('No layers yet');
+    await expect(page.locator('#undoLayerBtn')).toBeDisabled();
+  });
+
+  test('should keep an octave between the tilt pitch bounds', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#pitchLowValue')).toHaveText('A2');
+    await page.locator('#pitchHighSlider').fill('50');
+    await expect(page.locator('#pitchHighValue')).toHaveText('D3');
+    await expect(page.locator('#pitchLowValue')).toHaveText('D2');
+  });
+
+  test('should fall back to another input source without motion sensors', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#inputSourceStatus')).toContainText('no motion sensors');
+    await page.locator('#inputSourceSelect').selectOption('pad');
+    await expect(page.locator('#xyPad')).toBeVisible();
+  });
+
+  test('should remember the motion settings', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#smoothingSelect')).toHaveValue('oneEuro');
+    await page.locator('#shakeToClearCheckbox').check();
+    await page.reload();
+    await expect(page.locator('#shakeToClearCheckbox')).toBeChecked();
+  });
+
+  test('should show the parameters of the selected synth engine', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#engineParam-fm-modulationIndex')).toBeVisible();
+    await page.locator('#engineSelect').selectOption('mono');
+    await expect(page.locator('#engineParam-mono-cutoff')).toBeVisible();
+    await page.locator('#engineSelect').selectOption('pluck');
+    await expect(page.locator('#waveformSelect')).toBeDisabled();
+  });
+
+  test('should load a preset with another engine while noise layers play', async ({ page }) => {
+    await page.locator('#startButton').click();
+    await page.keyboard.press('m');
+    await page.locator('#engineSelect').selectOption('noise');
+    await page.evaluate(() => GyroSynth.addLayer(440));
+    await page.evaluate(() => applySettings({ engine: 'mono', attack: 0.3, release: 1, delayWet: 0.6 }));
+
+    await expect(page.locator('#engineSelect')).toHaveValue('mono');
+    await expect(page.locator('#delayWetSlider')).toHaveValue('0.6');
+    expect(await page.evaluate(() => GyroSynth.getLayers().length)).toBe(1);
+    expect(await page.evaluate(() => JSON.parse(localStorage.getItem('gyroSynthLastSettings')).engine)).toBe('mono');
+  });
+
+  test('should reorder and enable effects in the rack', async ({ page }) => {
+    await page.keyboard.press('m');
+    const rows = page.locator('#effectsRackList .effect-row');
+    await expect(rows.last()).toContainText('Delay');
+    await rows.last().getByRole('button', { name: 'Move earlier in the chain' }).click();
+    await expect(rows.last()).toContainText('Reverb');
+
+    await page.getByRole('checkbox', { name: 'Enable Chorus' }).check();
+    await page.reload();
+    await expect(page.getByRole('checkbox', { name: 'Enable Chorus' })).toBeChecked();
+  });
+
+  test('should add and remember modulation routes', async ({ page }) => {
+    await page.keyboard.press('m');
+    await page.locator('#addModulationRouteBtn').click();
+    const route = page.locator('#modulationRouteList .route-row');
+    await expect(route).toHaveCount(1);
+    await route.getByLabel('Modulation source').selectOption('lfo');
+    await route.getByLabel('Modulation destination').selectOption('reverbWet');
+    await expect(route.getByLabel('Range maximum')).toHaveValue('0.8');
+
+    await page.reload();
+    await expect(route.getByLabel('Modulation source')).toHaveValue('lfo');
+    await route.getByRole('button', { name: 'Remove route' }).click();
+    await expect(route).toHaveCount(0);
+  });
+
+  test('should switch and remember the visualizer view', async ({ page }) => {
+    await expect(page.locator('#visualizerCanvas')).toBeAttached();
+    await page.keyboard.press('v');
+    await page.keyboard.press('m');
+    await expect(page.locator('#visualizerModeSelect')).toHaveValue('spectrum');
+    await page.locator('#visualizerModeSelect').selectOption('layers');
+    await page.reload();
+    await page.keyboard.press('m');
+    await expect(page.locator('#visualizerModeSelect')).toHaveValue('layers');
+  });
+
+  test('should only count a real turn of the device as visualizer activity', async ({ page }) => {
+    const activityAfter = (beta) => page.evaluate((beta) => {
+      window.dispatchEvent(new DeviceOrientationEvent('deviceorientation', { alpha: 0, beta, gamma: 0 }));
+      return lastVisualizerActivity;
+    }, beta);
+    const first = await activityAfter(10);
+    expect(await activityAfter(10.5)).toBe(first); // Sensor noise of a phone lying still
+    expect(await activityAfter(20)).toBeGreaterThan(first);
+  });
+
+  test('should show the scale ladder until it is hidden', async ({ page }) => {
+    await expect(page.locator('#tunerCanvas')).toBeVisible();
+    await page.keyboard.press('m');
+    await page.locator('#showTunerCheckbox').uncheck();
+    await expect(page.locator('#tunerCanvas')).toBeHidden();
+    await page.reload();
+    await expect(page.locator('#tunerCanvas')).toBeHidden();
+  });
+
+  test('should keep the period of an imported scale when it is edited', async ({ page }) => {
+    await page.keyboard.press('m');
+    // Bohlen-Pierce: repeats every tritave (3/1) instead of every octave
+    const scl = '! bp.scl\nBohlen-Pierce\n 3\n!\n 9/7\n 7/5\n 3/1\n';
+    await page.locator('#importScalaInput').setInputFiles({ name: 'bp.scl', mimeType: 'text/plain', buffer: Buffer.from(scl) });
+    await expect(page.locator('#scaleSelect')).toHaveValue('bp');
+    await expect(page.locator('#customScaleInput')).toHaveValue('0.000 435.084 582.512');
+
+    await page.locator('#customScaleInput').fill('0.000 435.084');
+    await page.locator('#saveCustomScaleBtn').click();
+    const scale = await page.evaluate(() => availableScales.bp);
+    expect(scale.period).toBeCloseTo(19.02, 2);
+    expect(scale.intervals).toHaveLength(2);
+  });
+
+  test('should limit polyphony and show the voice counter', async ({ page }) => {
+    await expect(page.locator('#voiceCounter')).toHaveText('0/16');
+    await page.keyboard.press('m');
+    await page.locator('#maxPolyphonySlider').fill('4');
+    await page.locator('#stealPolicySelect').selectOption('refuse');
+    await expect(page.locator('#voiceCounter')).toHaveText('0/4');
+    await page.reload();
+    await expect(page.locator('#voiceCounter')).toHaveText('0/4');
+    await page.keyboard.press('m');
+    await expect(page.locator('#stealPolicySelect')).toHaveValue('refuse');
+  });
+
+  test('should toggle the play surface', async ({ page }) => {
+    const toggle = page.locator('#surfaceToggleBtn');
+    await expect(toggle).toHaveAttribute('aria-pressed', 'false');
+    await page.locator('#startButton').click();
+    await toggle.click();
+    await expect(toggle).toHaveAttribute('aria-pressed', 'true');
+    await page.reload();
+    await page.keyboard.press('m');
+    await expect(page.locator('#playSurfaceCheckbox')).toBeChecked();
+  });
+
+  test('should offer motion looper lengths and wait for a recording', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#loopBarsSelect option')).toHaveText(['1 bar', '2 bars', '4 bars', '8 bars']);
+    await expect(page.locator('#loopBarsSelect')).toHaveValue('2');
+    await expect(page.locator('#motionRecordBtn')).toHaveText('Record Motion');
+    await expect(page.locator('#motionOverdubBtn')).toBeDisabled();
+    await expect(page.locator('#motionClearBtn')).toBeDisabled();
+  });
+
+  test('should toggle chord mode and keep its settings', async ({ page }) => {
+    await page.keyboard.press('m');
+    await expect(page.locator('#chordModeCheckbox')).not.toBeChecked();
+    await expect(page.locator('#chordInversionSelect option[value="3"]')).toBeDisabled();
+    await page.locator('#chordSizeSelect').selectOption('seventh');
+    await page.locator('#chordVoicingSelect').selectOption('drop2');
+    await expect(page.locator('#chordInversionSelect option[value="3"]')).toBeEnabled();
+    await page.keyboard.press('Escape');
+    await page.keyboard.press('c');
+    await page.reload();
+    await page.keyboard.press('m');
+    await expect(page.locator('#chordModeCheckbox')).toBeChecked();
+    await expect(page.locator('#chordSizeSelect')).toHaveValue('seventh');
+    await expect(page.locator('#chordVoicingSelect')).toHaveValue('drop2');
+  });
+
+  test('should start generative mode and keep its seed', async ({ page }) => {
+    await page.locator('#startButton').click();
+    await page.keyboard.press('g');
+    await page.keyboard.press('m');
+    await expect(page.locator('#generativeCheckbox')).toBeChecked();
+    await page.locator('#generativeSeedInput').fill('4242');
+    await page.locator('#generativeSeedInput').press('Enter');
+    await page.locator('#generativeLengthSelect').selectOption('2n');
+    await page.locator('#generativeCheckbox').uncheck();
+    await page.reload();
+    await page.keyboard.press('m');
+    await expect(page.locator('#generativeCheckbox')).not.toBeChecked();
+    await expect(page.locator('#generativeSeedInput')).toHaveValue('4242');
+    await expect(page.locator('#generativeLengthSelect')).toHaveValue('2n');
+  });
+
+  test('should follow the host tempo in a jam session between tabs', async ({ page, context }) => {
+    const guest = await context.newPage();
+    await guest.goto('http://localhost:8000');
+
+    await page.keyboard.press('m');
+    await page.locator('#sessionCodeInput').fill('TEST');
+    await page.locator('#hostSessionBtn').click();
+    await expect(page.locator('#sessionStatus')).toContainText('Hosting session TEST');
+
+    await guest.keyboard.press('m');
+    await guest.locator('#sessionCodeInput').fill('test');
+    await guest.locator('#joinSessionBtn').click();
+    await page.locator('#tempoSlider').fill('96');
+    await expect(guest.locator('#tempoValue')).toHaveText('96');
+    await expect(guest.locator('#sessionStatus')).toContainText('2 players');
+
+    await page.locator('#leaveSessionBtn').click();
+    await expect(page.locator('#leaveSessionBtn')).toBeDisabled();
+    await expect(guest.locator('#sessionStatus')).toContainText('waiting for the host');
+  });
+
+  test('should keep one host when two tabs host the same session', async ({ page, context }) => {
+    const other = await context.newPage();
+    await other.goto('http://localhost:8000');
+
+    await page.keyboard.press('m');
+    await page.locator('#sessionCodeInput').fill('TEST');
+    await page.locator('#hostSessionBtn').click();
+    await page.locator('#tempoSlider').fill('96');
+
+    await other.keyboard.press('m');
+    await other.locator('#sessionCodeInput').fill('TEST');
+    await other.locator('#hostSessionBtn').click();
+
+    // The tab that hosted first stays host and the other one follows it
+    await expect(page.locator('#sessionStatus')).toContainText('Hosting session TEST');
+    await expect(other.locator('#sessionStatus')).toContainText('Joined session TEST');
+    await expect(other.locator('#sessionStatus')).not.toContainText('waiting for the host');
+    await expect(other.locator('#tempoValue')).toHaveText('96');
+  });
+
+  test('should load the libraries from the app and show when it is offline', async ({ page, context }) => {
+    expect(await page.evaluate(() => typeof Tone.Loop === 'function' && typeof d3.select === 'function')).toBe(true);
+    await expect(page.locator('#offlineIndicator')).toBeHidden();
+    await context.setOffline(true);
+    await expect(page.locator('#offlineIndicator')).toBeVisible();
+    await context.setOffline(false);
+    await expect(page.locator('#offlineIndicator')).toBeHidden();
+    await expect(page.locator('#updateBanner')).toBeHidden();
+  });
+
+  test('should keep the controls in step with the engine API', async ({ page }) => {
+    await page.locator('#startButton').click();
+    const events = await page.evaluate(() => {
+      const seen = [];
+      GyroSynth.on('state', detail => seen.push(detail.change));
+      GyroSynth.on('layer', detail => seen.push(detail.action));
+      GyroSynth.setScale('D', 'Dorian');
+      GyroSynth.setParam('volume', 0.5);
+      GyroSynth.addLayer(440);
+      return seen;
+    });
+    expect(events).toEqual(['scale', 'clear', 'param', 'add']);
+    await expect(page.locator('#layerCount')).toHaveText('1');
+
+    await page.keyboard.press('m');
+    await expect(page.locator('#scaleSelect')).toHaveValue('Dorian');
+    await expect(page.locator('#rootNoteSelect')).toHaveValue('D');
+    await expect(page.locator('#volumeSlider')).toHaveValue('0.5');
+    await page.evaluate(() => GyroSynth.setParam('waveform', 'square'));
+    await expect(page.locator('#waveformSelect')).toHaveValue('square');
+
+    // Presets and the layer list go through the engine too, so listeners hear about them
+    const changes = await page.evaluate(() => {
+      const seen = [];
+      GyroSynth.on('state', detail => detail.change === 'param' && seen.push(detail.name));
+      GyroSynth.on('layer', detail => seen.push(detail.action));
+      applySettings({ ...factoryPresets['Glass Bells'], rootNote: 'D', scale: 'Dorian' });
+      retuneLayer(GyroSynth.getLayers()[0].id, 1);
+      return seen;
+    });
+    expect(changes).toEqual(expect.arrayContaining(['waveform', 'volume', 'attack', 'release', 'delayWet', 'retune']));
+    expect(await page.evaluate(() => GyroSynth.getState().layers.length)).toBe(1);
+    await expect(page.evaluate(() => GyroSynth.setScale('H', 'Dorian'))).rejects.toThrow('Unknown root note');
+  });
+
   test('should display beta and gamma values', async ({ page }) => {
     await page.keyboard.press('m');
     await expect(page.locator('#betaDisplay')).toContainText('Beta:');
@@ -0,0 +1,113 @@
+// Unit tests for the GyroSynth engine API in js/gyrosynth.js. Run with: node --test tests/
+// The API sits on the app's globals, so it is loaded into a context with small stand-ins for them.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadGyroSynth() {
+  const calls = [];
+  const context = vm.createContext({
+    console,
+    RangeError, // The test's own, so assert.throws() recognises the errors
+    noteNames: ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'],
+    availableScales: { Off: [], Major: [0, 2, 4, 5, 7, 9, 11] },
+    waveforms: ['sine', 'square', 'triangle', 'sawtooth'],
+    currentWaveform: 'sine',
+    currentRootNote: 'C',
+    currentScaleName: 'Off',
+    userVolume: 0.8,
+    attackTime: 0.1,
+    releaseTime: 0.5,
+    delayWet: 0.3,
+    delayNode: null,
+    transportBpm: 120,
+    swingAmount: 0,
+    minBpm: 40,
+    maxBpm: 240,
+    masterBus: null,
+    savedLoops: [],
+    updateMasterVolume: () => calls.push('updateMasterVolume'),
+    applyVoiceParams: () => calls.push('applyVoiceParams'),
+    rebuildVoices: () => calls.push('rebuildVoices'),
+    updateScaleFrequencies: () => calls.push('updateScaleFrequencies'),
+    clearSounds: () => calls.push('clearSounds'),
+    setTempo: bpm => { context.transportBpm = bpm; },
+    setSwing: amount => { context.swingAmount = amount; }
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/gyrosynth.js'), 'utf8'), context);
+  return { GyroSynth: vm.runInContext('GyroSynth', context), context, calls };
+}
+
+test('parameters are clamped to their range and reported to listeners', () => {
+  const { GyroSynth, context, calls } = loadGyroSynth();
+  const changes = [];
+  GyroSynth.on('state', detail => changes.push(detail));
+
+  GyroSynth.setParam('volume', 2);
+  assert.strictEqual(context.userVolume, 1);
+  assert.ok(calls.includes('updateMasterVolume'));
+  GyroSynth.setParam('tempo', 10);
+  assert.strictEqual(GyroSynth.getParam('tempo'), 40);
+  GyroSynth.setParam('waveform', 'square');
+  assert.strictEqual(context.currentWaveform, 'square');
+  assert.ok(calls.includes('rebuildVoices'));
+
+  assert.deepStrictEqual(changes.map(({ name, value }) => [name, value]), [['volume', 1], ['tempo', 40], ['waveform', 'square']]);
+  assert.strictEqual(GyroSynth.getParam('unknown'), undefined);
+});
+
+test('invalid parameters throw a RangeError and change nothing', () => {
+  const { GyroSynth, context } = loadGyroSynth();
+  assert.throws(() => GyroSynth.setParam('loudness', 0.5), RangeError);
+  assert.throws(() => GyroSynth.setParam('volume', '0.5'), RangeError);
+  assert.throws(() => GyroSynth.setParam('volume', NaN), RangeError);
+  assert.throws(() => GyroSynth.setParam('waveform', 'noise'), RangeError);
+  assert.strictEqual(context.userVolume, 0.8);
+  assert.strictEqual(context.currentWaveform, 'sine');
+});
+
+test('layers outside the audible range are refused', () => {
+  const { GyroSynth } = loadGyroSynth();
+  assert.throws(() => GyroSynth.addLayer(10), RangeError);
+  assert.throws(() => GyroSynth.addLayer(30000), RangeError);
+  assert.throws(() => GyroSynth.addLayer(NaN), RangeError);
+  assert.strictEqual(GyroSynth.addLayer(440), null); // Not started yet
+});
+
+test('scales are checked before they are applied', () => {
+  const { GyroSynth, context, calls } = loadGyroSynth();
+  assert.throws(() => GyroSynth.setScale('H', 'Major'), RangeError);
+  assert.throws(() => GyroSynth.setScale('D', 'Lydian'), RangeError);
+  assert.strictEqual(context.currentRootNote, 'C');
+
+  GyroSynth.setScale('D', 'Major');
+  assert.strictEqual(context.currentRootNote, 'D');
+  assert.strictEqual(context.currentScaleName, 'Major');
+  assert.deepStrictEqual(calls, ['updateScaleFrequencies', 'clearSounds']);
+  assert.deepStrictEqual([...GyroSynth.getScales()], ['Off', 'Major']); // Copied out of the context's Array
+});
+
+test('listeners can stop listening, and a failing listener does not stop the others', () => {
+  const { GyroSynth } = loadGyroSynth();
+  const heard = [];
+  const stop = GyroSynth.on('state', () => heard.push('a'));
+  const listener = () => heard.push('b');
+  GyroSynth.on('state', listener);
+  const error = console.error;
+  console.error = () => {};
+  const stopBroken = GyroSynth.on('state', () => { throw new Error('broken listener'); });
+  try {
+    GyroSynth.setParam('swing', 0.5);
+  } finally {
+    console.error = error;
+  }
+  stopBroken();
+  stop();
+  GyroSynth.off('state', listener);
+  GyroSynth.setParam('swing', 0.2);
+
+  assert.deepStrictEqual(heard, ['a', 'b']);
+  assert.throws(() => GyroSynth.on('tempo', () => {}), RangeError);
+});
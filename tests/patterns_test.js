@@ -0,0 +1,78 @@
+// Unit tests for the rhythm patterns in js/patterns.js. Run with: node --test tests/
+// The module is a classic script, so it is loaded into a context with a stand-in for Tone.Time.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const ppq = 192; // Ticks per quarter note
+const ticksPerNote = { '2n': 2 * ppq, '4n': ppq, '8n': ppq / 2, '8t': ppq / 3, '16n': ppq / 4 };
+const context = vm.createContext({ Tone: { Time: value => ({ toTicks: () => ticksPerNote[value] }) } });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/patterns.js'), 'utf8'), context);
+const { sanitizePattern, euclideanRhythm, isPatternStepActive } = context;
+
+// Results are built in the context, so they are copied out before deep comparisons
+const plain = value => JSON.parse(JSON.stringify(value));
+const hits = rhythm => rhythm.map(hit => (hit ? 'x' : '.')).join('');
+
+test('Euclidean rhythms spread the hits evenly', () => {
+  assert.strictEqual(hits(euclideanRhythm(3, 8)), 'x..x..x.'); // Tresillo
+  const cinquillo = hits(euclideanRhythm(5, 8));
+  assert.strictEqual(cinquillo, 'x.x.xx.x');
+  assert.ok(('x.xx.xx.' + 'x.xx.xx.').includes(cinquillo)); // A rotation of the cinquillo
+  assert.strictEqual(hits(euclideanRhythm(4, 16)), 'x...x...x...x...');
+});
+
+test('Euclidean rhythms with no hits or a hit on every step', () => {
+  assert.strictEqual(hits(euclideanRhythm(0, 8)), '........');
+  assert.strictEqual(hits(euclideanRhythm(8, 8)), 'xxxxxxxx');
+  assert.strictEqual(hits(euclideanRhythm(12, 8)), 'xxxxxxxx');
+});
+
+test('rotation moves the rhythm right and wraps around', () => {
+  assert.strictEqual(hits(euclideanRhythm(3, 8, 1)), '.x..x..x');
+  assert.strictEqual(hits(euclideanRhythm(3, 8, 9)), hits(euclideanRhythm(3, 8, 1)));
+  assert.strictEqual(hits(euclideanRhythm(3, 8, -1)), hits(euclideanRhythm(3, 8, 7)));
+  assert.strictEqual(hits(euclideanRhythm(3, 8, 8)), hits(euclideanRhythm(3, 8)));
+});
+
+test('garbage becomes the default pattern', () => {
+  const defaults = plain(sanitizePattern(null));
+  assert.strictEqual(defaults.subdivision, '4n');
+  for (const garbage of [undefined, 'eighths', 42, []]) {
+    assert.deepStrictEqual(plain(sanitizePattern(garbage)), defaults);
+  }
+  const pattern = plain(sanitizePattern({
+    subdivision: '3n', noteLength: 7, mode: 'random', steps: 'x.x.', euclid: 'E(3,8)', probability: '1'
+  }));
+  assert.deepStrictEqual(pattern, defaults);
+});
+
+test('out-of-range pattern values are clamped', () => {
+  const pattern = sanitizePattern({
+    subdivision: '16n',
+    mode: 'euclid',
+    steps: Array(40).fill(1),
+    euclid: { hits: 99, steps: 64, rotation: -3 },
+    probability: 7
+  });
+  assert.strictEqual(pattern.subdivision, '16n');
+  assert.strictEqual(pattern.mode, 'euclid');
+  assert.strictEqual(pattern.steps.length, 16);
+  assert.ok(pattern.steps.every(step => step === true));
+  assert.deepStrictEqual(plain(pattern.euclid), { hits: 16, steps: 16, rotation: 0 });
+  assert.strictEqual(pattern.probability, 1);
+});
+
+test('the step to play follows the transport position', () => {
+  const transport = { getTicksAtTime: time => time * ppq * 2 }; // 120 BPM: two quarter notes a second
+  const pattern = sanitizePattern({ subdivision: '8n', mode: 'steps', steps: [true, false, false] });
+  const played = [0, 0.25, 0.5, 0.75, 1, 1.25].map(time => isPatternStepActive(pattern, time, transport));
+  assert.deepStrictEqual(played, [true, false, false, true, false, false]);
+
+  const tresillo = sanitizePattern({ subdivision: '8n', mode: 'euclid', euclid: { hits: 3, steps: 8, rotation: 0 } });
+  assert.strictEqual(isPatternStepActive(tresillo, 0.75, transport), true);
+  assert.strictEqual(isPatternStepActive(tresillo, 0.5, transport), false);
+  assert.strictEqual(isPatternStepActive({ ...tresillo, euclid: { hits: 0, steps: 8, rotation: 0 } }, 0, transport), false);
+});
@@ -0,0 +1,47 @@
+// Unit tests for loading stored presets and custom scales (js/presets.js, js/tuning.js). Run with: node --test tests/
+// The modules are classic scripts reading local storage, so they are loaded into a context with a stand-in for it.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// A file or storage entry with a "__proto__" name, as JSON.parse() reads it: an own property
+const hostile = '{"__proto__": {"intervals": [0, 7], "polluted": true}, "constructor": {"intervals": [0]}, "Fifths": {"intervals": [0, 7]}}';
+
+function loadModules(stored) {
+  const context = vm.createContext({
+    console,
+    availableScales: { Off: [] },
+    localStorage: { getItem: key => stored[key] || null, setItem() {} }
+  });
+  for (const file of ['scales.js', 'presets.js', 'tuning.js']) {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context);
+  }
+  return context;
+}
+
+test('only safe names are used as keys', () => {
+  const { isSafeKey } = loadModules({});
+  assert.ok(isSafeKey('Glass Bells'));
+  for (const name of ['__proto__', 'constructor', 'prototype', undefined, 42]) {
+    assert.strictEqual(isSafeKey(name), false, `${name} was accepted`);
+  }
+});
+
+test('stored presets named after prototype keys are skipped', () => {
+  const context = loadModules({ gyroSynthPresets: hostile });
+  const userPresets = vm.runInContext('userPresets', context);
+  assert.deepStrictEqual(Object.keys(userPresets), ['Fifths']);
+  assert.strictEqual(Object.getPrototypeOf(userPresets), vm.runInContext('Object.prototype', context));
+  assert.strictEqual(userPresets.polluted, undefined);
+});
+
+test('stored custom scales named after prototype keys are skipped', () => {
+  const context = loadModules({ gyroSynthCustomScales: hostile });
+  context.loadCustomScales();
+  const customScales = vm.runInContext('customScales', context);
+  assert.deepStrictEqual(Object.keys(customScales), ['Fifths']);
+  assert.strictEqual(customScales.polluted, undefined);
+  assert.deepStrictEqual(Object.keys(context.availableScales), ['Off', 'Fifths']);
+});
@@ -0,0 +1,59 @@
+// Unit tests for starting a recording in js/recorder.js. Run with: node --test tests/
+// The module drives Tone.js and the page, so it is loaded into a context with stand-ins for them.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// A Tone.Recorder that throws when started twice, like the real one
+class FakeRecorder {
+  constructor() {
+    this.state = 'stopped';
+    this.starts = 0;
+  }
+  connect() {}
+  async start() {
+    if (this.state === 'started') throw new Error('Recorder is already started');
+    this.starts++;
+    await Promise.resolve();
+    this.state = 'started';
+  }
+}
+FakeRecorder.supported = true;
+
+function loadRecorder() {
+  const elements = {};
+  const context = vm.createContext({
+    console, performance, Promise,
+    Tone: { Recorder: FakeRecorder, context: { state: 'suspended' }, start: async () => {} },
+    document: { getElementById: id => elements[id] || (elements[id] = { textContent: '', disabled: false, style: {} }) },
+    setInterval: () => 0, clearInterval() {}
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/recorder.js'), 'utf8'), context);
+  context.connectRecorder({ connect() {} });
+  return { context, recorder: vm.runInContext('recorder', context), recordBtn: elements.recordBtn };
+}
+
+test('a double tap on Record starts one recording', async () => {
+  const { context, recorder, recordBtn } = loadRecorder();
+  const first = context.startRecording();
+  assert.strictEqual(recordBtn.disabled, true); // Disabled while the audio context starts
+  await Promise.all([first, context.startRecording()]);
+  assert.strictEqual(recorder.starts, 1);
+  assert.strictEqual(recorder.state, 'started');
+  assert.strictEqual(recordBtn.disabled, false);
+  assert.strictEqual(recordBtn.textContent, 'Stop');
+});
+
+test('a recording that fails to start is reported and can be retried', async () => {
+  const { context, recorder, recordBtn } = loadRecorder();
+  recorder.start = async () => { throw new Error('No microphone'); };
+  const errors = [];
+  context.console = { error: (...args) => errors.push(args) };
+  await context.startRecording();
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(context.document.getElementById('recordingStatus').textContent, 'Could not start recording.');
+  assert.strictEqual(recordBtn.disabled, false);
+  assert.strictEqual(recordBtn.textContent, 'Record');
+});
@@ -0,0 +1,80 @@
+// Unit tests for the scale math in js/scales.js. Run with: node --test tests/
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  minScalePeriod,
+  maxScaleIntervals,
+  noteNameToMidi,
+  midiToFrequency,
+  generateScaleFrequencies,
+  getSnappedFrequency
+} = require('../js/scales.js');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.01, `${actual} is not ${expected}`);
+
+test('note names convert to MIDI notes with C4 = 60', () => {
+  assert.strictEqual(noteNameToMidi('C', 4), 60);
+  assert.strictEqual(noteNameToMidi('A', 4), 69);
+  assert.strictEqual(noteNameToMidi('C#', 3), 49);
+  assert.strictEqual(noteNameToMidi('Bb', 2), noteNameToMidi('A#', 2));
+  assert.throws(() => noteNameToMidi('H', 4), RangeError);
+});
+
+test('MIDI notes convert to frequencies from the A4 reference pitch', () => {
+  close(midiToFrequency(69), 440);
+  close(midiToFrequency(60), 261.63);
+  close(midiToFrequency(69, 432), 432);
+  close(midiToFrequency(69.5), 452.89); // Quarter tones
+});
+
+test('a major scale covers the octave range in order', () => {
+  const frequencies = generateScaleFrequencies('C', [0, 2, 4, 5, 7, 9, 11], 4, 4);
+  assert.strictEqual(frequencies.length, 7); // C4 to B4
+  close(frequencies[0], 261.63);
+  close(frequencies[5], 440);
+  assert.deepStrictEqual([...frequencies].sort((a, b) => a - b), frequencies);
+});
+
+test('scales follow the root note and the reference pitch', () => {
+  const a = generateScaleFrequencies('A', [0, 7], 4, 4);
+  close(a[0], 440);
+  close(a[1], 659.26);
+  close(generateScaleFrequencies('A', [0], 4, 4, 12, 415)[0], 415);
+});
+
+test('a numeric root keeps its pitch and repeats by the period', () => {
+  // Bohlen-Pierce style: a tritave period of 19.02 semitones
+  const frequencies = generateScaleFrequencies(60.5, [0], 3, 5, 19.02);
+  assert.ok(frequencies.some(freq => Math.abs(freq - midiToFrequency(60.5)) < 0.01));
+  for (let i = 1; i < frequencies.length; i++) {
+    close(frequencies[i] / frequencies[i - 1], Math.pow(2, 19.02 / 12));
+  }
+});
+
+test('scales with a tiny period or too many intervals are rejected', () => {
+  // Either would make the ladder so long that the page freezes
+  assert.throws(() => generateScaleFrequencies('C', [0], 3, 6, 0.0001), RangeError);
+  assert.throws(() => generateScaleFrequencies('C', [0], 3, 6, 0), RangeError);
+  assert.throws(() => generateScaleFrequencies('C', [0], 3, 6, NaN), RangeError);
+  const intervals = Array.from({ length: maxScaleIntervals + 1 }, (_, i) => i / 100);
+  assert.throws(() => generateScaleFrequencies('C', intervals), RangeError);
+  assert.ok(generateScaleFrequencies('C', [0], 3, 6, minScalePeriod).length > 0);
+});
+
+test('only audible frequencies are generated', () => {
+  const frequencies = generateScaleFrequencies('C', [0, 4, 7], -2, 10);
+  assert.ok(frequencies.length > 0);
+  assert.ok(frequencies.every(freq => freq >= 20 && freq <= 20000));
+});
+
+test('snapping picks the closest scale frequency', () => {
+  const frequencies = [220, 246.94, 261.63, 293.66];
+  assert.strictEqual(getSnappedFrequency(250, frequencies), 246.94);
+  assert.strictEqual(getSnappedFrequency(100, frequencies), 220);
+  assert.strictEqual(getSnappedFrequency(1000, frequencies), 293.66);
+  assert.strictEqual(getSnappedFrequency(261.63, frequencies), 261.63);
+});
+
+test('snapping without a scale leaves the frequency alone', () => {
+  assert.strictEqual(getSnappedFrequency(123.4, []), 123.4);
+});
@@ -0,0 +1,99 @@
+// Unit tests for the jam session protocol in js/session.js. Run with: node --test tests/
+// The module talks to the page, Tone.js and a WebSocket, so it is loaded into a context with stand-ins for them.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// A relay connection that stays CONNECTING until the test opens it
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.sent = [];
+    this.listeners = {};
+    FakeWebSocket.last = this;
+  }
+  addEventListener(type, listener) { (this.listeners[type] = this.listeners[type] || []).push(listener); }
+  removeEventListener(type, listener) { this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener); }
+  send(data) {
+    if (this.readyState !== FakeWebSocket.OPEN) throw new Error('Sent before the socket opened');
+    this.sent.push(JSON.parse(data));
+  }
+  close() {}
+  emit(type, event = {}) { (this.listeners[type] || []).forEach(listener => listener(event)); }
+  open() {
+    this.readyState = FakeWebSocket.OPEN;
+    this.emit('open');
+  }
+  receive(message) { this.emit('message', { data: JSON.stringify(message) }); }
+}
+Object.assign(FakeWebSocket, { CONNECTING: 0, OPEN: 1 });
+
+function loadSession() {
+  const element = () => ({ value: '', textContent: '', disabled: false, style: {}, closest: () => ({ style: {} }) });
+  const elements = {};
+  const transport = {
+    state: 'stopped', ticks: 0, PPQ: 192, bpm: { rampTo() {} },
+    start() { this.state = 'started'; },
+    stop() { this.state = 'stopped'; }
+  };
+  const context = vm.createContext({
+    console, performance, Date, Math, JSON,
+    window: { location: { hostname: 'localhost' } },
+    document: { getElementById: id => elements[id] || (elements[id] = element()) },
+    WebSocket: FakeWebSocket,
+    setInterval: () => 0, clearInterval() {}, setTimeout: () => 0, queueMicrotask,
+    Tone: { getTransport: () => transport },
+    masterBus: {},
+    transportBpm: 120, swingAmount: 0, timeSignature: [4, 4],
+    currentRootNote: 'C', currentScaleName: 'Off', availableScales: { Off: [] }, customScales: {}, noteNames: ['C'],
+    savedLoops: [],
+    showToast() {}, setTempo() {}, setSwing() {}, setTimeSignature() {},
+    parseTimeSignature: value => value.split('/').map(Number),
+    isValidScale: () => false, encodeLayer: () => ({}), disposeLayer() {}, updateMasterVolume() {}
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/session.js'), 'utf8'), context);
+  vm.runInContext("sessionSettings.channel = 'relay'; sessionSettings.mirrorLayers = false;", context);
+  return { context, transport, peerId: vm.runInContext('sessionPeerId', context) };
+}
+
+test('a guest says hello once the relay connection is open', () => {
+  const { context } = loadSession();
+  context.startSession('guest', 'jam');
+  const socket = FakeWebSocket.last;
+  assert.strictEqual(socket.url, 'ws://localhost:8787/JAM');
+  assert.deepStrictEqual(socket.sent, []); // Nothing is sent, or lost, while connecting
+
+  socket.open();
+  assert.strictEqual(socket.sent[0].type, 'hello');
+  assert.strictEqual(socket.sent[0].role, 'guest');
+});
+
+test('a host shares its state as soon as a guest says hello', () => {
+  const { context } = loadSession();
+  context.startSession('host', 'JAM');
+  const socket = FakeWebSocket.last;
+  socket.open();
+  socket.sent.length = 0;
+  socket.receive({ type: 'hello', role: 'guest', from: 'guest1' });
+  assert.deepStrictEqual(socket.sent.map(message => message.type), ['state']);
+  assert.strictEqual(socket.sent[0].playing, false);
+});
+
+test('guests stop when the host stops', () => {
+  const { context, transport } = loadSession();
+  context.startSession('guest', 'JAM');
+  FakeWebSocket.last.open();
+  const state = { type: 'state', from: 'host1', hostSince: 1, bpm: 120, swing: 0, timeSignature: '4/4', rootNote: 'C', scale: 'Off' };
+
+  // A guest that joins a stopped host keeps playing on its own
+  transport.start();
+  FakeWebSocket.last.receive({ ...state, playing: false });
+  assert.strictEqual(transport.state, 'started');
+
+  FakeWebSocket.last.receive({ ...state, playing: true });
+  FakeWebSocket.last.receive({ ...state, playing: false });
+  assert.strictEqual(transport.state, 'stopped');
+});
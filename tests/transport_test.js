@@ -0,0 +1,73 @@
+// Unit tests for the tempo and time signature handling in js/transport.js. Run with: node --test tests/
+// The module drives Tone.js and the page, so it is loaded into a context with stand-ins for them.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+function loadTransport() {
+  const ramps = [];
+  const clock = { now: 0 };
+  const context = vm.createContext({
+    Tone: { getTransport: () => ({ bpm: { rampTo: bpm => ramps.push(bpm) } }) },
+    document: { getElementById: () => null },
+    performance: { now: () => clock.now },
+    syncEffectsToTempo: () => {},
+    queueSessionState: () => {}
+  });
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/transport.js'), 'utf8'), context);
+  const bpm = () => vm.runInContext('transportBpm', context);
+  // Taps at the given times in milliseconds
+  const tap = (...times) => times.forEach(time => { clock.now = time; context.tapTempo(); });
+  return { context, ramps, bpm, tap };
+}
+
+test('the tempo is rounded and clamped to the supported range', () => {
+  const { context, ramps, bpm } = loadTransport();
+  context.setTempo(96.4);
+  assert.strictEqual(bpm(), 96);
+  context.setTempo(10);
+  assert.strictEqual(bpm(), 40);
+  context.setTempo(1000);
+  assert.strictEqual(bpm(), 240);
+  assert.deepStrictEqual(ramps, [96, 40, 240]); // The transport follows
+});
+
+test('time signatures are beats over a note value', () => {
+  const { context } = loadTransport();
+  const parse = value => {
+    const signature = context.parseTimeSignature(value);
+    return signature && [...signature];
+  };
+  assert.deepStrictEqual(parse('4/4'), [4, 4]);
+  assert.deepStrictEqual(parse('7/8'), [7, 8]);
+  assert.deepStrictEqual(parse('12/16'), [12, 16]);
+  assert.deepStrictEqual(parse('3/2'), [3, 2]);
+  for (const invalid of ['0/4', '4/3', '4/32', '100/4', '4/4 ', ' 4/4', '4', '4:4', '-3/4', '3.5/4', '', null, undefined, [4, 4]]) {
+    assert.strictEqual(parse(invalid), null, `${JSON.stringify(invalid)} was accepted`);
+  }
+});
+
+test('tap tempo follows the average of the recent taps', () => {
+  const { bpm, tap } = loadTransport();
+  tap(0);
+  assert.strictEqual(bpm(), 120); // One tap is not a tempo yet
+  tap(600);
+  assert.strictEqual(bpm(), 100);
+  tap(1200, 1800);
+  assert.strictEqual(bpm(), 100); // 1800 ms over three intervals
+  // Only the last five taps count: 3000 - 1200 = 1800 ms over four intervals
+  tap(2200, 2600, 3000);
+  assert.strictEqual(bpm(), 133);
+});
+
+test('a pause between taps starts a new tap sequence', () => {
+  const { bpm, tap } = loadTransport();
+  tap(0, 1000);
+  assert.strictEqual(bpm(), 60);
+  tap(4000); // More than two seconds later
+  assert.strictEqual(bpm(), 60);
+  tap(4400);
+  assert.strictEqual(bpm(), 150);
+});
@@ -0,0 +1,107 @@
+// Unit tests for the custom scale and Scala parsing in js/tuning.js. Run with: node --test tests/
+// The parsers are pure, but share the classic-script globals of js/scales.js, so both are loaded into one context.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const context = vm.createContext({});
+for (const file of ['scales.js', 'tuning.js']) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '../js', file), 'utf8'), context);
+}
+const { parseScaleDefinition, formatScaleDefinition } = context;
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 0.001, `${actual} is not ${expected}`);
+// Results are built in the context, so they are copied out before deep comparisons
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('the editor reads semitones, cents and ratios within an octave', () => {
+  const scale = parseScaleDefinition('0 4, 7\n14 700.0 3/2');
+  assert.strictEqual(scale.period, 12);
+  // 14 folds onto 2 and 700 cents is 7 again; the just fifth (3/2) is a pitch of its own
+  assert.deepStrictEqual(plain(scale.intervals.slice(0, 4)), [0, 2, 4, 7]);
+  close(scale.intervals[4], 7.01955);
+  assert.strictEqual(scale.intervals.length, 5);
+  assert.throws(() => parseScaleDefinition('0 x'));
+  assert.throws(() => parseScaleDefinition(' '));
+});
+
+test('the editor folds pitches into the period of the scale being edited', () => {
+  const scale = parseScaleDefinition('0 435.084 2000.0', 19.02);
+  assert.strictEqual(scale.period, 19.02);
+  close(scale.intervals[1], 0.98);
+  close(scale.intervals[2], 4.35084);
+});
+
+test('scales are shown in the editor in one unit', () => {
+  assert.strictEqual(formatScaleDefinition([0, 2, 4, 7]), '0 2 4 7');
+  assert.strictEqual(formatScaleDefinition([0, 2, 3.86314]), '0.000 200.000 386.314');
+  // What the editor shows reads back as the same scale
+  const intervals = parseScaleDefinition(formatScaleDefinition([0, 2, 3.86314])).intervals;
+  [0, 2, 3.86314].forEach((interval, i) => close(intervals[i], interval));
+});
+
+const { parseScala, parseKbm, createScaleFromCents, ratioToCents } = context;
+const twelveTone = Array.from({ length: 12 }, (_, i) => (i + 1) * 100);
+
+test('Scala files skip comments and keep the description', () => {
+  const scala = parseScala('! major.scl\n!\nJust major triad\n 3\n! the notes\n 5/4\n 3/2\n 2/1\n');
+  assert.strictEqual(scala.description, 'Just major triad');
+  assert.strictEqual(scala.cents.length, 3);
+  close(scala.cents[0], 386.3137);
+  close(scala.cents[2], 1200);
+  // The description line may be empty
+  assert.strictEqual(parseScala('!\n\n1\n2/1\n').description, '');
+});
+
+test('Scala pitches are cents with a period and ratios without one', () => {
+  const scala = parseScala('Mixed\n4\n701.955 fifth\n3/2 also a fifth\n3\n1200.\n');
+  close(scala.cents[0], 701.955);
+  close(scala.cents[1], 701.955);
+  close(scala.cents[2], 1901.955); // A whole number is a ratio: 3/1
+  close(scala.cents[3], 1200);
+  close(ratioToCents('2'), 1200);
+});
+
+test('Scala files list at least as many pitches as they promise', () => {
+  assert.throws(() => parseScala('Short\n3\n100.0\n1200.0\n'), /Expected 3 notes but found 2/);
+  // Lines after the promised pitches are ignored
+  assert.deepStrictEqual(plain(parseScala('Long\n1\n2/1\n3/1\n').cents), [1200]);
+});
+
+test('scales repeat by their own period', () => {
+  // Bohlen-Pierce: 13 steps to the tritave
+  const cents = Array.from({ length: 13 }, (_, i) => 1200 * Math.log2(3) * (i + 1) / 13);
+  const scale = createScaleFromCents(cents);
+  close(scale.period, 19.01955);
+  assert.strictEqual(scale.intervals.length, 13);
+  assert.strictEqual(scale.intervals[0], 0);
+  assert.strictEqual(scale.rootMidi, undefined);
+});
+
+test('keyboard mappings leave unmapped keys out and set the root pitch', () => {
+  const kbm = parseKbm('! major.kbm\n12\n0\n127\n60\n69\n440.0\n12\n! mapping\n0\nx\n2\nx\n4\n5\nx\n7\nx\n9\nx\n11\n');
+  assert.strictEqual(kbm.mapSize, 12);
+  assert.strictEqual(kbm.mapping[1], null);
+  assert.strictEqual(kbm.mapping[2], 2);
+
+  const scale = createScaleFromCents(twelveTone, kbm);
+  assert.deepStrictEqual(plain(scale.intervals), [0, 2, 4, 5, 7, 9, 11]);
+  close(scale.rootMidi, 60); // A4 = 440 Hz on key 69 puts degree 0 on middle C
+  // Missing mapping entries count as unmapped
+  assert.deepStrictEqual(plain(parseKbm('3\n0\n127\n60\n69\n440\n3\n0\n').mapping), [0, null, null]);
+});
+
+test('malformed Scala and keyboard mapping files are rejected', () => {
+  assert.throws(() => parseScala('Only a description'), /header/);
+  assert.throws(() => parseScala('No notes\n0\n'), /no notes/);
+  assert.throws(() => parseScala('Bad count\nmany\n2/1\n'), /no notes/);
+  assert.throws(() => parseScala('Bad ratio\n1\n3/0\n'), /not a valid ratio/);
+  assert.throws(() => parseScala('Negative ratio\n1\n-2/1\n'), /not a valid ratio/);
+  assert.throws(() => parseScala('Bad cents\n1\nabc.\n'), /not a valid cents value/);
+  assert.throws(() => parseScala('Tiny period\n1\n0.5\n'), /period must be at least/);
+  assert.throws(() => parseScala(`Too many\n1000\n${'100.0\n'.repeat(1000)}`), /at most/);
+  assert.throws(() => parseKbm('12\n0\n127\n'), /missing its header/);
+  assert.throws(() => parseKbm('12\n0\n127\n60\n69\nfast\n12\n'), /header is invalid/);
+});